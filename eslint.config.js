@@ -22,6 +22,14 @@ export default [
         alert: 'readonly',
         confirm: 'readonly',
         navigator: 'readonly',
+        fetch: 'readonly',
+        TextDecoder: 'readonly',
+        AbortController: 'readonly',
+        indexedDB: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
+        createImageBitmap: 'readonly',
+        CSS: 'readonly',
         
         // DOM APIs
         Node: 'readonly',
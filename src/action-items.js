@@ -0,0 +1,156 @@
+/**
+ * Action Items Module
+ * 從討論串擷取結構化的待辦事項、決策與未解問題（JSON），驗證格式並匯出為 Markdown / CSV
+ */
+
+import { buildJsonOutputInstruction, parseJsonWithSchema } from './structured-output.js';
+
+/**
+ * 模型輸出必須符合的 JSON Schema（僅使用 validateAgainstSchema 支援的子集）
+ */
+export const ACTION_ITEMS_SCHEMA = {
+  type: 'object',
+  required: ['actionItems', 'decisions', 'openQuestions'],
+  properties: {
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['task'],
+        properties: {
+          owner: { type: ['string', 'null'] },
+          task: { type: 'string' },
+          dueDate: { type: ['string', 'null'] },
+          sourceMessageIndex: { type: ['integer', 'null'] }
+        }
+      }
+    },
+    decisions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['decision'],
+        properties: {
+          decision: { type: 'string' },
+          sourceMessageIndex: { type: ['integer', 'null'] }
+        }
+      }
+    },
+    openQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question'],
+        properties: {
+          question: { type: 'string' },
+          askedBy: { type: ['string', 'null'] },
+          sourceMessageIndex: { type: ['integer', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 產生要求模型輸出 JSON 的提示詞
+ * @param {string} messageText - 已編號的討論串訊息
+ * @returns {string}
+ */
+export function buildActionItemsPrompt(messageText) {
+  return 'Extract the action items, decisions and open questions from the numbered Slack thread below.\n\n' +
+    buildJsonOutputInstruction(
+      '{\n' +
+      '  "actionItems": [{ "owner": string | null, "task": string, "dueDate": string | null, "sourceMessageIndex": integer | null }],\n' +
+      '  "decisions": [{ "decision": string, "sourceMessageIndex": integer | null }],\n' +
+      '  "openQuestions": [{ "question": string, "askedBy": string | null, "sourceMessageIndex": integer | null }]\n' +
+      '}'
+    ) +
+    'Rules:\n' +
+    '- sourceMessageIndex is the number of the message the item comes from.\n' +
+    '- dueDate is YYYY-MM-DD when a date is stated, otherwise the phrase used (e.g. "next week") or null.\n' +
+    '- Use null when the owner or asker is unknown. Use empty arrays when there is nothing to report.\n' +
+    '- Write task, decision and question texts in the same language as the conversation.\n\n' +
+    messageText;
+}
+
+/**
+ * 解析並驗證模型回傳的待辦事項 JSON
+ * @param {string} responseText - 模型回傳內容
+ * @returns {Object} 符合 ACTION_ITEMS_SCHEMA 的資料
+ * @throws {Error} JSON 無法解析或不符合 schema 時
+ */
+export function parseActionItemsResponse(responseText) {
+  return parseJsonWithSchema(responseText, ACTION_ITEMS_SCHEMA, {
+    defaults: { actionItems: [], decisions: [], openQuestions: [] }
+  });
+}
+
+/**
+ * 合併多段擷取結果（分段處理長討論串時使用）
+ * @param {Array<Object>} results
+ * @returns {Object}
+ */
+export function mergeActionItems(results) {
+  return {
+    actionItems: results.flatMap(result => result.actionItems),
+    decisions: results.flatMap(result => result.decisions),
+    openQuestions: results.flatMap(result => result.openQuestions)
+  };
+}
+
+/**
+ * 匯出為 Markdown（待辦事項為核取清單）
+ * @param {Object} data - 擷取結果
+ * @param {Set<number>} completed - 已勾選完成的待辦事項索引
+ * @returns {string}
+ */
+export function actionItemsToMarkdown(data, completed = new Set()) {
+  const source = index => (index ? ` (#${index})` : '');
+  const lines = ['## Action items', ''];
+
+  if (data.actionItems.length === 0) lines.push('_None_');
+  data.actionItems.forEach((item, i) => {
+    const owner = item.owner ? ` — @${item.owner}` : '';
+    const due = item.dueDate ? ` (due ${item.dueDate})` : '';
+    lines.push(`- [${completed.has(i) ? 'x' : ' '}] ${item.task}${owner}${due}${source(item.sourceMessageIndex)}`);
+  });
+
+  lines.push('', '## Decisions', '');
+  if (data.decisions.length === 0) lines.push('_None_');
+  data.decisions.forEach(item => lines.push(`- ${item.decision}${source(item.sourceMessageIndex)}`));
+
+  lines.push('', '## Open questions', '');
+  if (data.openQuestions.length === 0) lines.push('_None_');
+  data.openQuestions.forEach(item => {
+    const askedBy = item.askedBy ? ` — @${item.askedBy}` : '';
+    lines.push(`- ${item.question}${askedBy}${source(item.sourceMessageIndex)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 匯出為 CSV（每列一個項目，以 type 欄位區分）
+ * @param {Object} data - 擷取結果
+ * @param {Set<number>} completed - 已勾選完成的待辦事項索引
+ * @returns {string}
+ */
+export function actionItemsToCSV(data, completed = new Set()) {
+  const escapeCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [['type', 'text', 'owner', 'due_date', 'done', 'source_message']];
+  data.actionItems.forEach((item, i) => {
+    rows.push(['action_item', item.task, item.owner, item.dueDate, completed.has(i) ? 'yes' : 'no', item.sourceMessageIndex]);
+  });
+  data.decisions.forEach(item => {
+    rows.push(['decision', item.decision, '', '', '', item.sourceMessageIndex]);
+  });
+  data.openQuestions.forEach(item => {
+    rows.push(['open_question', item.question, item.askedBy, '', '', item.sourceMessageIndex]);
+  });
+
+  return rows.map(row => row.map(escapeCell).join(',')).join('\n');
+}
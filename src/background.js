@@ -8,6 +8,7 @@ import {
   handleGeminiSummaryRequest,
   getAvailableModels,
 } from './gemini-utils.js';
+import { addSummaryHistoryEntry } from './summary-history.js';
 
 // 全局變量存儲當前翻譯
 let currentTranslations = null;
@@ -227,14 +228,42 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ error: error.message });
       });
     return true; // 保持異步響應開啟
+  } else if (request.action === 'saveSummaryHistory') {
+    // 摘要紀錄保存在擴展來源的 IndexedDB，供 popup 瀏覽
+    addSummaryHistoryEntry(request.entry)
+      .then(id => sendResponse({ success: true, id }))
+      .catch(error => {
+        console.error('❌ Background: Failed to save summary history:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // 保持異步響應開啟
   } else if (request.action === 'processLLMRequest') {
     handleLLMRequest(request)
       .then(result => sendResponse({ success: true, result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // keep the message channel open for async response
+  } else if (request.action === 'cancelLLMRequest') {
+    sendResponse({ success: cancelLLMRequest(request.requestId) });
   }
 });
 
+// 串流 LLM 請求使用長連線 port，逐段回傳 SSE 資料
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'llm-stream') return;
+
+  port.onMessage.addListener((request) => {
+    if (request.action === 'streamLLMRequest') {
+      handleLLMStreamRequest(request, port).catch(error => {
+        try {
+          port.postMessage({ type: 'error', error: error.message });
+        } catch {
+          // port 已關閉（例如使用者離開頁面），忽略
+        }
+      });
+    }
+  });
+});
+
 async function extractSlackThreadMessages(tabId) {
   try {
     const results = await chrome.scripting.executeScript({
@@ -346,27 +375,130 @@ chrome.runtime.onStartup.addListener(() => {
 // LLM API PROXY
 // =========================
 
+// 進行中的 LLM 請求（requestId -> AbortController），供取消使用
+const activeLLMRequests = new Map();
+
 /**
- * Proxy LLM API requests (OpenAI-compatible) via background script to 
+ * Register an in-flight LLM request so it can be cancelled by id
+ * @param {string} requestId - Request id from the content script (optional)
+ * @returns {AbortController}
+ */
+function registerLLMRequest(requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    activeLLMRequests.set(requestId, controller);
+  }
+  return controller;
+}
+
+/**
+ * Abort an in-flight LLM request
+ * @param {string} requestId - Request id to cancel
+ * @returns {boolean} Whether a matching request was found
+ */
+function cancelLLMRequest(requestId) {
+  const controller = activeLLMRequests.get(requestId);
+  if (!controller) {
+    return false;
+  }
+
+  console.log('[Slack-Helper] Cancelling LLM request', requestId);
+  controller.abort();
+  activeLLMRequests.delete(requestId);
+  return true;
+}
+
+/**
+ * Proxy LLM API requests (OpenAI-compatible / Anthropic) via background script to 
  * ensure the customized OpenAI compatible server is working
  * @param {Object} request - Message payload from content script
+ * @param {string} [request.endpoint] - API path appended to baseUrl (default: /chat/completions)
  * @returns {Promise<Object>} Parsed JSON response from the LLM server
  */
 async function handleLLMRequest(request) {
-  const { baseUrl, headers = {}, body } = request;
+  const { requestId, baseUrl, endpoint = '/chat/completions', headers = {}, body } = request;
   if (!baseUrl) {
     throw new Error('Base URL is required');
   }
 
-  console.log('[Slack-Helper] Background proxy ->', baseUrl);
+  console.log('[Slack-Helper] Background proxy ->', `${baseUrl}${endpoint}`);
 
-  const response = await fetch(`${baseUrl}/chat/completions`, {
+  const controller = registerLLMRequest(requestId);
+
+  try {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return await response.json();
+  } finally {
+    activeLLMRequests.delete(requestId);
+  }
+}
+
+/**
+ * Proxy a streaming (SSE) LLM request and relay each `data:` payload over the port.
+ * Posts {type: 'data', data}, then {type: 'done'}; errors are thrown to the caller.
+ * @param {Object} request - Message payload from content script
+ * @param {chrome.runtime.Port} port - Port connected by the content script
+ */
+async function handleLLMStreamRequest(request, port) {
+  const { requestId, baseUrl, endpoint = '/chat/completions', headers = {}, body } = request;
+  if (!baseUrl) {
+    throw new Error('Base URL is required');
+  }
+
+  console.log('[Slack-Helper] Background stream proxy ->', `${baseUrl}${endpoint}`);
+
+  const controller = registerLLMRequest(requestId);
+  let disconnected = false;
+
+  // The content script disconnects the port to cancel (or when the page goes away)
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  try {
+    await relayLLMStream(baseUrl, endpoint, headers, body, controller.signal, port, () => disconnected);
+  } catch (error) {
+    if (disconnected) return;
+    throw error;
+  } finally {
+    activeLLMRequests.delete(requestId);
+  }
+}
+
+/**
+ * Fetch a streaming response and relay its SSE `data:` lines over the port
+ * @param {string} baseUrl - API base URL
+ * @param {string} endpoint - API path
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Abort signal for the fetch
+ * @param {chrome.runtime.Port} port - Port connected by the content script
+ * @param {Function} isDisconnected - Returns true once the port is gone
+ */
+async function relayLLMStream(baseUrl, endpoint, headers, body, signal, port, isDisconnected) {
+  const response = await fetch(`${baseUrl}${endpoint}`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       ...headers
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal
   });
 
   if (!response.ok) {
@@ -374,5 +506,28 @@ async function handleLLMRequest(request) {
     throw new Error(`API error: ${response.status} ${response.statusText} - ${errorText}`);
   }
 
-  return response.json();
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const relayLine = (line) => {
+    if (line.startsWith('data:')) {
+      port.postMessage({ type: 'data', data: line.slice(5).trim() });
+    }
+  };
+
+  while (!isDisconnected()) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(relayLine);
+  }
+
+  if (isDisconnected()) return;
+
+  relayLine(buffer);
+  port.postMessage({ type: 'done' });
 }
@@ -0,0 +1,271 @@
+/**
+ * Channel Digest Module
+ * 在頻道主畫面向上滾動收集指定日期範圍內的訊息（可選擇展開熱門討論串），並產生依主題分組的頻道摘要提示詞
+ * 以及從未讀分隔線開始的「跟上進度」提示詞
+ */
+
+import { slackTsToMillis, sleep } from './time-utils.js';
+
+/**
+ * 向上滾動的最大次數，避免在極長的頻道中無限滾動
+ */
+const MAX_CHANNEL_SCROLL_ATTEMPTS = 200;
+
+/**
+ * 滾動到頂端後仍未載入更早訊息的容忍次數（Slack 會在頂端延遲載入較舊的訊息）
+ */
+const MAX_TOP_REACHED_COUNT = 3;
+
+/**
+ * 最多展開收集的討論串數
+ */
+const MAX_DIGEST_THREADS = 20;
+
+/**
+ * 點擊回覆數後等待討論串面板開啟的時間（毫秒）
+ */
+const THREAD_OPEN_TIMEOUT = 5000;
+const THREAD_OPEN_POLL_INTERVAL = 200;
+
+/**
+ * 將 YYYY-MM-DD 轉為當地時間該日的起訖毫秒
+ * @param {string} startDate - 開始日期（含）
+ * @param {string} endDate - 結束日期（含）
+ * @returns {{startMillis: number, endMillis: number}}
+ */
+export function getDateRangeMillis(startDate, endDate) {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+  return {
+    startMillis: new Date(startYear, startMonth - 1, startDay).getTime(),
+    endMillis: new Date(endYear, endMonth - 1, endDay + 1).getTime() - 1
+  };
+}
+
+/**
+ * 產生頻道摘要的提示詞
+ * @param {string} content - 已編號的頻道訊息（含展開的討論串回覆）
+ * @param {Object} context
+ * @param {string} [context.channel] - 頻道名稱
+ * @param {string} context.startDate - 開始日期
+ * @param {string} context.endDate - 結束日期
+ * @returns {string}
+ */
+export function buildChannelDigestPrompt(content, { channel = '', startDate, endDate }) {
+  const channelName = channel ? ` #${channel.replace(/^#/, '')}` : '';
+  return `Write a digest of the Slack channel${channelName} from ${startDate} to ${endDate}.\n\n` +
+    'Group the conversations by topic rather than by time. For each topic give a short heading, ' +
+    'then a few bullets with the key points, decisions, open questions and action items (with owners), and who was involved. ' +
+    'Put the most active topics (many replies or reactions) first. Answer in Markdown, in the same language as the conversation.\n\n' +
+    'Top-level channel messages are numbered; replies collected from a thread follow their parent message.\n\n' +
+    content;
+}
+
+/**
+ * 產生「幫我跟上進度」的提示詞（頻道中從未讀分隔線到最新的訊息）
+ * @param {string} content - 已編號的未讀訊息
+ * @param {Object} context
+ * @param {string} [context.channel] - 頻道名稱
+ * @returns {string}
+ */
+export function buildCatchUpPrompt(content, { channel = '' } = {}) {
+  const channelName = channel ? ` #${channel.replace(/^#/, '')}` : '';
+  return `I have been away and these are the messages I have not read yet in the Slack channel${channelName}. Catch me up.\n\n` +
+    'Start with the most important things that happened, then list decisions that were made, ' +
+    'anything that needs my attention or a reply (mentions of me, questions, requests, deadlines), and what is still being discussed. ' +
+    'Skip small talk. Keep it short and answer in Markdown, in the same language as the conversation.\n\n' +
+    content;
+}
+
+/**
+ * 將展開的討論串回覆併入父訊息的內容，讓每則頂層訊息在提示詞中自成一段
+ * @param {Array} messages - 頂層訊息（threadReplies 為展開收集的回覆）
+ * @returns {Array} 新的訊息陣列（不修改原訊息）
+ */
+export function withThreadReplies(messages) {
+  return messages.map(message => {
+    if (!message.threadReplies || message.threadReplies.length === 0) {
+      return message;
+    }
+    const replies = message.threadReplies
+      .map(reply => `  ↳ ${reply.user}: ${(reply.text || '').replace(/\n+/g, ' ')}`)
+      .join('\n');
+    return { ...message, text: `${message.text}\n\nThread replies:\n${replies}` };
+  });
+}
+
+/**
+ * Channel Digest Collector
+ * 從頻道最新的訊息開始向上滾動，收集日期範圍內的頂層訊息
+ */
+export class ChannelDigestCollector {
+  /**
+   * @param {SlackDOMDetector} domDetector
+   * @param {MessageTextExtractor} textExtractor
+   * @param {MessageProcessor} messageProcessor
+   * @param {ThreadScrollCollector} threadCollector - 用於尋找滾動容器與收集展開的討論串
+   */
+  constructor(domDetector, textExtractor, messageProcessor, threadCollector) {
+    this.domDetector = domDetector;
+    this.textExtractor = textExtractor;
+    this.messageProcessor = messageProcessor;
+    this.threadCollector = threadCollector;
+  }
+
+  /**
+   * 收集日期範圍內的頻道訊息
+   * @param {Object} options
+   * @param {number} options.startMillis - 範圍起點（含）
+   * @param {number} options.endMillis - 範圍終點（含）
+   * @param {boolean} [options.includeThreads] - 是否展開回覆數達門檻的討論串
+   * @param {number} [options.minReplies] - 展開討論串的回覆數門檻
+   * @param {Function} [options.onProgress] - ({stage: 'scroll'|'thread', count?, current?, total?}) => void
+   * @returns {Promise<Array>} 依時間排序的頂層訊息；展開的討論串回覆放在 threadReplies
+   */
+  async collect({ startMillis, endMillis, includeThreads = false, minReplies = 3, onProgress = () => {} }) {
+    const channelContainer = this.domDetector.findChannelContainer();
+    if (!channelContainer) {
+      throw new Error('未找到頻道訊息區');
+    }
+
+    const scrollContainer = this.threadCollector.findScrollContainer(channelContainer);
+    const { allMessages, positions } = await this.scrollAndCollect(channelContainer, scrollContainer, startMillis, onProgress);
+
+    const messages = this.messageProcessor.processMessages(Array.from(allMessages.values()))
+      .filter(message => {
+        const time = slackTsToMillis(message.ts);
+        return time !== null && time >= startMillis && time <= endMillis;
+      });
+    console.log(`📰 Collected ${messages.length} channel messages in range (${allMessages.size} seen)`);
+
+    if (includeThreads && scrollContainer) {
+      const busyMessages = messages
+        .filter(message => message.replyCount >= minReplies)
+        .sort((a, b) => b.replyCount - a.replyCount)
+        .slice(0, MAX_DIGEST_THREADS);
+
+      for (let i = 0; i < busyMessages.length; i++) {
+        onProgress({ stage: 'thread', current: i + 1, total: busyMessages.length });
+        const message = busyMessages[i];
+        try {
+          message.threadReplies = await this.collectThreadReplies(message, channelContainer, scrollContainer, positions.get(message.id));
+        } catch (error) {
+          console.warn(`Failed to collect thread ${message.id}:`, error);
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * 從頻道底部（最新訊息）向上滾動，直到看見早於範圍起點的訊息或到達頂端
+   * @param {Element} channelContainer - 頻道訊息區
+   * @param {Element|null} scrollContainer - 滾動容器；沒有時只收集目前可見的訊息
+   * @param {number} startMillis - 範圍起點
+   * @param {Function} onProgress - 進度回呼
+   * @returns {Promise<{allMessages: Map, positions: Map}>} 收集到的訊息，以及每則訊息被看見時的滾動位置
+   */
+  async scrollAndCollect(channelContainer, scrollContainer, startMillis, onProgress) {
+    const allMessages = new Map();
+    const positions = new Map();
+
+    const collectVisible = () => {
+      const visible = this.threadCollector.extractChannelMessages(channelContainer);
+      visible.forEach(message => {
+        this.threadCollector.collectMessage(allMessages, message);
+        if (message.id && scrollContainer && !positions.has(message.id)) {
+          positions.set(message.id, scrollContainer.scrollTop);
+        }
+      });
+      onProgress({ stage: 'scroll', count: allMessages.size });
+      return visible;
+    };
+
+    if (!scrollContainer) {
+      console.warn('未找到頻道滾動容器，使用當前可見訊息');
+      collectVisible();
+      return { allMessages, positions };
+    }
+
+    scrollContainer.scrollTop = scrollContainer.scrollHeight;
+    await this.threadCollector.waitForScrollComplete();
+    await this.threadCollector.waitForVirtualListUpdate();
+
+    let topReachedCount = 0;
+    for (let attempt = 0; attempt < MAX_CHANNEL_SCROLL_ATTEMPTS; attempt++) {
+      const visible = collectVisible();
+      const times = visible.map(message => slackTsToMillis(message.ts)).filter(time => time !== null);
+      if (times.length > 0 && Math.min(...times) < startMillis) {
+        console.log('已看到範圍起點之前的訊息，停止滾動');
+        break;
+      }
+
+      if (scrollContainer.scrollTop <= 0) {
+        topReachedCount++;
+        if (topReachedCount >= MAX_TOP_REACHED_COUNT) {
+          console.log('已到達頻道頂端，停止滾動');
+          break;
+        }
+      } else {
+        topReachedCount = 0;
+      }
+
+      scrollContainer.scrollTop = Math.max(0, scrollContainer.scrollTop - Math.round(scrollContainer.clientHeight * 0.8));
+      await this.threadCollector.waitForScrollComplete();
+      await this.threadCollector.waitForVirtualListUpdate();
+    }
+
+    return { allMessages, positions };
+  }
+
+  /**
+   * 開啟訊息的討論串並收集其回覆
+   * @param {Object} message - 頂層訊息
+   * @param {Element} channelContainer - 頻道訊息區
+   * @param {Element} scrollContainer - 頻道滾動容器
+   * @param {number} [scrollTop] - 收集時看見此訊息的滾動位置
+   * @returns {Promise<Array>} 回覆（不含討論串開頭）
+   */
+  async collectThreadReplies(message, channelContainer, scrollContainer, scrollTop) {
+    if (scrollTop !== undefined) {
+      scrollContainer.scrollTop = scrollTop;
+      await this.threadCollector.waitForScrollComplete();
+      await this.threadCollector.waitForVirtualListUpdate();
+    }
+
+    const messageEl = this.domDetector.findMessageElement(message.id, channelContainer);
+    const replyLink = messageEl?.querySelector(this.textExtractor.replyCountSelectors.join(', '));
+    if (!replyLink) {
+      console.warn(`找不到訊息 ${message.id} 的回覆連結`);
+      return [];
+    }
+
+    replyLink.click();
+    if (!await this.waitForThreadOpen(message.id)) {
+      console.warn(`討論串 ${message.id} 未在時間內開啟`);
+      return [];
+    }
+
+    const threadMessages = await this.threadCollector.collectCompleteThreadMessages();
+    return threadMessages.filter(reply => reply.id !== message.id);
+  }
+
+  /**
+   * 等待討論串面板顯示指定的討論串
+   * @param {string} rootId - 討論串開頭訊息的 ts
+   * @returns {Promise<boolean>} 是否已開啟
+   */
+  async waitForThreadOpen(rootId) {
+    for (let waited = 0; waited < THREAD_OPEN_TIMEOUT; waited += THREAD_OPEN_POLL_INTERVAL) {
+      await sleep(THREAD_OPEN_POLL_INTERVAL);
+      const threadContainer = this.domDetector.findThreadContainer();
+      if (threadContainer && this.domDetector.findMessageElement(rootId, threadContainer)) {
+        // 等待回覆載入
+        await this.threadCollector.waitForVirtualListUpdate();
+        return true;
+      }
+    }
+    return false;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Citations Module
+ * 要求模型以 [#n] 引用討論串中的訊息編號，並將摘要中的引用轉為指向原始訊息的連結
+ */
+
+import { escapeHtml } from './ui-utils.js';
+
+/**
+ * 摘要中的引用，例如 [#3] 或 [#3, #7]
+ */
+const CITATION_PATTERN = /\[#\d+(?:\s*,\s*#?\d+)*\]/g;
+
+const CITATION_CLASS = 'slack-helper-citation';
+
+const HIGHLIGHT_DURATION = 2000;
+
+/**
+ * 在摘要提示詞後加上引用格式的說明
+ * @param {string} prompt - 提示詞
+ * @returns {string}
+ */
+export function appendCitationInstruction(prompt) {
+  return `${prompt}\n\nWhen a point comes from specific messages, cite them by their number in square brackets, ` +
+    'e.g. [#3] or [#3, #7]. Only cite numbers that appear in the thread.';
+}
+
+/**
+ * 取出引用中的訊息編號
+ * @param {string} citation - 例如 "[#3, #7]"
+ * @returns {Array<number>}
+ */
+function getCitationNumbers(citation) {
+  return (citation.match(/\d+/g) || []).map(Number);
+}
+
+/**
+ * 取得編號對應的訊息（編號即提示詞中的訊息編號，從 1 開始）
+ * @param {Array} messages - 整個討論串的訊息
+ * @param {number} number - 訊息編號
+ * @returns {Object|null}
+ */
+export function getCitedMessage(messages, number) {
+  return messages[number - 1] || null;
+}
+
+/**
+ * 將 Markdown 摘要中的引用轉為 Markdown 連結（用於複製）
+ * @param {string} summary - 摘要
+ * @param {Array} messages - 整個討論串的訊息
+ * @returns {string}
+ */
+export function linkCitationsInMarkdown(summary, messages) {
+  return summary.replace(CITATION_PATTERN, citation => getCitationNumbers(citation).map(number => {
+    const permalink = getCitedMessage(messages, number)?.permalink;
+    return permalink ? `[#${number}](${permalink})` : `[#${number}]`;
+  }).join(' '));
+}
+
+/**
+ * 產生單一引用連結的 HTML
+ * @param {number} number - 訊息編號
+ * @param {Object|null} message - 對應的訊息
+ * @returns {string}
+ */
+function citationLinkHTML(number, message) {
+  if (!message) {
+    return `[#${number}]`;
+  }
+  const href = message.permalink ? escapeHtml(message.permalink) : '#';
+  return `<a href="${href}" class="${CITATION_CLASS}" data-citation="${number}">[#${number}]</a>`;
+}
+
+/**
+ * 將已轉為 HTML 的摘要中的引用轉為連結（用於摘要面板）
+ * @param {string} html - renderMarkdown 的輸出
+ * @param {Array} messages - 整個討論串的訊息
+ * @returns {string}
+ */
+export function linkCitationsInHtml(html, messages) {
+  return html.replace(CITATION_PATTERN, citation => getCitationNumbers(citation)
+    .map(number => citationLinkHTML(number, getCitedMessage(messages, number)))
+    .join(' '));
+}
+
+/**
+ * 將純文字摘要放入容器，引用轉為連結（用於以 pre-wrap 顯示的摘要結果）
+ * @param {HTMLElement} container - 容器
+ * @param {string} summary - 摘要
+ * @param {Array} messages - 整個討論串的訊息
+ */
+export function renderTextWithCitations(container, summary, messages) {
+  container.textContent = '';
+  let lastIndex = 0;
+
+  for (const match of summary.matchAll(CITATION_PATTERN)) {
+    container.appendChild(document.createTextNode(summary.slice(lastIndex, match.index)));
+    getCitationNumbers(match[0]).forEach((number, i) => {
+      if (i > 0) container.appendChild(document.createTextNode(' '));
+      const message = getCitedMessage(messages, number);
+      if (!message) {
+        container.appendChild(document.createTextNode(`[#${number}]`));
+        return;
+      }
+      const link = document.createElement('a');
+      link.className = CITATION_CLASS;
+      link.href = message.permalink || '#';
+      link.dataset.citation = String(number);
+      link.textContent = `[#${number}]`;
+      container.appendChild(link);
+    });
+    lastIndex = match.index + match[0].length;
+  }
+
+  container.appendChild(document.createTextNode(summary.slice(lastIndex)));
+}
+
+/**
+ * 處理容器內引用連結的點擊：訊息在討論串中已載入時捲動並標示，否則開啟 permalink
+ * @param {HTMLElement} container - 含引用連結的容器
+ * @param {Function} getMessages - 回傳整個討論串訊息的函式
+ * @param {Function} findMessageElement - (messageId) => Element|null，在 Slack 頁面中找出訊息元素
+ * @param {Function} [onScroll] - 捲動至訊息前呼叫（例如關閉遮住討論串的視窗）
+ */
+export function bindCitationLinks(container, getMessages, findMessageElement, onScroll = () => {}) {
+  container.addEventListener('click', (e) => {
+    const link = e.target.closest(`.${CITATION_CLASS}`);
+    if (!link) return;
+
+    const message = getCitedMessage(getMessages(), Number(link.dataset.citation));
+    const messageEl = message?.id ? findMessageElement(message.id) : null;
+    if (messageEl) {
+      e.preventDefault();
+      onScroll();
+      scrollToMessageElement(messageEl);
+    } else if (!message?.permalink) {
+      e.preventDefault();
+    }
+  });
+}
+
+/**
+ * 捲動至訊息並短暫標示
+ * @param {Element} messageEl - 訊息元素
+ */
+function scrollToMessageElement(messageEl) {
+  messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const previousOutline = messageEl.style.outline;
+  const previousBackground = messageEl.style.backgroundColor;
+  messageEl.style.outline = '2px solid #1264a3';
+  messageEl.style.backgroundColor = 'rgba(29, 155, 209, 0.1)';
+  setTimeout(() => {
+    messageEl.style.outline = previousOutline;
+    messageEl.style.backgroundColor = previousBackground;
+  }, HIGHLIGHT_DURATION);
+}
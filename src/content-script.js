@@ -6,12 +6,37 @@
 import { SlackDOMDetector } from './dom-detector.js';
 import { MessageTextExtractor } from './message-extractor.js';
 import { MessageProcessor } from './message-processor.js';
-import { ThreadScrollCollector } from './scroll-collector.js';
+import { NO_UNREAD_DIVIDER_ERROR, ThreadScrollCollector } from './scroll-collector.js';
 import { SummaryButtonManager, ThreadAnalyzer, PreviewModalManager, PageObserver } from './ui-components.js';
 import { MessageHelper } from './message-helper.js';
+import { SummaryPanelManager } from './summary-panel.js';
+import { ThreadChatPanelManager } from './thread-chat-panel.js';
+import { InlineTranslationManager } from './inline-translation.js';
+import { ChannelDigestCollector, buildCatchUpPrompt, buildChannelDigestPrompt, getDateRangeMillis, withThreadReplies } from './channel-digest.js';
+import { buildChatRequest, fitThreadToBudget, fitTurnsToBudget } from './thread-chat.js';
+import { ThreadSummarizer } from './thread-summarizer.js';
+import { loadThreadSummaryState, saveThreadSummaryState } from './thread-summary-state.js';
+import { buildActionItemsPrompt, parseActionItemsResponse, mergeActionItems } from './action-items.js';
+import { extractJsonWithRetry } from './structured-output.js';
+import { buildMyRequestsPrompt, findMessagesMentioningUser, parseMyRequestsResponse, mergeMyRequests } from './my-requests.js';
+import {
+  THREAD_TRANSLATION_CHUNK_TOKENS,
+  buildThreadTranslationPrompt,
+  formatMessagesForTranslation,
+  parseThreadTranslationResponse,
+  protectMessageText,
+  restoreMessageText,
+  splitTranslationChunks
+} from './message-translation.js';
+import { loadImageInputs } from './image-inputs.js';
+import { llmService } from './llm-service.js';
 import { isGeminiPage } from './model-sync.js';
 import { sleep } from './time-utils.js';
 
+/**
+ * 擷取待辦事項或「要我做什麼」時，提示詞說明與 JSON 輸出預留的 token 數
+ */
+const ACTION_ITEMS_PROMPT_RESERVE = 1024;
 
 console.log('Slack Helper content script loaded (webpack bundled)');
 
@@ -29,10 +54,30 @@ class SlackThreadExtractor {
       null, // progressCallback
       this.messageProcessor
     );
+    this.channelDigestCollector = new ChannelDigestCollector(
+      this.domDetector,
+      this.messageExtractor,
+      this.messageProcessor,
+      this.scrollCollector
+    );
     this.buttonManager = new SummaryButtonManager();
     this.threadAnalyzer = new ThreadAnalyzer();
+    this.threadSummarizer = new ThreadSummarizer(this.threadAnalyzer);
     this.previewModal = new PreviewModalManager();
-    this.inputEnhancer = new MessageHelper();
+    this.summaryPanel = new SummaryPanelManager();
+    this.chatPanel = new ThreadChatPanelManager();
+    // 討論串 permalink -> 問答紀錄（僅保存在此頁面中）
+    this.threadChats = new Map();
+    this.inlineTranslator = new InlineTranslationManager({
+      domDetector: this.domDetector,
+      messageExtractor: this.messageExtractor,
+      onTranslate: (message, languageCode) => this.translateMessage(message, languageCode)
+    });
+    this.inputEnhancer = new MessageHelper({
+      domDetector: this.domDetector,
+      scrollCollector: this.scrollCollector,
+      threadAnalyzer: this.threadAnalyzer
+    });
     this.pageObserver = new PageObserver(() => {
       // 使用 Promise 來處理異步調用，但不等待結果
       this.addSummaryButton().catch(error => {
@@ -54,6 +99,7 @@ class SlackThreadExtractor {
       
       // Initialize components
       await this.inputEnhancer.init();
+      await this.setupInlineTranslation();
       this.initialized = true;
       console.log('✅ SlackThreadExtractor initialized successfully');
       
@@ -100,6 +146,9 @@ class SlackThreadExtractor {
       if (this.threadAnalyzer) {
         await this.threadAnalyzer.initializeTranslations();
       }
+
+      // 訊息譯文的介面文字與目標語言跟隨擴充功能語言
+      await this.setupInlineTranslation();
       
       console.log('✅ Language change handled successfully');
     } catch (error) {
@@ -135,6 +184,8 @@ class SlackThreadExtractor {
       console.log('Detected Gemini page, skipping button addition');
       return;
     }
+
+    await this.addChannelDigestButton();
     
     try {
       console.log('🔍 Starting addSummaryButton process...');
@@ -219,6 +270,9 @@ class SlackThreadExtractor {
         threadContainer.insertBefore(summaryButton, threadContainer.firstChild);
         console.log('✅ Button added to thread container start (final fallback)');
       }
+
+      const translateButton = await this.buttonManager.createTranslateThreadButton(e => this.handleTranslateThreadClick(e.currentTarget));
+      summaryButton.after(translateButton);
       
       console.log('🎉 Summary button successfully added!');
       
@@ -227,6 +281,612 @@ class SlackThreadExtractor {
     }
   }
 
+  /**
+   * 載入訊息譯文的介面文字，並以擴充功能語言作為譯文的目標語言（首次呼叫時開始監聽訊息懸停）
+   */
+  async setupInlineTranslation() {
+    this.inlineTranslator.setTranslations(await this.getTranslations());
+    this.inlineTranslator.setLanguage(await this.getCurrentLanguage());
+    this.inlineTranslator.start();
+  }
+
+  /**
+   * 在頻道標題列加入頻道摘要與「跟上進度」按鈕（已存在時略過）
+   */
+  async addChannelDigestButton() {
+    const channelHeader = this.domDetector.findChannelHeader();
+    if (!channelHeader || channelHeader.querySelector(`.${this.buttonManager.digestButtonClass}`)) {
+      return;
+    }
+
+    const digestButton = await this.buttonManager.createChannelDigestButton(e => this.handleChannelDigestClick(e.currentTarget));
+    channelHeader.appendChild(digestButton);
+
+    const catchUpButton = await this.buttonManager.createCatchUpButton(e => this.handleCatchUpClick(e.currentTarget));
+    channelHeader.appendChild(catchUpButton);
+  }
+
+  /**
+   * 產生頻道摘要：選擇日期範圍後向上滾動收集頻道訊息（可展開熱門討論串），再以已設定的 LLM 依主題彙整
+   * @param {HTMLElement} button - 頻道摘要按鈕
+   */
+  async handleChannelDigestClick(button) {
+    const translations = await this.getTranslations();
+    const options = await this.previewModal.showChannelDigestOptions();
+    if (!options) {
+      return;
+    }
+
+    try {
+      const selectedModel = await llmService.getCurrentSelectedModel();
+      if (!selectedModel) {
+        throw new Error(translations?.errors?.digestRequiresLLM || '請先在擴充功能設定中設定 LLM 模型');
+      }
+
+      await this.buttonManager.updateButtonState(button, 'loading', translations?.ui?.collectingMessages || '📜 正在收集所有訊息...');
+      const { startMillis, endMillis } = getDateRangeMillis(options.startDate, options.endDate);
+      const messages = await this.channelDigestCollector.collect({
+        startMillis,
+        endMillis,
+        includeThreads: options.includeThreads,
+        minReplies: options.minReplies,
+        onProgress: progress => {
+          const text = progress.stage === 'thread'
+            ? (translations?.ui?.collectingDigestThread || '🧵 正在收集第 {{current}}/{{total}} 個討論串...')
+              .replace('{{current}}', progress.current)
+              .replace('{{total}}', progress.total)
+            : (translations?.ui?.collectingDigestMessages || '📜 已收集 {{count}} 則頻道訊息...').replace('{{count}}', progress.count);
+          button.innerHTML = text;
+        }
+      });
+
+      if (messages.length === 0) {
+        throw new Error(translations?.errors?.noDigestMessages || '所選日期範圍內沒有訊息');
+      }
+
+      // 頻道中的頂層訊息沒有 thread_ts，permalink 直接指向訊息本身
+      messages.forEach(msg => {
+        if (!msg.permalink) {
+          msg.permalink = this.domDetector.buildMessagePermalink(msg.id) || '';
+        }
+      });
+
+      await this.generateChannelDigest(button, messages, options, selectedModel, translations);
+    } catch (error) {
+      console.error('Channel digest failed:', error);
+      await this.buttonManager.updateButtonState(button, 'error', `${translations?.ui?.error || '❌ 錯誤'}: ${error.message}`);
+      setTimeout(() => this.buttonManager.resetChannelDigestButton(button), 3000);
+      return;
+    }
+
+    this.buttonManager.resetChannelDigestButton(button);
+  }
+
+  /**
+   * 以已設定的 LLM 產生頻道摘要，串流顯示於摘要面板
+   * @param {HTMLElement} button - 頻道摘要按鈕
+   * @param {Array} messages - 日期範圍內的頂層訊息
+   * @param {Object} options - {startDate, endDate}
+   * @param {Object} selectedModel - 目前選擇的模型
+   * @param {Object} translations - 翻譯物件
+   */
+  async generateChannelDigest(button, messages, options, selectedModel, translations) {
+    button.innerHTML = translations?.ui?.generatingSummary || '🤖 正在產生摘要...';
+    const { channel } = this.domDetector.getConversationContext();
+    const title = `${translations?.ui?.channelDigestTitle || '📰 頻道摘要'} ${options.startDate} – ${options.endDate}`;
+    const digestMessages = withThreadReplies(messages);
+
+    this.chatPanel.close();
+    const signal = this.summaryPanel.open({
+      getThreadContainer: () => this.findThreadContainer(),
+      modelName: selectedModel.name,
+      translations,
+      messages,
+      findMessageElement: messageId => this.domDetector.findMessageElement(messageId, this.domDetector.findChannelContainer()),
+      title
+    });
+
+    try {
+      let digestPrompt = '';
+      const digest = await this.threadSummarizer.summarize(digestMessages, {
+        tokenBudget: await llmService.getSummaryTokenBudget(),
+        runPrompt: (prompt, onChunk) => llmService.summarizeStream(prompt, onChunk, { signal }),
+        applyPrompt: async content => (digestPrompt = buildChannelDigestPrompt(content, { channel, ...options })),
+        onProgress: progress => this.summaryPanel.setStatus(this.showSummaryProgress(button, progress, translations)),
+        onChunk: partial => this.summaryPanel.update(partial)
+      });
+      this.summaryPanel.complete(digest);
+      await this.recordSummaryHistory(
+        { allMessages: digestMessages, permalink: '' },
+        `${selectedModel.provider}:${selectedModel.name}`,
+        digest,
+        { prompt: digestPrompt, title }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Channel digest cancelled');
+        return;
+      }
+      this.summaryPanel.showError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 跟上頻道進度：從「新訊息」分隔線收集到最底部，再以已設定的 LLM 產生跟上進度的摘要
+   * @param {HTMLElement} button - 「跟上進度」按鈕
+   */
+  async handleCatchUpClick(button) {
+    const translations = await this.getTranslations();
+
+    try {
+      const selectedModel = await llmService.getCurrentSelectedModel();
+      if (!selectedModel) {
+        throw new Error(translations?.errors?.digestRequiresLLM || '請先在擴充功能設定中設定 LLM 模型');
+      }
+
+      await this.buttonManager.updateButtonState(button, 'loading', translations?.ui?.collectingUnread || '📜 正在收集未讀訊息...');
+      let messages;
+      try {
+        ({ messages } = await this.scrollCollector.collectUnreadChannelMessages());
+      } catch (error) {
+        if (error.code === NO_UNREAD_DIVIDER_ERROR) {
+          throw new Error(translations?.errors?.noUnreadDivider || '此頻道沒有未讀訊息（找不到「新訊息」分隔線）');
+        }
+        throw error;
+      }
+
+      if (messages.length === 0) {
+        throw new Error(translations?.errors?.noUnreadMessages || '「新訊息」分隔線之後沒有可摘要的訊息');
+      }
+
+      messages.forEach(msg => {
+        if (!msg.permalink) {
+          msg.permalink = this.domDetector.buildMessagePermalink(msg.id) || '';
+        }
+      });
+
+      await this.generateCatchUpSummary(button, messages, selectedModel, translations);
+    } catch (error) {
+      console.error('Catch up failed:', error);
+      await this.buttonManager.updateButtonState(button, 'error', `${translations?.ui?.error || '❌ 錯誤'}: ${error.message}`);
+      setTimeout(() => this.buttonManager.resetCatchUpButton(button), 3000);
+      return;
+    }
+
+    this.buttonManager.resetCatchUpButton(button);
+  }
+
+  /**
+   * 以已設定的 LLM 產生跟上進度的摘要，串流顯示於摘要面板
+   * @param {HTMLElement} button - 「跟上進度」按鈕
+   * @param {Array} messages - 未讀訊息
+   * @param {Object} selectedModel - 目前選擇的模型
+   * @param {Object} translations - 翻譯物件
+   */
+  async generateCatchUpSummary(button, messages, selectedModel, translations) {
+    button.innerHTML = translations?.ui?.generatingSummary || '🤖 正在產生摘要...';
+    const { channel } = this.domDetector.getConversationContext();
+    const title = translations?.ui?.catchUpTitle || '⏩ 未讀訊息摘要';
+
+    this.chatPanel.close();
+    const signal = this.summaryPanel.open({
+      getThreadContainer: () => this.findThreadContainer(),
+      modelName: selectedModel.name,
+      translations,
+      messages,
+      findMessageElement: messageId => this.domDetector.findMessageElement(messageId, this.domDetector.findChannelContainer()),
+      title
+    });
+
+    try {
+      let catchUpPrompt = '';
+      const summary = await this.threadSummarizer.summarize(messages, {
+        tokenBudget: await llmService.getSummaryTokenBudget(),
+        runPrompt: (prompt, onChunk) => llmService.summarizeStream(prompt, onChunk, { signal }),
+        applyPrompt: async content => (catchUpPrompt = buildCatchUpPrompt(content, { channel })),
+        onProgress: progress => this.summaryPanel.setStatus(this.showSummaryProgress(button, progress, translations)),
+        onChunk: partial => this.summaryPanel.update(partial)
+      });
+      this.summaryPanel.complete(summary);
+      await this.recordSummaryHistory(
+        { allMessages: messages, permalink: '' },
+        `${selectedModel.provider}:${selectedModel.name}`,
+        summary,
+        { prompt: catchUpPrompt, title }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Catch up cancelled');
+        return;
+      }
+      this.summaryPanel.showError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 使用已設定的 LLM 在 Slack 內產生摘要，並串流顯示於討論串旁的摘要面板
+   * @param {HTMLElement} button - 摘要按鈕
+   * @param {Object} summaryRequest - 摘要請求（見 createSummaryRequest）
+   * @param {Object} translations - 翻譯物件
+   * @param {Object} [options]
+   * @param {boolean} [options.includeImages] - 將討論串圖片作為視覺輸入一併傳給模型
+   */
+  async summarizeInSlack(button, summaryRequest, translations, { includeImages = false } = {}) {
+    const generatingText = translations?.ui?.generatingSummary || '🤖 正在產生摘要...';
+    await this.buttonManager.updateButtonState(button, 'opening', generatingText);
+
+    const selectedModel = await llmService.getCurrentSelectedModel();
+
+    this.chatPanel.close();
+    const signal = this.summaryPanel.open({
+      getThreadContainer: () => this.findThreadContainer(),
+      modelName: selectedModel?.name || '',
+      translations,
+      messages: summaryRequest.allMessages,
+      findMessageElement: messageId => this.domDetector.findMessageElement(messageId)
+    });
+
+    try {
+      let images = [];
+      if (includeImages) {
+        this.summaryPanel.setStatus(translations?.ui?.loadingImages || '🖼️ 正在載入圖片...');
+        const imageInputs = await loadImageInputs(summaryRequest.messages, { signal });
+        images = imageInputs.images;
+        if (imageInputs.skipped > 0) {
+          console.warn(`${imageInputs.skipped} images were skipped (failed to load or over the size budget)`);
+        }
+        this.summaryPanel.setStatus(translations?.ui?.generatingSummary || '🤖 正在產生摘要...');
+      }
+
+      const summary = await this.threadSummarizer.summarize(summaryRequest.messages, {
+        tokenBudget: await llmService.getSummaryTokenBudget(),
+        runPrompt: (prompt, onChunk, promptImages) => llmService.summarizeStream(prompt, onChunk, { signal, images: promptImages }),
+        onProgress: progress => {
+          const progressText = this.showSummaryProgress(button, progress, translations);
+          this.summaryPanel.setStatus(progressText);
+        },
+        onChunk: partial => this.summaryPanel.update(partial),
+        previousSummary: summaryRequest.previousSummary,
+        startIndex: summaryRequest.startIndex,
+        images
+      });
+      this.summaryPanel.complete(summary);
+      await this.saveSummaryState(summaryRequest, summary);
+      await this.recordSummaryHistory(
+        summaryRequest,
+        selectedModel ? `${selectedModel.provider}:${selectedModel.name}` : '',
+        summary
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // 使用者關閉了摘要面板
+        console.log('Summary cancelled');
+        await this.buttonManager.updateButtonState(button, 'default');
+        return;
+      }
+      this.summaryPanel.showError(error.message);
+      throw error;
+    }
+
+    const generatedText = translations?.ui?.summaryGenerated || '✅ 摘要已產生';
+    await this.buttonManager.updateButtonState(button, 'success', generatedText);
+    this.buttonManager.resetButtonAfterDelay(button);
+  }
+
+  /**
+   * 建立摘要請求；選擇增量摘要時只包含上次摘要後的新訊息
+   * @param {Array} messages - 完整討論串訊息
+   * @param {string|null} permalink - 討論串 permalink
+   * @param {Object|null} previousState - 上次摘要狀態（不使用增量摘要時為 null）
+   * @returns {Object} {messages, allMessages, permalink, previousSummary, startIndex}
+   */
+  createSummaryRequest(messages, permalink, previousState) {
+    const lastIndex = previousState ? this.findLastSummarizedIndex(messages, previousState) : -1;
+    if (lastIndex === -1) {
+      return { messages, allMessages: messages, permalink, previousSummary: '', startIndex: 0 };
+    }
+
+    return {
+      messages: messages.slice(lastIndex + 1),
+      allMessages: messages,
+      permalink,
+      previousSummary: previousState.summary,
+      startIndex: lastIndex + 1
+    };
+  }
+
+  /**
+   * 開啟討論串問答面板，以收集到的訊息為上下文；同一討論串再次開啟時延續先前的問答
+   * @param {Array} messages - 收集到的討論串訊息
+   * @param {string|null} permalink - 討論串 permalink（用於保存問答紀錄）
+   * @param {Object} translations - 翻譯物件
+   */
+  async openThreadChat(messages, permalink, translations) {
+    let turns = permalink ? this.threadChats.get(permalink) : null;
+    if (!turns) {
+      turns = [];
+      if (permalink) this.threadChats.set(permalink, turns);
+    }
+
+    const selectedModel = await llmService.getCurrentSelectedModel();
+    this.summaryPanel.close();
+    this.chatPanel.open({
+      getThreadContainer: () => this.findThreadContainer(),
+      modelName: selectedModel?.name || '',
+      translations,
+      messages,
+      turns,
+      findMessageElement: messageId => this.domDetector.findMessageElement(messageId),
+      onAsk: async (question, onChunk, signal) => {
+        const tokenBudget = await llmService.getSummaryTokenBudget();
+        // 長對話只送出最近的問答，避免歷史對話擠掉討論串或超出上下文長度
+        const recentTurns = fitTurnsToBudget(turns, tokenBudget);
+        const { threadText, omittedCount } = fitThreadToBudget(
+          messages,
+          (threadMessages, startIndex) => this.threadAnalyzer.formatMessageList(threadMessages, startIndex),
+          tokenBudget,
+          recentTurns
+        );
+        const { prompt, history } = buildChatRequest(threadText, recentTurns, question, omittedCount);
+        return await llmService.chatStream(prompt, history, onChunk, { signal });
+      }
+    });
+  }
+
+  /**
+   * 為擷取時沒有時間戳連結的訊息，以 Slack ts 組出 permalink（摘要引用 [#n] 會連到這裡）
+   * @param {Array} messages - 討論串訊息（第一則為討論串開頭）
+   */
+  fillMessagePermalinks(messages) {
+    const threadTs = messages[0]?.id;
+    messages.forEach(msg => {
+      if (!msg.permalink) {
+        msg.permalink = this.domDetector.buildMessagePermalink(msg.id, threadTs) || '';
+      }
+    });
+  }
+
+  /**
+   * 找出上次摘要最後一則訊息在目前訊息列表中的位置
+   * @param {Array} messages - 討論串訊息
+   * @param {Object} previousState - 上次摘要狀態
+   * @returns {number} 位置，找不到時為 -1
+   */
+  findLastSummarizedIndex(messages, previousState) {
+    const { lastMessageId } = previousState;
+    // 上次的最後一則訊息可能已被合併進前一則訊息（mergedIds）
+    return messages.findIndex(msg =>
+      this.scrollCollector.generateMessageId(msg) === lastMessageId ||
+      (msg.mergedIds || []).includes(lastMessageId)
+    );
+  }
+
+  /**
+   * 保存此討論串的摘要狀態，供下次增量摘要使用
+   * @param {Object} summaryRequest - 摘要請求
+   * @param {string} summary - 產生的摘要
+   */
+  async saveSummaryState(summaryRequest, summary) {
+    const { allMessages, permalink } = summaryRequest;
+    if (!permalink || !summary || allMessages.length === 0) {
+      return;
+    }
+
+    await saveThreadSummaryState(permalink, {
+      lastMessageId: this.scrollCollector.generateMessageId(allMessages[allMessages.length - 1]),
+      summary,
+      messageCount: allMessages.length
+    });
+  }
+
+  /**
+   * 產生單次送出的完整摘要提示詞（增量摘要時包含上次的摘要）
+   * @param {Object} summaryRequest - 摘要請求
+   * @returns {Promise<string>}
+   */
+  async buildSummaryPrompt(summaryRequest) {
+    return await this.threadAnalyzer.applySummaryPrompt(
+      this.threadSummarizer.formatThreadContent(summaryRequest.messages, summaryRequest)
+    );
+  }
+
+  /**
+   * 將此次摘要寫入摘要紀錄（由背景腳本存入 IndexedDB）
+   * @param {Object} summaryRequest - 摘要請求（頻道摘要與跟上進度只需 allMessages 與 permalink）
+   * @param {string} model - 使用的模型（provider:model）
+   * @param {string} output - 摘要內容；在 Gemini 網頁中產生的摘要無法取得，為空字串
+   * @param {Object} [options]
+   * @param {string} [options.prompt] - 實際送出的提示詞；未提供時依討論串摘要請求重新產生
+   * @param {string} [options.title] - 紀錄標題，例如頻道摘要的日期範圍
+   */
+  async recordSummaryHistory(summaryRequest, model, output, { prompt = null, title = '' } = {}) {
+    try {
+      const { workspace, channel } = this.domDetector.getConversationContext();
+      const threadInfo = await this.threadAnalyzer.analyzeThread(summaryRequest.allMessages);
+      const summaryPrompt = prompt ?? await this.buildSummaryPrompt(summaryRequest);
+
+      chrome.runtime.sendMessage({
+        action: 'saveSummaryHistory',
+        entry: {
+          workspace,
+          channel,
+          title,
+          threadLink: summaryRequest.permalink || '',
+          participants: threadInfo.participants,
+          messageCount: threadInfo.messageCount,
+          model,
+          prompt: summaryPrompt,
+          output
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.warn('Failed to save summary history:', chrome.runtime.lastError || response?.error);
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to record summary history:', error);
+    }
+  }
+
+  /**
+   * 在摘要按鈕上顯示分段摘要的進度
+   * @param {HTMLElement} button - 摘要按鈕
+   * @param {Object} progress - 進度 ({stage: 'chunk'|'merge', current, total})
+   * @param {Object} translations - 翻譯物件
+   * @returns {string} 顯示的進度文字
+   */
+  showSummaryProgress(button, progress, translations) {
+    const progressText = progress.stage === 'chunk'
+      ? (translations?.ui?.summarizingChunk || '🧩 正在摘要第 {{current}}/{{total}} 段...')
+        .replace('{{current}}', progress.current)
+        .replace('{{total}}', progress.total)
+      : translations?.ui?.mergingSummaries || '🔗 正在合併分段摘要...';
+
+    this.buttonManager.updateButtonState(button, 'opening', progressText);
+    return progressText;
+  }
+
+  /**
+   * 使用已設定的 LLM 擷取待辦事項、決策與未解問題（結構化 JSON）
+   * 討論串超過 token 預算時分段擷取後合併
+   * @param {Array} messages - 討論串訊息
+   * @param {Function} onProgress - 進度回呼 ({current, total})
+   * @returns {Promise<Object>} 符合 ACTION_ITEMS_SCHEMA 的資料
+   */
+  async extractActionItems(messages, onProgress = () => {}) {
+    const tokenBudget = await llmService.getSummaryTokenBudget();
+    const chunks = this.threadSummarizer.splitMessagesByTokenBudget(messages, tokenBudget - ACTION_ITEMS_PROMPT_RESERVE);
+
+    const results = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress({ current: i + 1, total: chunks.length });
+      const messageText = this.threadAnalyzer.formatMessageList(chunks[i].messages, chunks[i].startIndex);
+      results.push(await extractJsonWithRetry(buildActionItemsPrompt(messageText), parseActionItemsResponse));
+    }
+
+    return mergeActionItems(results);
+  }
+
+  /**
+   * 使用已設定的 LLM 擷取直接對目前使用者提出的請求、問題與提及（結構化 JSON）
+   * 目前使用者由 Slack 的個人檔案按鈕辨識；討論串超過 token 預算時分段擷取後合併
+   * @param {Array} messages - 討論串訊息
+   * @param {Function} onProgress - 進度回呼 ({current, total})
+   * @returns {Promise<Object>} 符合 MY_REQUESTS_SCHEMA 的資料
+   */
+  async extractMyRequests(messages, onProgress = () => {}) {
+    const currentUser = this.domDetector.getCurrentUser();
+    if (!currentUser) {
+      const translations = await this.getTranslations();
+      throw new Error(translations?.errors?.currentUserNotFound || '無法辨識目前登入的使用者');
+    }
+
+    const tokenBudget = await llmService.getSummaryTokenBudget();
+    const chunks = this.threadSummarizer.splitMessagesByTokenBudget(messages, tokenBudget - ACTION_ITEMS_PROMPT_RESERVE);
+
+    const results = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress({ current: i + 1, total: chunks.length });
+      const { messages: chunkMessages, startIndex } = chunks[i];
+      const messageText = this.threadAnalyzer.formatMessageList(chunkMessages, startIndex);
+      const mentionedNumbers = findMessagesMentioningUser(chunkMessages, currentUser, startIndex);
+      const prompt = buildMyRequestsPrompt(messageText, currentUser, mentionedNumbers);
+      results.push(await extractJsonWithRetry(prompt, parseMyRequestsResponse));
+    }
+
+    return mergeMyRequests(results);
+  }
+
+  /**
+   * 翻譯整個討論串：以 ThreadScrollCollector 收集所有訊息，分段翻譯尚未快取的訊息後顯示在各訊息下方
+   * @param {HTMLElement} button - 翻譯討論串按鈕
+   */
+  async handleTranslateThreadClick(button) {
+    const translations = await this.getTranslations();
+
+    try {
+      const selectedModel = await llmService.getCurrentSelectedModel();
+      if (!selectedModel) {
+        throw new Error(translations?.errors?.digestRequiresLLM || '請先在擴充功能設定中設定 LLM 模型');
+      }
+
+      await this.buttonManager.updateButtonState(button, 'loading', translations?.ui?.collectingMessages || '📜 正在收集所有訊息...');
+      const messages = (await this.scrollCollector.collectCompleteThreadMessages())
+        .filter(message => message.id && message.text && message.text.trim());
+      if (messages.length === 0) {
+        throw new Error(translations?.errors?.noThreadMessages || '未找到討論串訊息');
+      }
+
+      const languageCode = this.inlineTranslator.languageCode;
+      const untranslated = messages.filter(message => this.inlineTranslator.getCachedTranslation(message.id) === null);
+      const results = await this.translateMessages(untranslated, languageCode, ({ current, total }) => {
+        button.innerHTML = (translations?.ui?.translatingThread || '🌐 正在翻譯第 {{current}}/{{total}} 段...')
+          .replace('{{current}}', current)
+          .replace('{{total}}', total);
+      });
+      results.forEach((text, messageId) => this.inlineTranslator.cacheTranslation(messageId, text, languageCode));
+      this.inlineTranslator.showTranslations(messages.map(message => message.id));
+
+      button.innerHTML = (translations?.ui?.threadTranslated || '✅ 已翻譯 {{count}} 則訊息').replace('{{count}}', messages.length);
+      setTimeout(() => this.buttonManager.resetTranslateThreadButton(button), 2000);
+    } catch (error) {
+      console.error('Thread translation failed:', error);
+      await this.buttonManager.updateButtonState(button, 'error', `${translations?.ui?.error || '❌ 錯誤'}: ${error.message}`);
+      setTimeout(() => this.buttonManager.resetTranslateThreadButton(button), 3000);
+    }
+  }
+
+  /**
+   * 使用已設定的 LLM 翻譯單則訊息（沿用 translate 動作，提及與連結以佔位符保護）
+   * @param {Object} message - 訊息
+   * @param {string} languageCode - 目標語言代碼
+   * @returns {Promise<string>} 譯文
+   */
+  async translateMessage(message, languageCode) {
+    const { text, tokens } = protectMessageText(message);
+    const translation = await llmService.processText(text, 'translate', '', { targetLanguage: languageCode });
+    return restoreMessageText(translation, tokens);
+  }
+
+  /**
+   * 分段批次翻譯多則訊息（結構化 JSON）；單則就超過分段上限或模型遺漏的訊息改為逐則翻譯
+   * @param {Array} messages - 要翻譯的訊息
+   * @param {string} languageCode - 目標語言代碼
+   * @param {Function} onProgress - 進度回呼 ({current, total})
+   * @returns {Promise<Map<string, string>>} 訊息 ID -> 譯文
+   */
+  async translateMessages(messages, languageCode, onProgress = () => {}) {
+    const tokenBudget = await llmService.getSummaryTokenBudget();
+    const chunkBudget = Math.min(tokenBudget - ACTION_ITEMS_PROMPT_RESERVE, THREAD_TRANSLATION_CHUNK_TOKENS);
+
+    // text 為已保護的內容（分段與批次翻譯都只看這份內容），original 保留原訊息供逐則翻譯使用
+    const entries = messages.map(message => ({ id: message.id, ...protectMessageText(message), original: message }));
+    const { chunks, oversized: longEntries } = splitTranslationChunks(entries, chunkBudget);
+
+    const results = new Map();
+    const total = chunks.length + longEntries.length;
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress({ current: i + 1, total });
+      const chunkEntries = chunks[i];
+      const prompt = buildThreadTranslationPrompt(formatMessagesForTranslation(chunkEntries.map(entry => entry.text)), languageCode);
+      const translated = await extractJsonWithRetry(prompt, parseThreadTranslationResponse);
+
+      for (const [index, entry] of chunkEntries.entries()) {
+        const text = translated.get(index + 1);
+        results.set(entry.id, text ? restoreMessageText(text, entry.tokens) : await this.translateMessage(entry.original, languageCode));
+      }
+    }
+
+    for (let i = 0; i < longEntries.length; i++) {
+      onProgress({ current: chunks.length + i + 1, total });
+      results.set(longEntries[i].id, await this.translateMessage(longEntries[i].original, languageCode));
+    }
+
+    return results;
+  }
+
   async handleSummaryClick() {
     const button = document.querySelector('.slack-helper-btn');
     
@@ -256,6 +916,7 @@ class SlackThreadExtractor {
       }
 
       console.log(`成功收集到 ${messages.length} 條完整訊息`);
+      this.fillMessagePermalinks(messages);
       const collectedText = translations?.ui?.messagesCollected || '✅ 訊息收集完成';
       await this.buttonManager.updateButtonState(button, 'loading', collectedText);
       
@@ -266,8 +927,30 @@ class SlackThreadExtractor {
       const showingPreviewText = translations?.ui?.showingPreview || '📋 顯示預覽...';
       await this.buttonManager.updateButtonState(button, 'loading', showingPreviewText);
       
-      const result = await this.previewModal.showThreadPreview(messages);
+      // 有上次摘要且有新訊息時，提供只摘要新訊息的增量模式
+      const permalink = this.domDetector.findThreadPermalink(messages[0]?.id);
+      const previousState = await loadThreadSummaryState(permalink);
+      const lastSummarizedIndex = previousState ? this.findLastSummarizedIndex(messages, previousState) : -1;
+      const newMessageCount = lastSummarizedIndex === -1 ? 0 : messages.length - lastSummarizedIndex - 1;
+      const incremental = newMessageCount > 0
+        ? { newMessageCount, updatedAt: previousState.updatedAt }
+        : null;
+
+      const result = await this.previewModal.showThreadPreview(messages, {
+        incremental,
+        visionAvailable: await llmService.isVisionModelSelected(),
+        chatAvailable: true,
+        extractActionItems: (threadMessages, onProgress) => this.extractActionItems(threadMessages, onProgress),
+        extractMyRequests: (threadMessages, onProgress) => this.extractMyRequests(threadMessages, onProgress),
+        findMessageElement: messageId => this.domDetector.findMessageElement(messageId)
+      });
       
+      if (result?.chat) {
+        await this.openThreadChat(result.messages, permalink, translations);
+        await this.buttonManager.updateButtonState(button, 'default');
+        return;
+      }
+
       if (!result || !result.confirmed) {
         console.log('User cancelled the operation');
         await this.buttonManager.updateButtonState(button, 'default');
@@ -276,17 +959,29 @@ class SlackThreadExtractor {
 
       // 從模態框結果中獲取選擇的模型
       const selectedModel = result.selectedModel || 'auto';
+      const summaryRequest = this.createSummaryRequest(
+        result.messages,
+        permalink,
+        incremental && result.incremental ? previousState : null
+      );
+
+      // 在 Slack 內摘要：使用已設定的 LLM，結果顯示於討論串旁的面板
+      if (PreviewModalManager.isLLMSummaryModel(selectedModel)) {
+        await this.summarizeInSlack(button, summaryRequest, translations, { includeImages: result.includeImages });
+        return;
+      }
 
       // Format messages for Gemini
       const openingGeminiText = translations?.ui?.openingGemini || '🚀 正在開啟 Gemini...';
       await this.buttonManager.updateButtonState(button, 'opening', openingGeminiText);
 
-      const formattedMessages = await this.threadAnalyzer.formatMessagesForGemini(result.messages);
+      const formattedMessages = await this.buildSummaryPrompt(summaryRequest);
       
       console.log('Sending messages to background script');
       
       // Send to background script to open Gemini
       this.sendMessageToBackground(formattedMessages, selectedModel);
+      await this.recordSummaryHistory(summaryRequest, `gemini-web:${selectedModel}`, '');
 
       await this.buttonManager.updateButtonState(button, 'success');
       this.buttonManager.resetButtonAfterDelay(button);
@@ -345,7 +1040,7 @@ class SlackThreadExtractor {
       const rawMessages = [];
       for (const messageEl of messageElements) {
         const messageData = this.messageExtractor.extractSingleMessage(messageEl);
-        if (messageData && messageData.text && messageData.text.trim()) {
+        if (this.messageExtractor.hasMessageContent(messageData)) {
           rawMessages.push(messageData);
         }
       }
@@ -446,7 +1141,11 @@ class SlackThreadExtractor {
         collectingMessages: '📜 正在收集所有訊息...',
         messagesCollected: '✅ 訊息收集完成',
         showingPreview: '📋 顯示預覽...',
-        openingGemini: '🚀 正在開啟 Gemini...'
+        openingGemini: '🚀 正在開啟 Gemini...',
+        generatingSummary: '🤖 正在產生摘要...',
+        summaryGenerated: '✅ 摘要已產生',
+        summarizingChunk: '🧩 正在摘要第 {{current}}/{{total}} 段...',
+        mergingSummaries: '🔗 正在合併分段摘要...'
       },
       errors: {
         noThreadMessages: '未找到討論串訊息'
@@ -3,6 +3,8 @@
  * Handles finding and identifying Slack thread elements in the DOM
  */
 
+import { normalizeSlackTs } from './time-utils.js';
+
 export class SlackDOMDetector {
   constructor() {
     // Updated selectors based on actual Slack DOM structure
@@ -24,6 +26,36 @@ export class SlackDOMDetector {
       '.p-message_pane__foreground'
     ];
 
+    // Main channel message pane (used by the channel digest)
+    this.channelPaneSelectors = [
+      '[data-qa="message_pane"]',
+      '.p-message_pane',
+      '.p-workspace__primary_view_body'
+    ];
+
+    // Channel header, where the channel digest button is placed
+    this.channelHeaderSelectors = [
+      '.p-view_header__actions',
+      '[data-qa="channel_header"]',
+      '.p-view_header'
+    ];
+
+    // "New messages" divider shown above the first unread message in the channel pane
+    this.unreadDividerSelectors = [
+      '[data-qa="new_messages_divider"]',
+      '[data-qa="unread_divider"]',
+      '.c-message_list__unread_divider',
+      '.p-message_pane__unread_divider'
+    ];
+
+    // Slack's own profile button (the current user's avatar in the sidebar / top bar)
+    this.currentUserSelectors = [
+      '[data-qa="user-button"]',
+      '[data-qa="user_button"]',
+      '.p-ia4_client__user_button',
+      '.p-ia__nav__user__button'
+    ];
+
     // More specific message selectors for threads based on actual DOM
     this.threadMessageSelectors = [
       '[data-qa="threads_flexpane"] [data-qa="virtual-list-item"]',
@@ -511,6 +543,208 @@ export class SlackDOMDetector {
     return null;
   }
 
+  /**
+   * Find a stable permalink for the currently open thread.
+   * Uses the thread route in the URL (/client/T../C../thread/C..-ts) when present,
+   * otherwise the timestamp link of the root message in the thread pane,
+   * and finally a permalink built from the root message's Slack ts.
+   * @param {string} [rootMessageId] - Slack ts of the thread root (message.id)
+   * @returns {string|null} Thread permalink
+   */
+  findThreadPermalink(rootMessageId) {
+    const threadRoute = window.location.pathname.match(/^(.*\/thread\/[^/?#]+)/);
+    if (threadRoute) {
+      return `${window.location.origin}${threadRoute[1]}`;
+    }
+
+    const threadContainer = this.findThreadContainer();
+    const rootTimestamp = threadContainer?.querySelector('a.c-timestamp[href]');
+    if (rootTimestamp) {
+      // 移除 thread_ts 等查詢參數，只保留訊息本身的連結
+      return rootTimestamp.href.split('?')[0];
+    }
+
+    return this.buildMessagePermalink(rootMessageId);
+  }
+
+  /**
+   * Build a Slack archive permalink (…/archives/C../p<ts>) for a message id.
+   * The workspace origin and channel are taken from an existing timestamp link
+   * on the page, or from the /client/T../C.. route.
+   * @param {string} messageId - Slack ts of the message ("seconds.micros")
+   * @param {string} [threadTs] - Slack ts of the thread root, for replies
+   * @returns {string|null} Message permalink
+   */
+  buildMessagePermalink(messageId, threadTs) {
+    if (!/^\d+\.\d+$/.test(messageId || '')) {
+      return null;
+    }
+
+    let archiveBase = null;
+    const anyTimestamp = document.querySelector('a.c-timestamp[href*="/archives/"]');
+    const archiveMatch = anyTimestamp?.href.match(/^(https?:\/\/[^/]+\/archives\/[A-Z0-9]+)\//);
+    if (archiveMatch) {
+      archiveBase = archiveMatch[1];
+    } else {
+      const routeMatch = window.location.pathname.match(/^\/client\/[A-Z0-9]+\/([A-Z0-9]+)/);
+      if (routeMatch) {
+        archiveBase = `${window.location.origin}/archives/${routeMatch[1]}`;
+      }
+    }
+
+    if (!archiveBase) {
+      return null;
+    }
+
+    const permalink = `${archiveBase}/p${messageId.replace('.', '')}`;
+    if (threadTs && threadTs !== messageId) {
+      const channelId = archiveBase.split('/').pop();
+      return `${permalink}?thread_ts=${threadTs}&cid=${channelId}`;
+    }
+    return permalink;
+  }
+
+  /**
+   * Find the rendered element of a message by its Slack ts.
+   * Slack virtualizes long threads, so messages scrolled far away may not be in the DOM.
+   * @param {string} messageId - Slack ts of the message (message.id)
+   * @param {Element} [container] - Where to search; defaults to the open thread, then the whole page
+   * @returns {Element|null} Message element
+   */
+  findMessageElement(messageId, container = null) {
+    if (!messageId) return null;
+
+    const root = container || this.findThreadContainer() || document;
+    const listItem = root.querySelector(`[data-item-key="${CSS.escape(messageId)}"]`);
+    if (listItem) return listItem;
+
+    const timestampLink = root.querySelector(`a.c-timestamp[href*="/p${messageId.replace('.', '')}"]`) ||
+      root.querySelector(`[data-ts="${CSS.escape(messageId)}"]`);
+    return timestampLink?.closest('[data-qa="message_container"], .c-message_kit__message, [role="listitem"]') || null;
+  }
+
+  /**
+   * Find the main channel message pane (outside the thread flexpane)
+   * @returns {Element|null} Channel pane
+   */
+  findChannelContainer() {
+    for (const selector of this.channelPaneSelectors) {
+      const element = document.querySelector(selector);
+      const rect = element?.getBoundingClientRect();
+      if (rect && rect.width > 0 && rect.height > 0) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the "New messages" divider in the channel pane
+   * @param {Element} channelContainer - Channel pane
+   * @returns {Element|null} Divider element
+   */
+  findUnreadDivider(channelContainer) {
+    for (const selector of this.unreadDividerSelectors) {
+      const divider = channelContainer.querySelector(selector);
+      if (divider) {
+        return divider;
+      }
+    }
+
+    // Fallback: a separator whose label reads "New" / "新訊息"
+    return Array.from(channelContainer.querySelectorAll('[role="separator"]'))
+      .find(element => /^(new|new messages|新訊息|新的訊息)$/i.test(element.textContent.trim())) || null;
+  }
+
+  /**
+   * Get the Slack ts of the first message below the unread divider
+   * @param {Element} divider - Unread divider
+   * @returns {string} Slack ts or empty string
+   */
+  getFirstUnreadTs(divider) {
+    let item = divider.closest('[data-item-key], [role="listitem"]') || divider;
+    for (let i = 0; i < 5 && item; i++) {
+      item = item.nextElementSibling;
+      const ts = normalizeSlackTs(item?.getAttribute('data-item-key')) ||
+        normalizeSlackTs(item?.querySelector('[data-ts]')?.getAttribute('data-ts')) ||
+        normalizeSlackTs(item?.querySelector('a.c-timestamp[href]')?.getAttribute('href'));
+      if (ts) {
+        return ts;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Find the channel header
+   * @returns {Element|null} Channel header
+   */
+  findChannelHeader() {
+    for (const selector of this.channelHeaderSelectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the message elements currently rendered in the channel pane
+   * @param {Element} channelContainer - Channel pane
+   * @returns {Array<Element>} Message elements, excluding anything inside a thread pane
+   */
+  findChannelMessageElements(channelContainer) {
+    return this.findMessagesInContainer(channelContainer, false)
+      .filter(element => !this.threadSelectors.some(selector => element.closest(selector)));
+  }
+
+  /**
+   * Get the workspace and channel names of the current conversation
+   * @returns {{workspace: string, channel: string}}
+   */
+  getConversationContext() {
+    const channelElement = document.querySelector('[data-qa="channel_name"], .p-view_header__channel_title');
+    const workspaceElement = document.querySelector('[data-qa="team-name"], .p-ia4_home_header_menu__team_name');
+
+    // Slack 的頁面標題格式為「頻道 (Channel) - 工作區 - Slack」
+    const titleParts = document.title.split(' - ');
+
+    return {
+      workspace: workspaceElement?.textContent.trim() ||
+        (titleParts.length >= 3 ? titleParts[titleParts.length - 2].trim() : ''),
+      channel: channelElement?.textContent.trim() ||
+        (titleParts[0] || '').replace(/\s*\(.*\)$/, '').trim()
+    };
+  }
+
+  /**
+   * Identify the signed-in user from Slack's profile button
+   * @returns {{id: string, name: string}|null} The current user, or null when the profile button is not found
+   */
+  getCurrentUser() {
+    for (const selector of this.currentUserSelectors) {
+      const button = document.querySelector(selector);
+      if (!button) continue;
+
+      const avatar = button.querySelector('img[alt]');
+      // aria-label usually looks like "User: Jane Doe"; keep only the name
+      const ariaLabel = (button.getAttribute('aria-label') || '').replace(/^[^:：]*[:：]\s*/, '');
+      const name = (avatar?.getAttribute('alt') || ariaLabel || '').trim();
+      const idHolder = button.querySelector('[data-user-id], [data-member-id]') || button;
+      const id = idHolder.getAttribute('data-user-id') || idHolder.getAttribute('data-member-id') ||
+        (avatar?.getAttribute('src')?.match(/\b[UW][A-Z0-9]{8,}\b/) || [])[0] ||
+        '';
+
+      if (name || id) {
+        return { id, name };
+      }
+    }
+
+    console.log('Current user profile button not found');
+    return null;
+  }
+
   /**
    * Remove duplicate elements from an array
    * @param {Array<Element>} elements - Array of elements
@@ -0,0 +1,63 @@
+/**
+ * Draft Translation Module
+ * 送出前將草稿翻譯為其他語言；提及、表情符號代碼、程式碼與連結先由 SlackMessageFormatter 以佔位符保護
+ * 最後使用的目標語言存放於 chrome.storage.local 的 lastTranslationLanguage
+ */
+
+export const LAST_TRANSLATION_LANGUAGE_STORAGE_KEY = 'lastTranslationLanguage';
+
+/**
+ * 可選的目標語言：name 用於提示詞，label 以該語言本身顯示
+ */
+export const TRANSLATION_LANGUAGES = [
+  { code: 'en', name: 'English', label: 'English' },
+  { code: 'zh-TW', name: 'Traditional Chinese (Taiwan)', label: '繁體中文' },
+  { code: 'zh-CN', name: 'Simplified Chinese', label: '简体中文' },
+  { code: 'ja', name: 'Japanese', label: '日本語' },
+  { code: 'ko', name: 'Korean', label: '한국어' }
+];
+
+export const DEFAULT_TRANSLATION_LANGUAGE = 'en';
+
+/**
+ * 取得目標語言
+ * @param {string} code - 語言代碼
+ * @returns {Object|null}
+ */
+export function getTranslationLanguage(code) {
+  return TRANSLATION_LANGUAGES.find(language => language.code === code) || null;
+}
+
+/**
+ * 產生翻譯提示詞
+ * @param {string} text - 已用佔位符保護的草稿
+ * @param {string} languageCode - 目標語言代碼
+ * @returns {string}
+ */
+export function buildTranslationPrompt(text, languageCode) {
+  const language = getTranslationLanguage(languageCode)?.name || languageCode;
+  return `Translate the following Slack message into ${language}. ` +
+    'Keep the tone, line breaks and Markdown formatting of the original. ' +
+    'Placeholders such as ⟦1⟧ stand for mentions, emoji, code and links: copy each of them unchanged into the right place. ' +
+    'Return only the translation:\n\n' +
+    text;
+}
+
+/**
+ * 讀取上次使用的目標語言
+ * @returns {Promise<string>}
+ */
+export async function loadLastTranslationLanguage() {
+  const result = await chrome.storage.local.get([LAST_TRANSLATION_LANGUAGE_STORAGE_KEY]);
+  const code = result[LAST_TRANSLATION_LANGUAGE_STORAGE_KEY];
+  return getTranslationLanguage(code) ? code : DEFAULT_TRANSLATION_LANGUAGE;
+}
+
+/**
+ * 記住這次使用的目標語言
+ * @param {string} code - 語言代碼
+ * @returns {Promise<void>}
+ */
+export async function saveLastTranslationLanguage(code) {
+  await chrome.storage.local.set({ [LAST_TRANSLATION_LANGUAGE_STORAGE_KEY]: code });
+}
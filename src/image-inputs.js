@@ -0,0 +1,135 @@
+/**
+ * Image Inputs Module
+ * 以目前的 Slack 登入狀態下載討論串圖片，縮小並轉為 base64，作為視覺模型的輸入
+ */
+
+/**
+ * 圖片最長邊（px），超過時等比例縮小
+ */
+const MAX_IMAGE_DIMENSION = 1024;
+
+/**
+ * 單次摘要所有圖片的大小上限（base64 字元數）
+ */
+const MAX_TOTAL_IMAGE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * 單次摘要最多附上的圖片數
+ */
+const MAX_IMAGES = 10;
+
+const JPEG_QUALITY = 0.85;
+
+/**
+ * 取得訊息中所有圖片附件（依討論串順序）
+ * @param {Array} messages - 討論串訊息
+ * @returns {Array} 圖片附件
+ */
+export function getImageAttachments(messages) {
+  return messages.flatMap(msg => (msg.attachments || []).filter(attachment => attachment.kind === 'image'));
+}
+
+/**
+ * 下載並縮小圖片附件，超過數量或大小上限的圖片會被略過
+ * @param {Array} messages - 討論串訊息（只處理其中的圖片附件）
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 取消訊號
+ * @returns {Promise<{images: Array<{number: number, label: string, dataUrl: string}>, skipped: number}>}
+ */
+export async function loadImageInputs(messages, { signal } = {}) {
+  const attachments = getImageAttachments(messages);
+  const images = [];
+  let totalBytes = 0;
+  let skipped = 0;
+
+  for (const attachment of attachments) {
+    if (images.length >= MAX_IMAGES) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const dataUrl = await loadDownscaledImage(attachment, signal);
+      if (totalBytes + dataUrl.length > MAX_TOTAL_IMAGE_BYTES) {
+        skipped++;
+        continue;
+      }
+
+      totalBytes += dataUrl.length;
+      images.push({
+        number: attachment.number,
+        label: `Image ${attachment.number}: ${attachment.alt || attachment.name}`,
+        dataUrl
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn(`Failed to load image ${attachment.number}:`, error);
+      skipped++;
+    }
+  }
+
+  console.log(`🖼️ Loaded ${images.length} images for vision input (${Math.round(totalBytes / 1024)} KB, ${skipped} skipped)`);
+  return { images, skipped };
+}
+
+/**
+ * 下載單張圖片並縮小為 JPEG data URL
+ * 原圖下載失敗時改用已載入的縮圖
+ * @param {Object} attachment - 圖片附件
+ * @param {AbortSignal} [signal] - 取消訊號
+ * @returns {Promise<string>} data URL
+ */
+async function loadDownscaledImage(attachment, signal) {
+  const urls = [attachment.url, attachment.thumbnailUrl].filter(Boolean);
+  let lastError = null;
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(url, { credentials: 'include', signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      if (!blob.type.startsWith('image/')) {
+        throw new Error(`Unexpected content type: ${blob.type || 'unknown'}`);
+      }
+
+      return await downscaleImage(blob);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No image URL');
+}
+
+/**
+ * 將圖片等比例縮小至 MAX_IMAGE_DIMENSION 以內並轉為 JPEG
+ * @param {Blob} blob - 圖片資料
+ * @returns {Promise<string>} data URL
+ */
+async function downscaleImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const context = canvas.getContext('2d');
+    // 透明背景的 PNG 轉 JPEG 時以白色填底
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+  } finally {
+    bitmap.close();
+  }
+}
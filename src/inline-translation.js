@@ -0,0 +1,443 @@
+/**
+ * Inline Translation Module
+ * 在討論串與頻道的訊息上提供「翻譯」懸停按鈕，將譯文顯示在原訊息下方
+ * 譯文依訊息 ID 快取（僅保存在此頁面中）
+ */
+
+import { getTranslationLanguage } from './draft-translation.js';
+
+const HOVER_BUTTON_SIZE = 28;
+const HOVER_BUTTON_OFFSET = 8;
+const RESTORE_DELAY = 300;
+
+/**
+ * Inline Translation Manager
+ * 管理懸停按鈕、譯文區塊與快取；實際翻譯由呼叫端提供的 onTranslate 執行
+ */
+export class InlineTranslationManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.domDetector - SlackDOMDetector
+   * @param {Object} options.messageExtractor - MessageTextExtractor
+   * @param {Function} options.onTranslate - (message, languageCode) => Promise<string>，實際呼叫 LLM
+   */
+  constructor({ domDetector, messageExtractor, onTranslate }) {
+    this.domDetector = domDetector;
+    this.messageExtractor = messageExtractor;
+    this.onTranslate = onTranslate;
+    this.blockClass = 'slack-helper-inline-translation';
+    this.hoverButtonClass = 'slack-helper-translate-hover-btn';
+    this.messageSelector = '[data-qa="message_container"], .c-message_kit__message';
+    this.translations = null;
+    this.languageCode = 'zh-TW';
+    this.hoverButton = null;
+    this.hoveredMessage = null;
+    // `${語言代碼}:${訊息 ID}` -> 譯文
+    this.cache = new Map();
+    // 翻譯中的請求，避免同一則訊息重複送出
+    this.pending = new Map();
+    // 目前顯示譯文的訊息；Slack 的虛擬清單重新繪製訊息後依此補回譯文
+    this.shownIds = new Set();
+    this.observer = null;
+    this.restoreTimer = null;
+
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.hideHoverButton = this.hideHoverButton.bind(this);
+  }
+
+  /**
+   * 開始監聽訊息的懸停事件（只需呼叫一次）
+   */
+  start() {
+    if (this.hoverButton) {
+      return;
+    }
+
+    this.ensureStyles();
+
+    const button = document.createElement('button');
+    button.className = this.hoverButtonClass;
+    button.textContent = '🌐';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.hoveredMessage) {
+        this.toggleTranslation(this.hoveredMessage);
+      }
+    });
+    document.body.appendChild(button);
+    this.hoverButton = button;
+
+    document.addEventListener('mouseover', this.handleMouseOver);
+    // 捲動時訊息位置改變，先隱藏按鈕，等滑鼠再次移入訊息時重新定位
+    document.addEventListener('scroll', this.hideHoverButton, true);
+
+    this.observer = new MutationObserver(() => this.scheduleRestore());
+  }
+
+  /**
+   * 設定介面文字
+   * @param {Object} translations - 翻譯物件
+   */
+  setTranslations(translations) {
+    this.translations = translations;
+  }
+
+  /**
+   * 設定譯文的目標語言；語言改變時移除已顯示的譯文
+   * @param {string} languageCode - 語言代碼
+   */
+  setLanguage(languageCode) {
+    if (languageCode === this.languageCode) {
+      return;
+    }
+    this.languageCode = languageCode;
+    this.shownIds.clear();
+    document.querySelectorAll(`.${this.blockClass}`).forEach(block => block.remove());
+  }
+
+  /**
+   * 取得已快取的譯文
+   * @param {string} messageId - 訊息 ID（Slack ts）
+   * @returns {string|null}
+   */
+  getCachedTranslation(messageId) {
+    return this.cache.get(`${this.languageCode}:${messageId}`) ?? null;
+  }
+
+  /**
+   * 快取譯文
+   * @param {string} messageId - 訊息 ID（Slack ts）
+   * @param {string} text - 譯文
+   * @param {string} [languageCode] - 譯文的語言；預設為目前的目標語言
+   */
+  cacheTranslation(messageId, text, languageCode = this.languageCode) {
+    this.cache.set(`${languageCode}:${messageId}`, text);
+  }
+
+  /**
+   * 在原訊息下方顯示已快取的譯文（目前未繪製的訊息會在捲動到時補上）
+   * @param {Array<string>} messageIds - 訊息 ID
+   */
+  showTranslations(messageIds) {
+    messageIds
+      .filter(messageId => this.getCachedTranslation(messageId) !== null)
+      .forEach(messageId => this.shownIds.add(messageId));
+    this.observeMessages();
+    this.restoreTranslations();
+  }
+
+  /**
+   * 移除訊息的譯文
+   * @param {string} messageId - 訊息 ID
+   */
+  hideTranslation(messageId) {
+    this.shownIds.delete(messageId);
+    document.querySelectorAll(`.${this.blockClass}[data-message-id="${CSS.escape(messageId)}"]`)
+      .forEach(block => block.remove());
+  }
+
+  /**
+   * 切換單則訊息的譯文：已顯示時移除，否則翻譯（有快取時直接使用）後顯示
+   * @param {Element} messageEl - 訊息元素
+   */
+  async toggleTranslation(messageEl) {
+    const message = this.messageExtractor.extractSingleMessage(messageEl);
+    if (!message?.id || !message.text?.trim()) {
+      return;
+    }
+
+    if (this.shownIds.has(message.id)) {
+      this.hideTranslation(message.id);
+      this.updateHoverButton();
+      return;
+    }
+
+    if (this.getCachedTranslation(message.id) !== null) {
+      this.showTranslations([message.id]);
+      this.updateHoverButton();
+      return;
+    }
+
+    const languageCode = this.languageCode;
+    const block = this.renderBlock(messageEl, message.id);
+    this.setBlockText(block, this.t('translatingMessage', '🌐 正在翻譯...'), 'loading');
+    this.shownIds.add(message.id);
+    this.updateHoverButton();
+
+    try {
+      const text = await this.requestTranslation(message, languageCode);
+      this.cacheTranslation(message.id, text, languageCode);
+      if (!this.shownIds.has(message.id) || languageCode !== this.languageCode) {
+        // 翻譯完成前已被使用者關閉，或目標語言已改變
+        return;
+      }
+      // 翻譯期間訊息可能已被重新繪製，移除舊區塊後依快取重新顯示
+      block.remove();
+      this.showTranslations([message.id]);
+    } catch (error) {
+      console.error('Failed to translate message:', error);
+      this.shownIds.delete(message.id);
+      this.setBlockText(block, `${this.t('translationFailed', '❌ 翻譯失敗')}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 翻譯訊息（同一則訊息同時只送出一個請求）
+   * @param {Object} message - 訊息
+   * @param {string} languageCode - 目標語言代碼
+   * @returns {Promise<string>} 譯文
+   */
+  requestTranslation(message, languageCode) {
+    const key = `${languageCode}:${message.id}`;
+    if (!this.pending.has(key)) {
+      const request = this.onTranslate(message, languageCode)
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * 滑鼠移到討論串或頻道中的訊息時顯示翻譯按鈕
+   * @param {MouseEvent} event
+   */
+  handleMouseOver(event) {
+    const target = event.target;
+    if (!target?.closest || this.hoverButton.contains(target)) {
+      return;
+    }
+
+    const messageEl = target.closest(this.messageSelector);
+    if (!messageEl || !this.isTranslatableMessage(messageEl)) {
+      this.hideHoverButton();
+      return;
+    }
+
+    if (messageEl !== this.hoveredMessage || this.hoverButton.style.display !== 'block') {
+      this.hoveredMessage = messageEl;
+      this.showHoverButton(messageEl);
+    }
+  }
+
+  /**
+   * 只有討論串與頻道中的訊息可翻譯（排除輸入框等其他元素）
+   * @param {Element} messageEl
+   * @returns {boolean}
+   */
+  isTranslatableMessage(messageEl) {
+    return !!messageEl.closest(this.getContainerSelector()) && !this.domDetector.isMessageInputElement(messageEl);
+  }
+
+  /**
+   * 討論串面板與頻道訊息區的選擇器
+   * @returns {string}
+   */
+  getContainerSelector() {
+    return [...this.domDetector.threadSelectors, ...this.domDetector.channelPaneSelectors].join(', ');
+  }
+
+  /**
+   * 將翻譯按鈕放在訊息右下角
+   * @param {Element} messageEl
+   */
+  showHoverButton(messageEl) {
+    const rect = messageEl.getBoundingClientRect();
+    Object.assign(this.hoverButton.style, {
+      display: 'block',
+      top: `${Math.max(rect.top, rect.bottom - HOVER_BUTTON_SIZE - 4)}px`,
+      left: `${rect.right - HOVER_BUTTON_SIZE - HOVER_BUTTON_OFFSET}px`
+    });
+    this.updateHoverButton();
+  }
+
+  hideHoverButton() {
+    if (this.hoverButton) {
+      this.hoverButton.style.display = 'none';
+    }
+    this.hoveredMessage = null;
+  }
+
+  /**
+   * 依目前懸停的訊息是否顯示譯文更新按鈕提示
+   */
+  updateHoverButton() {
+    if (!this.hoverButton || !this.hoveredMessage) {
+      return;
+    }
+    const messageId = this.messageExtractor.extractMessageId(
+      this.hoveredMessage,
+      this.messageExtractor.extractMessageTs(this.hoveredMessage)
+    );
+    const title = this.shownIds.has(messageId)
+      ? this.t('hideTranslation', '隱藏翻譯')
+      : this.t('translateMessage', '翻譯這則訊息');
+    this.hoverButton.title = title;
+    this.hoverButton.setAttribute('aria-label', title);
+  }
+
+  /**
+   * 監聽訊息清單的變化，以便補回被重新繪製的譯文
+   */
+  observeMessages() {
+    if (this.observer && this.shownIds.size > 0) {
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+  }
+
+  scheduleRestore() {
+    if (this.restoreTimer) {
+      clearTimeout(this.restoreTimer);
+    }
+    this.restoreTimer = setTimeout(() => {
+      this.restoreTimer = null;
+      this.restoreTranslations();
+    }, RESTORE_DELAY);
+  }
+
+  /**
+   * 為目前畫面上、應顯示譯文但尚未顯示的訊息補上譯文
+   */
+  restoreTranslations() {
+    if (this.shownIds.size === 0) {
+      this.observer?.disconnect();
+      return;
+    }
+
+    const containers = Array.from(document.querySelectorAll(this.getContainerSelector()));
+
+    this.shownIds.forEach(messageId => {
+      const text = this.getCachedTranslation(messageId);
+      if (text === null) return;
+
+      containers.forEach(container => {
+        const messageEl = this.domDetector.findMessageElement(messageId, container);
+        if (messageEl && !messageEl.querySelector(`.${this.blockClass}`)) {
+          this.setBlockText(this.renderBlock(messageEl, messageId), text);
+        }
+      });
+    });
+  }
+
+  /**
+   * 在訊息內容下方建立譯文區塊
+   * @param {Element} messageEl - 訊息元素
+   * @param {string} messageId - 訊息 ID
+   * @returns {HTMLElement} 譯文區塊
+   */
+  renderBlock(messageEl, messageId) {
+    messageEl.querySelector(`.${this.blockClass}`)?.remove();
+
+    const language = getTranslationLanguage(this.languageCode)?.label || this.languageCode;
+    const block = document.createElement('div');
+    block.className = this.blockClass;
+    block.setAttribute('data-message-id', messageId);
+    block.innerHTML = `
+      <div class="slack-helper-inline-translation-header">
+        <span class="slack-helper-inline-translation-label"></span>
+        <button class="slack-helper-inline-translation-hide" title="${this.t('hideTranslation', '隱藏翻譯')}">✕</button>
+      </div>
+      <div class="slack-helper-inline-translation-text"></div>
+    `;
+    block.querySelector('.slack-helper-inline-translation-label').textContent =
+      this.t('translatedTo', '🌐 {{language}} 翻譯').replace('{{language}}', language);
+    block.querySelector('.slack-helper-inline-translation-hide').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hideTranslation(messageId);
+      this.updateHoverButton();
+    });
+
+    const content = messageEl.querySelector(this.messageExtractor.contentSelectors.join(', '));
+    if (content) {
+      content.after(block);
+    } else {
+      messageEl.appendChild(block);
+    }
+    return block;
+  }
+
+  /**
+   * 更新譯文區塊的內容（譯文來自模型，使用 textContent 避免被當作 HTML 解析）
+   * @param {HTMLElement} block - 譯文區塊
+   * @param {string} text - 顯示的文字
+   * @param {string} [state] - 'loading' | 'error'，其他值代表譯文
+   */
+  setBlockText(block, text, state = '') {
+    const textElement = block.querySelector('.slack-helper-inline-translation-text');
+    textElement.textContent = text;
+    textElement.setAttribute('data-state', state);
+  }
+
+  t(key, fallback) {
+    return this.translations?.ui?.[key] || fallback;
+  }
+
+  /**
+   * 注入懸停按鈕與譯文區塊的樣式（只注入一次）
+   */
+  ensureStyles() {
+    if (document.getElementById('slack-helper-inline-translation-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'slack-helper-inline-translation-styles';
+    style.textContent = `
+      .${this.hoverButtonClass} {
+        display: none;
+        position: fixed;
+        width: ${HOVER_BUTTON_SIZE}px;
+        height: ${HOVER_BUTTON_SIZE}px;
+        padding: 0;
+        background: #fff;
+        border: 1px solid rgba(29, 28, 29, 0.13);
+        border-radius: 6px;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08);
+        font-size: 14px;
+        line-height: 1;
+        cursor: pointer;
+        z-index: 9999;
+      }
+      .${this.hoverButtonClass}:hover {
+        background: #f8f8f8;
+      }
+      .${this.blockClass} {
+        margin: 4px 0;
+        padding: 6px 10px;
+        border-left: 3px solid #667eea;
+        border-radius: 4px;
+        background: rgba(102, 126, 234, 0.06);
+        font-size: 14px;
+        line-height: 1.46;
+        color: #1d1c1d;
+      }
+      .slack-helper-inline-translation-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        font-size: 12px;
+        color: #616061;
+      }
+      .slack-helper-inline-translation-hide {
+        background: none;
+        border: none;
+        color: #616061;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      .slack-helper-inline-translation-text {
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+      .slack-helper-inline-translation-text[data-state="loading"] {
+        color: #616061;
+        font-style: italic;
+      }
+      .slack-helper-inline-translation-text[data-state="error"] {
+        color: #e01e5a;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
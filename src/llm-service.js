@@ -3,18 +3,260 @@
  * Provides a unified interface for different LLM providers
  */
 
+import { buildTonePrompt, getTonePreset } from './tone-presets.js';
+import { buildTranslationPrompt } from './draft-translation.js';
+
 /**
  * OpenAI Model Configuration
  */
 const OPENAI_CONFIG = {
   models: [
-    { name: 'gpt-4.1', id: 'gpt-4.1' },
-    { name: 'gpt-4.1-mini', id: 'gpt-4.1-mini' },
-    { name: 'gpt-4.1-nano', id: 'gpt-4.1-nano' }
+    { name: 'gpt-4.1', id: 'gpt-4.1', contextWindow: 1047576, vision: true },
+    { name: 'gpt-4.1-mini', id: 'gpt-4.1-mini', contextWindow: 1047576, vision: true },
+    { name: 'gpt-4.1-nano', id: 'gpt-4.1-nano', contextWindow: 1047576, vision: true }
   ],
   defaultModel: 'gpt-4.1-mini'
 };
 
+/**
+ * Anthropic Model Configuration
+ */
+const ANTHROPIC_CONFIG = {
+  models: [
+    { name: 'claude-sonnet-4-5', id: 'claude-sonnet-4-5', contextWindow: 200000 },
+    { name: 'claude-haiku-4-5', id: 'claude-haiku-4-5', contextWindow: 200000 },
+    { name: 'claude-opus-4-1', id: 'claude-opus-4-1', contextWindow: 200000 }
+  ],
+  defaultModel: 'claude-sonnet-4-5',
+  apiVersion: '2023-06-01',
+  maxTokens: 4096
+};
+
+/**
+ * Gemini (Generative Language API) Model Configuration
+ */
+const GEMINI_API_CONFIG = {
+  models: [
+    { name: 'gemini-2.5-flash', id: 'gemini-2.5-flash', contextWindow: 1048576 },
+    { name: 'gemini-2.5-pro', id: 'gemini-2.5-pro', contextWindow: 1048576 },
+    { name: 'gemini-2.5-flash-lite', id: 'gemini-2.5-flash-lite', contextWindow: 1048576 }
+  ],
+  defaultModel: 'gemini-2.5-flash'
+};
+
+/**
+ * Context window (in tokens) assumed for models without a known size.
+ * OpenAI-compatible endpoints are often small local models, so stay conservative.
+ */
+const DEFAULT_CONTEXT_WINDOWS = {
+  'openai': 128000,
+  'openai-compatible': 8192,
+  'anthropic': 200000,
+  'gemini': 1048576,
+  'mock': 8192
+};
+
+/**
+ * Tokens kept free for the model's answer when budgeting summary prompts
+ */
+const SUMMARY_OUTPUT_RESERVE = 4096;
+
+/**
+ * Sampling temperature used when a request does not set one
+ */
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Actions whose prompt is built from request options; shared by every provider
+ * and only evaluated for the action being requested
+ */
+const OPTION_PROMPT_BUILDERS = {
+  'tone': (text, options) => buildTonePrompt(text, options.tone, options.toneStrength),
+  'translate': (text, options) => buildTranslationPrompt(text, options.targetLanguage)
+};
+
+/**
+ * Providers that accept image inputs (chat completions image_url content parts)
+ */
+const VISION_PROVIDERS = ['openai', 'openai-compatible'];
+
+/**
+ * Approximate tokens used by one downscaled image input (1024px, auto detail)
+ */
+export const IMAGE_INPUT_TOKENS = 800;
+
+/**
+ * Roughly estimate the number of tokens in a text.
+ * CJK characters are counted as one token each, everything else as ~4 characters per token.
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * Build the user message content for chat completions.
+ * Plain text when there are no images, otherwise text + image_url parts.
+ * @param {string} prompt - User prompt
+ * @param {Array<{dataUrl: string}>} images - Base64 data URL images
+ * @returns {string|Array}
+ */
+function buildChatUserContent(prompt, images = []) {
+  if (!images || images.length === 0) {
+    return prompt;
+  }
+
+  return [
+    { type: 'text', text: prompt },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+  ];
+}
+
+/**
+ * Create a unique id for a proxied LLM request (used for cancellation)
+ * @returns {string}
+ */
+function createRequestId() {
+  return `llm-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create the error thrown when a request is cancelled by the user
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Send a one-shot LLM request through the background proxy.
+ * Aborting the signal asks the background to abort the in-flight fetch.
+ * @param {Object} request - Proxy request ({baseUrl, endpoint, headers, body})
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+function requestViaBackground(request, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const requestId = createRequestId();
+    let settled = false;
+
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      chrome.runtime.sendMessage({ action: 'cancelLLMRequest', requestId });
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    chrome.runtime.sendMessage(
+      {
+        action: 'processLLMRequest',
+        requestId,
+        ...request
+      },
+      (response) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (settled) return;
+        settled = true;
+
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.success) {
+          resolve(response.result);
+        } else {
+          reject(new Error(response?.error || 'Unknown error from background'));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Stream an LLM request through the background script over a runtime port.
+ * The background relays each SSE `data:` payload; extractDelta turns a parsed
+ * payload into the text delta for the provider's wire format.
+ * @param {Object} request - Proxy request ({baseUrl, endpoint, headers, body})
+ * @param {Function} extractDelta - (payload) => string, may throw on error events
+ * @param {Function} onChunk - Called with the accumulated text after each delta
+ * @param {AbortSignal} [signal] - Optional abort signal; aborting closes the port
+ * @returns {Promise<string>} - Full generated text
+ */
+function streamViaBackground(request, extractDelta, onChunk, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const requestId = createRequestId();
+    const port = chrome.runtime.connect({ name: 'llm-stream' });
+    let fullText = '';
+    let settled = false;
+
+    const onAbort = () => finish(createAbortError());
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      // Disconnecting also aborts the fetch in the background
+      port.disconnect();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(fullText.trim());
+      }
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'data') {
+        let payload;
+        try {
+          payload = JSON.parse(message.data);
+        } catch {
+          // Non-JSON payloads such as OpenAI's "[DONE]" marker carry no text
+          return;
+        }
+
+        try {
+          const delta = extractDelta(payload);
+          if (delta) {
+            fullText += delta;
+            onChunk(fullText);
+          }
+        } catch (error) {
+          finish(error);
+        }
+      } else if (message.type === 'done') {
+        finish();
+      } else if (message.type === 'error') {
+        finish(new Error(message.error || 'Unknown error from background'));
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (!settled) {
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        reject(new Error(chrome.runtime.lastError?.message || 'Stream disconnected'));
+      }
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    port.postMessage({ action: 'streamLLMRequest', requestId, ...request });
+  });
+}
+
 /**
  * Base LLM Provider interface
  */
@@ -26,14 +268,38 @@ class BaseLLMProvider {
   /**
    * Process text with the LLM
    * @param {string} text - Input text to process
-   * @param {string} action - Action type (rephrase, refine, fix_grammar, custom)
+   * @param {string} action - Action type (rephrase, refine, fix_grammar, custom, summarize, extract, chat)
    * @param {string} customPrompt - Custom prompt for custom action
+   * @param {Object} _options - Request options
+   * @param {AbortSignal} [_options.signal] - Abort signal to cancel the request
+   * @param {Array} [_options.history] - Earlier conversation turns for multi-turn actions (chat)
+   * @param {string} [_options.context] - Surrounding conversation (e.g. recent thread messages) the text refers to
+   * @param {number|null} [_options.temperature] - Sampling temperature (defaults to DEFAULT_TEMPERATURE)
+   * @param {string} [_options.tone] - Tone preset id for the tone action (formal, friendly, ...)
+   * @param {number} [_options.toneStrength] - How strongly the tone action rewrites the text (1-3)
+   * @param {string} [_options.targetLanguage] - Language code for the translate action (en, zh-TW, ...)
    * @returns {Promise<string>} - Processed text
    */
-  async processText(text, action, customPrompt = '') {
+  async processText(text, action, customPrompt = '', _options = {}) {
     throw new Error('processText method must be implemented by subclass');
   }
 
+  /**
+   * Process text with the LLM, reporting partial output as it is generated.
+   * Providers without streaming support emit the full result as a single chunk.
+   * @param {string} text - Input text to process
+   * @param {string} action - Action type (rephrase, refine, fix_grammar, custom, summarize, extract, chat)
+   * @param {string} customPrompt - Custom prompt for custom action
+   * @param {Function} onChunk - Called with the accumulated text so far
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<string>} - Processed text
+   */
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    const result = await this.processText(text, action, customPrompt, options);
+    onChunk(result);
+    return result;
+  }
+
   /**
    * Check if the provider is available/configured
    * @returns {Promise<boolean>}
@@ -41,6 +307,68 @@ class BaseLLMProvider {
   async isAvailable() {
     throw new Error('isAvailable method must be implemented by subclass');
   }
+
+  /**
+   * Build the prompt for an action
+   * @param {string} text - Input text to process
+   * @param {string} action - Action type
+   * @param {string} customPrompt - Custom prompt for custom action
+   * @returns {string}
+   */
+  buildPrompt(text, action, customPrompt) {
+    const actionPrompts = {
+      'rephrase': `Please rephrase the following message to make it sound different while keeping the same meaning:\n\n${text}`,
+      'refine': `Please refine and improve the following message for better clarity, professionalism, and impact:\n\n${text}`,
+      'fix_grammar': `Please fix any grammar, spelling, or punctuation errors in the following message:\n\n${text}`,
+      'custom': customPrompt,
+      'summarize': customPrompt,
+      'extract': customPrompt,
+      'chat': customPrompt
+    };
+
+    return actionPrompts[action] || `Please improve the following message:\n\n${text}`;
+  }
+
+  /**
+   * Build the prompt for a request, prefixed with the surrounding conversation when one is given
+   * @param {string} text - Input text to process
+   * @param {string} action - Action type
+   * @param {string} customPrompt - Custom prompt for custom action
+   * @param {Object} options - Request options ({context}, {tone, toneStrength} for the tone action, {targetLanguage} for translate)
+   * @returns {string}
+   */
+  buildRequestPrompt(text, action, customPrompt, options = {}) {
+    const buildOptionPrompt = OPTION_PROMPT_BUILDERS[action];
+    const prompt = buildOptionPrompt
+      ? buildOptionPrompt(text, options)
+      : this.buildPrompt(text, action, customPrompt);
+    if (!options.context) {
+      return prompt;
+    }
+    return 'The message below is a reply in a Slack thread. These are the latest messages of the thread, ' +
+      'for understanding what the message refers to only. Do not answer them or copy them into the result:\n\n' +
+      `${options.context}\n\n---\n\n${prompt}`;
+  }
+
+  /**
+   * Get the system instruction for an action
+   * @param {string} action - Action type
+   * @returns {string}
+   */
+  getSystemInstruction(action) {
+    if (action === 'summarize') {
+      return 'You are a helpful assistant that summarizes Slack conversations. Follow the instructions in the prompt and answer in Markdown. ' +
+        'Reaction counts on a message (e.g. :+1: ×12) show how much agreement or attention it received.';
+    }
+    if (action === 'extract') {
+      return 'You extract structured data from Slack conversations. Reply with a single valid JSON object only, without code fences or explanations.';
+    }
+    if (action === 'chat') {
+      return 'You answer questions about a Slack thread. Base your answers only on the thread messages given in the conversation and say so when the thread does not contain the answer. ' +
+        'Cite the messages you rely on by their number, e.g. [#3]. Answer in Markdown, in the language of the question.';
+    }
+    return 'You are a helpful assistant that helps improve text messages for Slack communication. Always return only the improved text without additional explanations unless specifically asked.';
+  }
 }
 
 /**
@@ -52,15 +380,26 @@ class MockLLMProvider extends BaseLLMProvider {
     this.delay = config.delay || 1000; // Simulate API delay
   }
 
-  async processText(text, action, customPrompt = '') {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, this.delay));
+  async processText(text, action, customPrompt = '', options = {}) {
+    // Simulate API delay (cancellable like a real request)
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, this.delay);
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      }, { once: true });
+    });
 
     const actionMap = {
       'rephrase': this.mockRephrase(text),
       'refine': this.mockRefine(text),
       'fix_grammar': this.mockFixGrammar(text),
-      'custom': this.mockCustom(text, customPrompt)
+      'tone': this.mockTone(text, options.tone),
+      'translate': this.mockTranslate(text, options.targetLanguage),
+      'custom': this.mockCustom(text, customPrompt),
+      'summarize': this.mockSummarize(customPrompt),
+      'extract': this.mockExtract(),
+      'chat': this.mockChat(customPrompt, options.history)
     };
 
     return actionMap[action] || text;
@@ -90,6 +429,16 @@ class MockLLMProvider extends BaseLLMProvider {
     return `📝 Grammar-corrected: ${text}\n\n(This is a mock correction - the actual implementation will fix grammar, spelling, and punctuation)`;
   }
 
+  mockTone(text, tone) {
+    // Mock tone rewrite
+    return `🎭 ${getTonePreset(tone)?.label || tone} version: ${text}\n\n(This is a mock rewrite - the actual implementation will rewrite the message in the chosen tone using AI)`;
+  }
+
+  mockTranslate(text, targetLanguage) {
+    // Mock translation (placeholders are kept so protected tokens can be restored)
+    return `[${targetLanguage}] ${text}`;
+  }
+
   mockCustom(text, customPrompt) {
     // If text is empty or just whitespace, the customPrompt likely contains the full content
     // (e.g., when {MESSAGE} placeholder was replaced)
@@ -100,6 +449,28 @@ class MockLLMProvider extends BaseLLMProvider {
     // Traditional approach: apply custom prompt to text
     return `🎯 Applied "${customPrompt}" to: ${text}\n\n(This is a mock result - the actual implementation will apply your custom prompt using AI)`;
   }
+
+  mockSummarize(prompt) {
+    // Mock thread summary
+    return `## 📝 Summary\n\n- Mock summary of a ${prompt.length} character prompt\n\n(This is a mock summary - the actual implementation will summarize the thread using AI)`;
+  }
+
+  mockChat(prompt, history = []) {
+    // Mock thread Q&A answer
+    return `Mock answer to question ${history.length / 2 + 1} (${prompt.length} character prompt) [#1]\n\n(This is a mock answer - the actual implementation will answer from the thread using AI)`;
+  }
+
+  mockExtract() {
+    // Mock structured extraction (one object with the fields of every extraction schema)
+    return JSON.stringify({
+      actionItems: [{ owner: null, task: 'Mock action item', dueDate: null, sourceMessageIndex: 1 }],
+      decisions: [],
+      openQuestions: [],
+      items: [{ type: 'request', text: 'Mock request', from: null, dueDate: null, sourceMessageIndex: 1 }],
+      replies: ['Mock reply 1', 'Mock reply 2', 'Mock reply 3'],
+      translations: []
+    });
+  }
 }
 
 /**
@@ -129,42 +500,24 @@ class OpenAIProvider extends BaseLLMProvider {
     return OPENAI_CONFIG.defaultModel;
   }
 
-  async processText(text, action, customPrompt = '') {
+  async processText(text, action, customPrompt = '', options = {}) {
     if (!this.apiKey) {
       throw new Error('OpenAI API key is required');
     }
 
-    const prompt = this.buildPrompt(text, action, customPrompt);
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
     
+    console.log(`Sending prompt to OpenAI [${this.model}]`);
     try {
-      console.log(`Sending prompt to OpenAI [${this.model}]`);
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
+      const data = await requestViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          headers: { 'Authorization': `Bearer ${this.apiKey}` },
+          body: this.buildRequestBody(prompt, action, options.images, options.history, options.temperature)
         },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a helpful assistant that helps improve text messages for Slack communication. Always return only the improved text without additional explanations unless specifically asked.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.7
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-      }
+        options.signal
+      );
 
-      const data = await response.json();
       return data.choices[0]?.message?.content?.trim() || text;
     } catch (error) {
       console.error('OpenAI API error:', error);
@@ -172,19 +525,63 @@ class OpenAIProvider extends BaseLLMProvider {
     }
   }
 
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Streaming prompt to OpenAI [${this.model}]`);
+    try {
+      const result = await streamViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          headers: { 'Authorization': `Bearer ${this.apiKey}` },
+          body: { ...this.buildRequestBody(prompt, action, options.images, options.history, options.temperature), stream: true }
+        },
+        (payload) => payload.choices?.[0]?.delta?.content || '',
+        onChunk,
+        options.signal
+      );
+      return result || text;
+    } catch (error) {
+      console.error('OpenAI API streaming error:', error);
+      throw error;
+    }
+  }
+
   async isAvailable() {
     return !!this.apiKey;
   }
 
-  buildPrompt(text, action, customPrompt) {
-    const actionPrompts = {
-      'rephrase': `Please rephrase the following message to make it sound different while keeping the same meaning:\n\n${text}`,
-      'refine': `Please refine and improve the following message for better clarity, professionalism, and impact:\n\n${text}`,
-      'fix_grammar': `Please fix any grammar, spelling, or punctuation errors in the following message:\n\n${text}`,
-      'custom': customPrompt
+  /**
+   * Build the chat completions request body
+   * @param {string} prompt - User prompt
+   * @param {string} action - Action type
+   * @param {Array} images - Optional image inputs ({dataUrl})
+   * @param {Array} history - Earlier conversation turns ({role: 'user'|'assistant', content})
+   * @param {number|null} [temperature] - Sampling temperature
+   * @returns {Object}
+   */
+  buildRequestBody(prompt, action, images = [], history = [], temperature = null) {
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemInstruction(action)
+        },
+        ...(history || []).map(turn => ({ role: turn.role, content: turn.content })),
+        {
+          role: 'user',
+          content: buildChatUserContent(prompt, images)
+        }
+      ],
+      temperature: temperature ?? DEFAULT_TEMPERATURE,
+      // JSON mode guarantees a parseable object for structured extraction
+      ...(action === 'extract' && { response_format: { type: 'json_object' } })
     };
-
-    return actionPrompts[action] || `Please improve the following message:\n\n${text}`;
   }
 }
 
@@ -200,7 +597,7 @@ class OpenAICompatibleProvider extends BaseLLMProvider {
     this.customParams = config.customParams || {};
   }
 
-  async processText(text, action, customPrompt = '') {
+  async processText(text, action, customPrompt = '', options = {}) {
     if (!this.baseUrl) {
       throw new Error('Base URL is required');
     }
@@ -209,7 +606,7 @@ class OpenAICompatibleProvider extends BaseLLMProvider {
       throw new Error('Model name is required. Please select a model in the LLM settings.');
     }
 
-    const prompt = this.buildPrompt(text, action, customPrompt);
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
     
     console.log(`Sending prompt to OpenAI Compatible API [${this.model}]`);
     try {
@@ -217,46 +614,19 @@ class OpenAICompatibleProvider extends BaseLLMProvider {
         ...this.customHeaders
       };
 
-      const body = {
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that helps improve text messages for Slack communication. Always return only the improved text without additional explanations unless specifically asked.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7,
-        ...this.customParams
-      };
+      const body = this.buildRequestBody(prompt, action, options.images, options.history, options.temperature);
 
       console.log(`Sending request to OpenAI Compatible API [${JSON.stringify(body, null, 2)}]`);
 
       // Send request via background script to bypass mixed-content restrictions
-      const data = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          {
-            action: 'processLLMRequest',
-            baseUrl: this.baseUrl,
-            model: this.model,
-            headers,
-            body
-          },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else if (response && response.success) {
-              resolve(response.result);
-            } else {
-              reject(new Error(response?.error || 'Unknown error from background'));
-            }
-          }
-        );
-      });
+      const data = await requestViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          headers,
+          body
+        },
+        options.signal
+      );
 
       return data.choices[0]?.message?.content?.trim() || text;
     } catch (error) {
@@ -265,19 +635,341 @@ class OpenAICompatibleProvider extends BaseLLMProvider {
     }
   }
 
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    if (!this.baseUrl) {
+      throw new Error('Base URL is required');
+    }
+
+    if (!this.model) {
+      throw new Error('Model name is required. Please select a model in the LLM settings.');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Streaming prompt to OpenAI Compatible API [${this.model}]`);
+    try {
+      const result = await streamViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          headers: { ...this.customHeaders },
+          body: { ...this.buildRequestBody(prompt, action, options.images, options.history, options.temperature), stream: true }
+        },
+        (payload) => payload.choices?.[0]?.delta?.content || '',
+        onChunk,
+        options.signal
+      );
+      return result || text;
+    } catch (error) {
+      console.error('OpenAI Compatible API streaming error:', error);
+      throw error;
+    }
+  }
+
   async isAvailable() {
     return !!this.baseUrl;
   }
 
-  buildPrompt(text, action, customPrompt) {
-    const actionPrompts = {
-      'rephrase': `Please rephrase the following message to make it sound different while keeping the same meaning:\n\n${text}`,
-      'refine': `Please refine and improve the following message for better clarity, professionalism, and impact:\n\n${text}`,
-      'fix_grammar': `Please fix any grammar, spelling, or punctuation errors in the following message:\n\n${text}`,
-      'custom': customPrompt
+  /**
+   * Build the chat completions request body (custom params override defaults)
+   * @param {string} prompt - User prompt
+   * @param {string} action - Action type
+   * @param {Array} images - Optional image inputs ({dataUrl})
+   * @param {Array} history - Earlier conversation turns ({role: 'user'|'assistant', content})
+   * @param {number|null} [temperature] - Sampling temperature
+   * @returns {Object}
+   */
+  buildRequestBody(prompt, action, images = [], history = [], temperature = null) {
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemInstruction(action)
+        },
+        ...(history || []).map(turn => ({ role: turn.role, content: turn.content })),
+        {
+          role: 'user',
+          content: buildChatUserContent(prompt, images)
+        }
+      ],
+      temperature: temperature ?? DEFAULT_TEMPERATURE,
+      ...this.customParams
     };
+  }
+}
 
-    return actionPrompts[action] || `Please improve the following message:\n\n${text}`;
+/**
+ * Anthropic LLM Provider (Messages API)
+ */
+class AnthropicProvider extends BaseLLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey || '';
+    this.model = config.model || ANTHROPIC_CONFIG.defaultModel;
+    this.baseUrl = config.baseUrl || 'https://api.anthropic.com/v1';
+  }
+
+  /**
+   * Get available models
+   * @returns {Array} Available models
+   */
+  static getAvailableModels() {
+    return ANTHROPIC_CONFIG.models;
+  }
+
+  /**
+   * Get default model
+   * @returns {string} Default model name
+   */
+  static getDefaultModel() {
+    return ANTHROPIC_CONFIG.defaultModel;
+  }
+
+  async processText(text, action, customPrompt = '', options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Sending prompt to Anthropic [${this.model}]`);
+    try {
+      const headers = this.buildHeaders();
+      const body = this.buildRequestBody(prompt, action, options.history, options.temperature);
+
+      // Send request via background script so the API call is not subject to page CORS
+      const data = await requestViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          endpoint: '/messages',
+          headers,
+          body
+        },
+        options.signal
+      );
+
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+
+      return content || text;
+    } catch (error) {
+      console.error('Anthropic API error:', error);
+      throw error;
+    }
+  }
+
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Streaming prompt to Anthropic [${this.model}]`);
+    try {
+      const result = await streamViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          endpoint: '/messages',
+          headers: this.buildHeaders(),
+          body: { ...this.buildRequestBody(prompt, action, options.history, options.temperature), stream: true }
+        },
+        (payload) => {
+          if (payload.type === 'error') {
+            throw new Error(payload.error?.message || 'Anthropic streaming error');
+          }
+          if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+            return payload.delta.text;
+          }
+          return '';
+        },
+        onChunk,
+        options.signal
+      );
+      return result || text;
+    } catch (error) {
+      console.error('Anthropic API streaming error:', error);
+      throw error;
+    }
+  }
+
+  async isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Build request headers for the Messages API
+   * @returns {Object}
+   */
+  buildHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_CONFIG.apiVersion,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /**
+   * Build the Messages API request body.
+   * The system prompt is a top-level field and max_tokens is required.
+   * @param {string} prompt - User prompt
+   * @param {string} action - Action type
+   * @param {Array} history - Earlier conversation turns ({role: 'user'|'assistant', content})
+   * @param {number|null} [temperature] - Sampling temperature
+   * @returns {Object}
+   */
+  buildRequestBody(prompt, action, history = [], temperature = null) {
+    return {
+      model: this.model,
+      system: this.getSystemInstruction(action),
+      messages: [
+        ...(history || []).map(turn => ({ role: turn.role, content: turn.content })),
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: ANTHROPIC_CONFIG.maxTokens,
+      temperature: temperature ?? DEFAULT_TEMPERATURE
+    };
+  }
+}
+
+/**
+ * Gemini LLM Provider (Generative Language API)
+ */
+class GeminiAPIProvider extends BaseLLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey || '';
+    this.model = config.model || GEMINI_API_CONFIG.defaultModel;
+    this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  /**
+   * Get available models
+   * @returns {Array} Available models
+   */
+  static getAvailableModels() {
+    return GEMINI_API_CONFIG.models;
+  }
+
+  /**
+   * Get default model
+   * @returns {string} Default model name
+   */
+  static getDefaultModel() {
+    return GEMINI_API_CONFIG.defaultModel;
+  }
+
+  async processText(text, action, customPrompt = '', options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Sending prompt to Gemini API [${this.model}]`);
+    try {
+      const headers = {
+        'x-goog-api-key': this.apiKey
+      };
+
+      const body = this.buildRequestBody(prompt, action, options.history, options.temperature);
+
+      // Send request via background script so the API call is not subject to page CORS
+      const data = await requestViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          endpoint: `/models/${encodeURIComponent(this.model)}:generateContent`,
+          headers,
+          body
+        },
+        options.signal
+      );
+
+      const content = this.extractText(data).trim();
+
+      return content || text;
+    } catch (error) {
+      console.error('Gemini API error:', error);
+      throw error;
+    }
+  }
+
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    const prompt = this.buildRequestPrompt(text, action, customPrompt, options);
+
+    console.log(`Streaming prompt to Gemini API [${this.model}]`);
+    try {
+      const result = await streamViaBackground(
+        {
+          baseUrl: this.baseUrl,
+          endpoint: `/models/${encodeURIComponent(this.model)}:streamGenerateContent?alt=sse`,
+          headers: { 'x-goog-api-key': this.apiKey },
+          body: this.buildRequestBody(prompt, action, options.history, options.temperature)
+        },
+        (payload) => this.extractText(payload),
+        onChunk,
+        options.signal
+      );
+      return result || text;
+    } catch (error) {
+      console.error('Gemini API streaming error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the generateContent request body
+   * @param {string} prompt - User prompt
+   * @param {string} action - Action type
+   * @param {Array} history - Earlier conversation turns ({role: 'user'|'assistant', content})
+   * @param {number|null} [temperature] - Sampling temperature
+   * @returns {Object}
+   */
+  buildRequestBody(prompt, action, history = [], temperature = null) {
+    return {
+      systemInstruction: {
+        parts: [{ text: this.getSystemInstruction(action) }]
+      },
+      contents: [
+        // Gemini calls the assistant role "model"
+        ...(history || []).map(turn => ({
+          role: turn.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: turn.content }]
+        })),
+        {
+          role: 'user',
+          parts: [{ text: prompt }]
+        }
+      ],
+      generationConfig: {
+        temperature: temperature ?? DEFAULT_TEMPERATURE,
+        ...(action === 'extract' && { responseMimeType: 'application/json' })
+      }
+    };
+  }
+
+  /**
+   * Extract text from a generateContent response (or a streamed chunk of one)
+   * @param {Object} data - Response payload
+   * @returns {string}
+   */
+  extractText(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  async isAvailable() {
+    return !!this.apiKey;
   }
 }
 
@@ -306,6 +998,12 @@ export class LLMService {
     // Register OpenAI Compatible provider
     this.providers.set('openai-compatible', new OpenAICompatibleProvider());
     
+    // Register Anthropic provider
+    this.providers.set('anthropic', new AnthropicProvider());
+    
+    // Register Gemini (Generative Language API) provider
+    this.providers.set('gemini', new GeminiAPIProvider());
+    
     // Set default provider to mock for testing
     this.currentProvider = 'mock';
   }
@@ -325,6 +1023,10 @@ export class LLMService {
       this.providers.set('openai', new OpenAIProvider(config));
     } else if (providerName === 'openai-compatible') {
       this.providers.set('openai-compatible', new OpenAICompatibleProvider(config));
+    } else if (providerName === 'anthropic') {
+      this.providers.set('anthropic', new AnthropicProvider(config));
+    } else if (providerName === 'gemini') {
+      this.providers.set('gemini', new GeminiAPIProvider(config));
     }
 
     const provider = this.providers.get(providerName);
@@ -355,9 +1057,10 @@ export class LLMService {
    * @param {string} text - Input text
    * @param {string} action - Action type
    * @param {string} customPrompt - Custom prompt for custom actions
+   * @param {Object} options - Request options ({signal} to cancel, {model: "provider:model"} and {temperature} to override the selection)
    * @returns {Promise<string>} - Processed text
    */
-  async processText(text, action, customPrompt = '') {
+  async processText(text, action, customPrompt = '', options = {}) {
     // For custom actions, allow empty text when customPrompt contains the full content
     // (e.g., when {MESSAGE} placeholder was already replaced)
     if (action !== 'custom' && (!text || !text.trim())) {
@@ -370,47 +1073,211 @@ export class LLMService {
     }
 
     try {
-      // Get the currently selected model from storage
-      const selectedModel = await this.getCurrentSelectedModel();
-      let provider;
+      return await this.runWithSelectedProvider(provider => provider.processText(text, action, customPrompt, options), options.model);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('LLM processing error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process text using the current provider, streaming partial output
+   * @param {string} text - Input text
+   * @param {string} action - Action type
+   * @param {string} customPrompt - Custom prompt for custom actions
+   * @param {Function} onChunk - Called with the accumulated text so far
+   * @param {Object} options - Request options ({signal} to cancel, {model: "provider:model"} and {temperature} to override the selection)
+   * @returns {Promise<string>} - Processed text
+   */
+  async processTextStream(text, action, customPrompt = '', onChunk = () => {}, options = {}) {
+    if (action !== 'custom' && (!text || !text.trim())) {
+      throw new Error('Input text is required');
+    }
+
+    if (action === 'custom' && (!text || !text.trim()) && (!customPrompt || !customPrompt.trim())) {
+      throw new Error('Either input text or custom prompt is required for custom actions');
+    }
+
+    try {
+      return await this.runWithSelectedProvider(provider => provider.processTextStream(text, action, customPrompt, onChunk, options), options.model);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('LLM streaming error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a request against the provider of the globally selected model,
+   * temporarily switching that provider to the selected model
+   * @param {Function} callback - (provider) => Promise
+   * @param {string} [modelOverride] - "provider:model" to use instead of the global selection
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async runWithSelectedProvider(callback, modelOverride = '') {
+    let selectedModel = null;
+    if (modelOverride) {
+      const { llmSettings } = await chrome.storage.local.get(['llmSettings']);
+      selectedModel = await this.getCurrentSelectedModel(modelOverride);
+      // Only the configured provider has credentials, so overrides for another provider are ignored
+      if (selectedModel && selectedModel.provider !== llmSettings?.provider) {
+        selectedModel = null;
+      }
+      if (!selectedModel) {
+        console.warn(`Model ${modelOverride} is not available for the configured provider, using the selected model`);
+      }
+    }
+
+    // Get the currently selected model from storage
+    selectedModel = selectedModel || await this.getCurrentSelectedModel();
+    let provider;
+    
+    if (selectedModel) {
+      // Use the provider that matches the selected model
+      const providerName = this.getProviderNameFromType(selectedModel.provider);
+      provider = this.providers.get(providerName);
       
-      if (selectedModel) {
-        // Use the provider that matches the selected model
-        const providerName = this.getProviderNameFromType(selectedModel.provider);
-        provider = this.providers.get(providerName);
-        
-        if (!provider) {
-          throw new Error(`Provider ${providerName} is not available`);
-        }
-        
-        // Ensure provider is configured with current settings
-        await this.ensureProviderConfigured(providerName);
-        provider = this.providers.get(providerName); // Get updated provider
-        
-        // Temporarily update the provider's model for this request
-        const originalModel = provider.model;
-        provider.model = selectedModel.name;
-        
-        try {
-          return await provider.processText(text, action, customPrompt);
-        } finally {
-          // Restore original model
-          provider.model = originalModel;
-        }
-      } else {
-        // Fallback to current provider if no model is selected
-        provider = this.getCurrentProvider();
-        if (!provider) {
-          throw new Error('No LLM provider is configured');
-        }
-        return await provider.processText(text, action, customPrompt);
+      if (!provider) {
+        throw new Error(`Provider ${providerName} is not available`);
       }
+      
+      // Ensure provider is configured with current settings
+      await this.ensureProviderConfigured(providerName);
+      provider = this.providers.get(providerName); // Get updated provider
+      
+      // Temporarily update the provider's model for this request
+      const originalModel = provider.model;
+      provider.model = selectedModel.name;
+      
+      try {
+        return await callback(provider);
+      } finally {
+        // Restore original model
+        provider.model = originalModel;
+      }
+    }
+
+    // Fallback to current provider if no model is selected
+    provider = this.getCurrentProvider();
+    if (!provider) {
+      throw new Error('No LLM provider is configured');
+    }
+    return await callback(provider);
+  }
+
+  /**
+   * Summarize a thread with the globally selected model, streaming partial output
+   * @param {string} prompt - Fully formatted summary prompt (messages included)
+   * @param {Function} onChunk - Called with the accumulated summary so far
+   * @param {Object} options - Request options ({signal} to cancel, {images} for vision-capable models)
+   * @returns {Promise<string>} - Summary text (Markdown)
+   */
+  async summarizeStream(prompt, onChunk = () => {}, options = {}) {
+    if (!prompt || !prompt.trim()) {
+      throw new Error('Summary prompt is required');
+    }
+
+    try {
+      return await this.runWithSelectedProvider(provider => provider.processTextStream(' ', 'summarize', prompt, onChunk, options));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('LLM summary error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a follow-up question in a multi-turn conversation with the globally selected model
+   * @param {string} prompt - The new user turn
+   * @param {Array} history - Earlier turns ({role: 'user'|'assistant', content}), oldest first
+   * @param {Function} onChunk - Called with the accumulated answer so far
+   * @param {Object} options - Request options ({signal} to cancel)
+   * @returns {Promise<string>} - Answer text (Markdown)
+   */
+  async chatStream(prompt, history = [], onChunk = () => {}, options = {}) {
+    if (!prompt || !prompt.trim()) {
+      throw new Error('Question is required');
+    }
+
+    try {
+      return await this.runWithSelectedProvider(provider => provider.processTextStream(' ', 'chat', prompt, onChunk, { ...options, history }));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('LLM chat error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extract structured data with the globally selected model
+   * @param {string} prompt - Fully formatted extraction prompt (messages included)
+   * @param {Object} options - Request options ({signal} to cancel)
+   * @returns {Promise<string>} - Raw model output, expected to be a JSON object
+   */
+  async extractStructured(prompt, options = {}) {
+    if (!prompt || !prompt.trim()) {
+      throw new Error('Extraction prompt is required');
+    }
+
+    try {
+      return await this.runWithSelectedProvider(provider => provider.processText(' ', 'extract', prompt, options));
     } catch (error) {
-      console.error('LLM processing error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('LLM extraction error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Check whether the globally selected model accepts image inputs
+   * (flagged with vision: true in providerModels, on a vision-capable provider)
+   * @returns {Promise<boolean>}
+   */
+  async isVisionModelSelected() {
+    const selectedModel = await this.getCurrentSelectedModel();
+    return !!selectedModel?.vision && VISION_PROVIDERS.includes(selectedModel.provider);
+  }
+
+  /**
+   * Get the context window of a model
+   * @param {string} providerType - Provider type (openai, anthropic, ...)
+   * @param {string} modelName - Model name
+   * @returns {number} Context window in tokens
+   */
+  getModelContextWindow(providerType, modelName) {
+    const knownModels = {
+      'openai': OPENAI_CONFIG.models,
+      'anthropic': ANTHROPIC_CONFIG.models,
+      'gemini': GEMINI_API_CONFIG.models
+    }[providerType] || [];
+    const model = knownModels.find(m => m.name === modelName);
+    return model?.contextWindow || DEFAULT_CONTEXT_WINDOWS[providerType] || DEFAULT_CONTEXT_WINDOWS['openai-compatible'];
+  }
+
+  /**
+   * Get the prompt token budget for summaries, leaving room for the answer.
+   * Without an explicit provider the globally selected model is used.
+   * @param {string} [providerType] - Provider type
+   * @param {string} [modelName] - Model name
+   * @returns {Promise<number>} Token budget for a single summary prompt
+   */
+  async getSummaryTokenBudget(providerType = null, modelName = null) {
+    if (!providerType) {
+      const selectedModel = await this.getCurrentSelectedModel();
+      providerType = selectedModel?.provider || this.currentProvider;
+      modelName = selectedModel?.name || this.getCurrentProvider()?.model;
+    }
+
+    const contextWindow = this.getModelContextWindow(providerType, modelName);
+    return Math.max(contextWindow - SUMMARY_OUTPUT_RESERVE, Math.floor(contextWindow / 2));
+  }
+
   /**
    * Map provider type to provider name
    * @param {string} providerType - Provider type from model data
@@ -419,7 +1286,9 @@ export class LLMService {
   getProviderNameFromType(providerType) {
     const mapping = {
       'openai': 'openai',
-      'openai-compatible': 'openai-compatible'
+      'openai-compatible': 'openai-compatible',
+      'anthropic': 'anthropic',
+      'gemini': 'gemini'
     };
     return mapping[providerType] || providerType;
   }
@@ -440,6 +1309,10 @@ export class LLMService {
           this.providers.set('openai', new OpenAIProvider(settings.config));
         } else if (providerName === 'openai-compatible') {
           this.providers.set('openai-compatible', new OpenAICompatibleProvider(settings.config));
+        } else if (providerName === 'anthropic') {
+          this.providers.set('anthropic', new AnthropicProvider(settings.config));
+        } else if (providerName === 'gemini') {
+          this.providers.set('gemini', new GeminiAPIProvider(settings.config));
         }
       }
     } catch (error) {
@@ -449,12 +1322,13 @@ export class LLMService {
 
   /**
    * Get the currently selected model from storage
+   * @param {string} [modelValue] - "provider:model" to look up instead of the global default
    * @returns {Promise<Object|null>} - Selected model info or null
    */
-  async getCurrentSelectedModel() {
+  async getCurrentSelectedModel(modelValue = '') {
     try {
       const result = await chrome.storage.local.get(['globalDefaultModel', 'providerModels']);
-      const globalDefaultModel = result.globalDefaultModel;
+      const globalDefaultModel = modelValue || result.globalDefaultModel;
       const providerModels = result.providerModels || {};
       
       if (!globalDefaultModel) {
@@ -3,6 +3,8 @@
  * Handles extracting and formatting text content from Slack message elements
  */
 
+import { normalizeSlackTs, slackTsToMillis, toLocalISOString } from './time-utils.js';
+
 export class MessageTextExtractor {
   constructor() {
     this.userNameSelectors = [
@@ -32,6 +34,44 @@ export class MessageTextExtractor {
     ];
 
     this.skipElements = ['SCRIPT', 'STYLE', 'BUTTON', 'INPUT', 'TEXTAREA', 'SELECT', 'OPTION'];
+
+    // 非圖片檔案（PDF、文件等）的容器與欄位
+    this.fileSelectors = [
+      '[data-qa="message_file"]',
+      '.c-file_container',
+      '.c-message_attachment__file'
+    ];
+    this.fileNameSelectors = [
+      '[data-qa="file_name"]',
+      '.c-file__title',
+      '.c-pillow_file__title'
+    ];
+    this.fileMetaSelectors = [
+      '[data-qa="file_meta"]',
+      '.c-file__meta',
+      '.c-pillow_file__description'
+    ];
+
+    // 訊息中繼資料：表情回應、已編輯標記、回覆數、App/Bot 標記
+    this.reactionSelectors = [
+      '[data-qa="reactji"]',
+      '.c-reaction'
+    ];
+    this.editedSelectors = [
+      '[data-qa="message_edited_label"]',
+      '.c-message__edited_label'
+    ];
+    this.replyCountSelectors = [
+      '[data-qa="reply_bar_count"]',
+      '.c-message__reply_count'
+    ];
+    this.botBadgeSelectors = [
+      '[data-qa="bot_badge"]',
+      '.c-app_badge'
+    ];
+    this.mentionSelectors = [
+      '.c-member_slug'
+    ];
   }
 
   /**
@@ -48,15 +88,199 @@ export class MessageTextExtractor {
     
     const userName = this.extractUserName(messageEl);
     const timestamp = this.extractTimestamp(messageEl);
+    const ts = this.extractMessageTs(messageEl);
+    const millis = slackTsToMillis(ts);
     const text = this.extractCompleteMessageText(messageEl);
+    const attachments = this.extractAttachments(messageEl);
     
     return {
+      id: this.extractMessageId(messageEl, ts),
       user: userName,
       text: text,
-      timestamp: timestamp
+      timestamp: timestamp,
+      ts: ts,
+      isoTimestamp: millis !== null ? toLocalISOString(millis) : '',
+      permalink: this.extractPermalink(messageEl),
+      attachments: attachments,
+      reactions: this.extractReactions(messageEl),
+      edited: this.hasAnySelector(messageEl, this.editedSelectors),
+      replyCount: this.extractReplyCount(messageEl),
+      isBot: this.hasAnySelector(messageEl, this.botBadgeSelectors),
+      mentions: this.extractMentions(messageEl)
     };
   }
 
+  /**
+   * Extract emoji reactions with their counts
+   * @param {Element} messageEl - The message element
+   * @returns {Array<{emoji: string, count: number}>} Reactions, e.g. [{emoji: ':+1:', count: 12}]
+   */
+  extractReactions(messageEl) {
+    const reactions = [];
+
+    messageEl.querySelectorAll(this.reactionSelectors.join(', ')).forEach(reactionEl => {
+      // 巢狀符合兩個選擇器時只處理最外層
+      if (reactionEl.parentElement?.closest(this.reactionSelectors.join(', '))) return;
+
+      const emojiEl = reactionEl.querySelector('[data-stringify-emoji], img[alt], .c-emoji');
+      const rawEmoji = emojiEl?.getAttribute('data-stringify-emoji') || emojiEl?.getAttribute('alt') || emojiEl?.textContent.trim() || '';
+      const emoji = /^[a-z0-9_+\-]+$/i.test(rawEmoji) ? `:${rawEmoji}:` : rawEmoji;
+      const countText = reactionEl.querySelector('.c-reaction__count')?.textContent || reactionEl.textContent;
+      const count = parseInt((countText.match(/\d+/) || ['1'])[0], 10);
+
+      if (!emoji) return;
+
+      const existing = reactions.find(reaction => reaction.emoji === emoji);
+      if (existing) {
+        existing.count = Math.max(existing.count, count);
+      } else {
+        reactions.push({ emoji, count });
+      }
+    });
+
+    return reactions;
+  }
+
+  /**
+   * Extract the reply count shown under a thread's parent message ("12 replies")
+   * @param {Element} messageEl - The message element
+   * @returns {number} Reply count, 0 when none is shown
+   */
+  extractReplyCount(messageEl) {
+    const text = this.queryText(messageEl, this.replyCountSelectors);
+    const match = text.match(/\d+/);
+    return match ? parseInt(match[0], 10) : 0;
+  }
+
+  /**
+   * Check whether the element contains any of the selectors
+   * @param {Element} element - Container element
+   * @param {Array<string>} selectors - Selectors to test
+   * @returns {boolean}
+   */
+  hasAnySelector(element, selectors) {
+    return selectors.some(selector => element.querySelector(selector));
+  }
+
+  /**
+   * Check whether an extracted message has anything worth keeping
+   * (text, or attachments for image-only / file-only messages)
+   * @param {Object} message - Extracted message
+   * @returns {boolean}
+   */
+  hasMessageContent(message) {
+    if (!message) return false;
+    return (message.text && message.text.trim().length > 0) ||
+           (Array.isArray(message.attachments) && message.attachments.length > 0);
+  }
+
+  /**
+   * Extract image and file attachments hosted on files.slack.com
+   * @param {Element} messageEl - The message element
+   * @returns {Array<Object>} Attachments: {kind, url, thumbnailUrl, name, alt, title, fileType, size, width, height, fileId}
+   */
+  extractAttachments(messageEl) {
+    const attachments = [];
+    const seen = new Set();
+
+    const addAttachment = (attachment) => {
+      const key = attachment.fileId || attachment.url;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      attachments.push(attachment);
+    };
+
+    // 圖片：縮圖來自 files-tmb，外層連結指向原始檔案 files-pri
+    messageEl.querySelectorAll('img[src*="files.slack.com"]').forEach(img => {
+      const link = img.closest('a[href*="files.slack.com"]');
+      const fileEl = img.closest('[data-file-id]');
+      const url = link?.getAttribute('href') || img.src;
+      const name = this.getFileNameFromUrl(url);
+
+      addAttachment({
+        kind: 'image',
+        url,
+        thumbnailUrl: img.src,
+        name,
+        alt: img.alt || name,
+        title: img.title || '',
+        fileType: this.getFileExtension(name),
+        size: '',
+        width: img.naturalWidth || 0,
+        height: img.naturalHeight || 0,
+        fileId: fileEl?.getAttribute('data-file-id') || ''
+      });
+    });
+
+    // 其他檔案：只收集連到 files.slack.com 的檔案
+    messageEl.querySelectorAll(this.fileSelectors.join(', ')).forEach(fileEl => {
+      if (fileEl.querySelector('img[src*="files.slack.com"]')) return;
+
+      const link = fileEl.querySelector('a[href*="files.slack.com"]');
+      if (!link) return;
+
+      const url = link.getAttribute('href');
+      const name = this.queryText(fileEl, this.fileNameSelectors) || this.getFileNameFromUrl(url);
+      const meta = this.queryText(fileEl, this.fileMetaSelectors);
+      const sizeMatch = meta.match(/\d+(?:\.\d+)?\s?(?:bytes|[KMG]?B)\b/i);
+      const metaType = meta.replace(sizeMatch?.[0] || '', '').replace(/[·•,]/g, ' ').trim();
+
+      addAttachment({
+        kind: 'file',
+        url,
+        thumbnailUrl: '',
+        name,
+        alt: '',
+        title: link.getAttribute('title') || '',
+        fileType: metaType || this.getFileExtension(name),
+        size: sizeMatch ? sizeMatch[0] : '',
+        width: 0,
+        height: 0,
+        fileId: fileEl.getAttribute('data-file-id') || fileEl.closest('[data-file-id]')?.getAttribute('data-file-id') || ''
+      });
+    });
+
+    return attachments;
+  }
+
+  /**
+   * Get the trimmed text of the first element matching one of the selectors
+   * @param {Element} element - Container element
+   * @param {Array<string>} selectors - Selectors in priority order
+   * @returns {string}
+   */
+  queryText(element, selectors) {
+    for (const selector of selectors) {
+      const text = element.querySelector(selector)?.textContent.trim();
+      if (text) return text;
+    }
+    return '';
+  }
+
+  /**
+   * Get the file name from a Slack file URL
+   * @param {string} url - File URL
+   * @returns {string}
+   */
+  getFileNameFromUrl(url) {
+    try {
+      const segments = new URL(url, window.location.href).pathname.split('/').filter(Boolean);
+      return decodeURIComponent(segments[segments.length - 1] || '');
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Get the upper-cased extension of a file name (e.g. PNG)
+   * @param {string} name - File name
+   * @returns {string}
+   */
+  getFileExtension(name) {
+    const match = (name || '').match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toUpperCase() : '';
+  }
+
   /**
    * Check if an element is a message input or other UI component that should be excluded
    * @param {Element} element - The element to check
@@ -287,6 +511,90 @@ export class MessageTextExtractor {
     return '';
   }
 
+  /**
+   * Extract the Slack message ts ("seconds.micros") from data-ts, the timestamp permalink
+   * or the virtual list item key
+   * @param {Element} messageEl - The message element
+   * @returns {string} The Slack ts or empty string
+   */
+  extractMessageTs(messageEl) {
+    const timeEl = messageEl.querySelector(this.timeSelectors.join(', '));
+    const candidates = [
+      timeEl?.getAttribute('data-ts'),
+      timeEl?.getAttribute('href'),
+      timeEl?.closest('a[href]')?.getAttribute('href'),
+      messageEl.getAttribute('data-msg-ts'),
+      messageEl.closest('[data-item-key]')?.getAttribute('data-item-key')
+    ];
+
+    for (const candidate of candidates) {
+      const ts = normalizeSlackTs(candidate);
+      if (ts) return ts;
+    }
+    return '';
+  }
+
+  /**
+   * Extract the message permalink from its timestamp link
+   * @param {Element} messageEl - The message element
+   * @returns {string} Absolute permalink or empty string
+   */
+  extractPermalink(messageEl) {
+    const timeEl = messageEl.querySelector(this.timeSelectors.join(', '));
+    const link = timeEl?.closest('a[href]');
+    return link && link.href.includes('/archives/') ? link.href : '';
+  }
+
+  /**
+   * Get a stable identity for a message: its Slack ts, or the raw virtual list
+   * item key when no ts can be parsed
+   * @param {Element} messageEl - The message element
+   * @param {string} ts - The already extracted Slack ts
+   * @returns {string} The message id or empty string
+   */
+  extractMessageId(messageEl, ts) {
+    if (ts) return ts;
+    return messageEl.closest('[data-item-key]')?.getAttribute('data-item-key') || '';
+  }
+
+  /**
+   * Extract the users mentioned in a message
+   * @param {Element} messageEl - The message element
+   * @returns {Array<{label: string, userId: string, url: string}>} Unique mentions in message order
+   */
+  extractMentions(messageEl) {
+    const mentions = [];
+    messageEl.querySelectorAll(this.mentionSelectors.join(', ')).forEach(mentionEl => {
+      const mention = this.parseMention(mentionEl);
+      if (!mention.label && !mention.userId) return;
+
+      const isDuplicate = mentions.some(existing =>
+        mention.userId ? existing.userId === mention.userId : existing.label === mention.label
+      );
+      if (!isDuplicate) {
+        mentions.push(mention);
+      }
+    });
+    return mentions;
+  }
+
+  /**
+   * Parse a member mention (c-member_slug) element
+   * @param {Element} element - The mention element
+   * @returns {{label: string, userId: string, url: string}} label keeps the leading @, e.g. "@Jane Doe"
+   */
+  parseMention(element) {
+    const url = element.getAttribute('href') || '';
+    const userId = element.getAttribute('data-member-id') ||
+      (url.match(/\/(?:team|services)\/([UW][A-Z0-9]+)/) || [])[1] ||
+      '';
+    return {
+      label: element.getAttribute('data-member-label') || element.textContent.trim(),
+      userId,
+      url
+    };
+  }
+
   /**
    * Extract complete message text with structure preservation
    * @param {Element} messageEl - The message element
@@ -357,6 +665,11 @@ export class MessageTextExtractor {
    * @returns {string|null} Special content or null if not special
    */
   handleSpecialElements(element) {
+    // "(edited)" labels are kept as message metadata, not text
+    if (element.matches && this.editedSelectors.some(selector => element.matches(selector))) {
+      return '';
+    }
+
     // Handle CodeMirror tables (like CSV preview data)
     if (element.classList && element.classList.contains('CodeMirror-code')) {
       return this.handleCodeMirrorTable(element);
@@ -368,12 +681,9 @@ export class MessageTextExtractor {
     }
 
     // Handle mentions
-    if (element.classList && element.classList.contains('c-member_slug')) {
-      const memberLabel = element.getAttribute('data-member-label');
-      const memberUrl = element.getAttribute('href');
-      if (memberLabel) {
-        return memberUrl ? ` [${memberLabel}](${memberUrl}) ` : ` ${memberLabel} `;
-      }
+    if (element.classList && element.classList.contains('c-member_slug') && element.getAttribute('data-member-label')) {
+      const { label, url } = this.parseMention(element);
+      return url ? ` [${label}](${url}) ` : ` ${label} `;
     }
 
     // Handle links
@@ -410,11 +720,11 @@ export class MessageTextExtractor {
     const href = element.getAttribute('href');
     
     if (element.classList.contains('c-member_slug')) {
-      const memberLabel = element.getAttribute('data-member-label');
-      if (href && (memberLabel || linkText)) {
-        return ` [${memberLabel || linkText}](${href}) `;
+      const { label } = this.parseMention(element);
+      if (href && label) {
+        return ` [${label}](${href}) `;
       }
-      return ` ${memberLabel || linkText} `;
+      return ` ${label} `;
     }
     
     if (href && linkText) {
@@ -6,9 +6,49 @@
 import { llmService } from './llm-service.js';
 import { SlackMessageFormatter } from './slack-message-formatter.js';
 import { ensureTooltipStyles as applyTooltipStyles } from './ui-utils.js';
+import { fitThreadToBudget } from './thread-chat.js';
+import { extractJsonWithRetry } from './structured-output.js';
+import { buildReplySuggestionsPrompt, parseReplySuggestions } from './reply-suggestions.js';
+import { DEFAULT_REFINE_CONTEXT_SETTINGS, mergeRefineContextSettings } from './refine-context.js';
+import { loadRefineActions, applyRefineActionTemplate, MAX_ACTION_SHORTCUTS } from './refine-actions.js';
+import {
+  TONE_PRESETS,
+  MIN_TONE_STRENGTH,
+  MAX_TONE_STRENGTH,
+  DEFAULT_TONE_STRENGTH,
+  getTonePreset,
+  getWorkspaceToneDefault,
+  setWorkspaceToneDefault
+} from './tone-presets.js';
+import {
+  TRANSLATION_LANGUAGES,
+  getTranslationLanguage,
+  loadLastTranslationLanguage,
+  saveLastTranslationLanguage
+} from './draft-translation.js';
+
+/**
+ * Display name and icon for each LLM provider type stored in providerModels
+ */
+const PROVIDER_DISPLAY_INFO = {
+  'openai': { name: 'OpenAI', icon: '🤖' },
+  'openai-compatible': { name: 'OpenAI Compatible', icon: '🔧' },
+  'anthropic': { name: 'Anthropic', icon: '🧠' },
+  'gemini': { name: 'Gemini API', icon: '✨' }
+};
 
 export class MessageHelper {
-  constructor() {
+  /**
+   * @param {Object} [dependencies] - Needed for thread-aware actions such as "Suggest reply"
+   * @param {SlackDOMDetector} [dependencies.domDetector] - Finds the open thread pane
+   * @param {ThreadScrollCollector} [dependencies.scrollCollector] - Collects the complete thread
+   * @param {ThreadAnalyzer} [dependencies.threadAnalyzer] - Formats thread messages for prompts
+   */
+  constructor({ domDetector = null, scrollCollector = null, threadAnalyzer = null } = {}) {
+    this.domDetector = domDetector;
+    this.scrollCollector = scrollCollector;
+    this.threadAnalyzer = threadAnalyzer;
+
     this.inputSelectors = [
       '[data-qa="message_input"]',
       '.c-texty_input_unstyled',
@@ -39,12 +79,14 @@ export class MessageHelper {
     this.currentProcessingOverlay = null;
     this.currentProcessingBackdrop = null;
     this.processingStartTime = null;
+    this.currentAbortController = null;
     
     // Add map to keep track of keyboard shortcut listeners per input element
     this.shortcutListeners = new WeakMap();
     
     this.handleClickOutside = this.handleClickOutside.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleProcessingKeyDown = this.handleProcessingKeyDown.bind(this);
     
     this.loadStyles();
     this.loadTranslations();
@@ -111,7 +153,31 @@ export class MessageHelper {
         copiedToClipboard: 'Copied to clipboard!',
         failedToCopy: 'Failed to copy',
         textReplaced: 'Text replaced!',
-        unknownAction: 'Unknown action selected.'
+        unknownAction: 'Unknown action selected.',
+        cancel: 'Cancel',
+        suggestReply: 'Suggest reply',
+        collectingThread: 'Collecting thread messages...',
+        suggestingReplies: 'Writing reply suggestions...',
+        noThreadMessages: 'No thread messages found',
+        replyOption: 'Option {{number}}',
+        processingAction: 'Processing with {{label}}...',
+        changeTone: 'Change tone',
+        tone: 'Tone',
+        toneStrength: 'Strength',
+        toneStrengthLight: 'Light',
+        toneStrengthModerate: 'Moderate',
+        toneStrengthStrong: 'Strong',
+        toneFormal: 'Formal',
+        toneFriendly: 'Friendly',
+        toneConcise: 'Concise',
+        toneAssertive: 'Assertive',
+        toneEmpathetic: 'Empathetic',
+        setToneDefault: 'Set as the default tone for this workspace',
+        clearToneDefault: 'Clear the default tone for this workspace',
+        rewritingTone: 'Rewriting in a {{tone}} tone...',
+        translate: 'Translate',
+        translateTo: 'Translate to {{language}}',
+        translating: 'Translating to {{language}}...'
       };
     }
   }
@@ -215,20 +281,34 @@ export class MessageHelper {
       textarea.placeholder = this.t('customPromptPlaceholder', 'Help me write... (Ctrl+Enter to apply)');
     }
 
-    // Update menu items
-    const menuItems = this.currentDropdown.querySelectorAll('.slack-helper-dropdown-item');
-    const menuTexts = [
-      this.t('rephrase', 'Rephrase'),
-      this.t('refine', 'Refine'),
-      this.t('fixGrammar', 'Fix grammar')
-    ];
+    // Update built-in menu items (library actions keep their user-defined labels)
+    const menuItems = this.currentDropdown.querySelectorAll('.slack-helper-dropdown-item[data-item-key]');
+    const menuTexts = {
+      rephrase: this.t('rephrase', 'Rephrase'),
+      refine: this.t('refine', 'Refine'),
+      fixGrammar: this.t('fixGrammar', 'Fix grammar'),
+      tone: this.t('changeTone', 'Change tone'),
+      translate: this.t('translate', 'Translate'),
+      suggestReply: this.t('suggestReply', 'Suggest reply')
+    };
 
-    menuItems.forEach((item, index) => {
+    menuItems.forEach(item => {
       const titleElement = item.querySelector('.slack-helper-dropdown-title');
-      if (titleElement && menuTexts[index]) {
-        titleElement.textContent = menuTexts[index];
+      const text = menuTexts[item.dataset.itemKey];
+      if (titleElement && text) {
+        titleElement.textContent = text;
       }
     });
+
+    // Update tone submenu
+    this.currentDropdown.querySelectorAll('.slack-helper-tone-option').forEach(option => {
+      const preset = getTonePreset(option.dataset.tone);
+      option.querySelector('.slack-helper-tone-label').textContent = this.t(preset.labelKey, preset.label);
+    });
+    const strengthInput = this.currentDropdown.querySelector('.slack-helper-tone-strength input');
+    if (strengthInput) {
+      this.updateToneStrengthLabel(strengthInput);
+    }
   }
 
   /**
@@ -515,15 +595,62 @@ export class MessageHelper {
     dropdown.appendChild(inputContainer);
 
     // Create menu items
+    const toneSubmenu = await this.createToneSubmenu(button);
+    const translateSubmenu = await this.createTranslateSubmenu(button);
     const menuItems = [
-      { icon: '✏️', text: this.t('rephrase', 'Rephrase') },
-      { icon: '✨', text: this.t('refine', 'Refine') },
-      { icon: '🔧', text: this.t('fixGrammar', 'Fix grammar') }
+      { key: 'rephrase', icon: '✏️', text: this.t('rephrase', 'Rephrase') },
+      { key: 'refine', icon: '✨', text: this.t('refine', 'Refine') },
+      { key: 'fixGrammar', icon: '🔧', text: this.t('fixGrammar', 'Fix grammar') },
+      {
+        key: 'tone',
+        icon: '🎭',
+        text: this.t('changeTone', 'Change tone'),
+        keepOpen: true,
+        submenu: toneSubmenu,
+        onClick: () => this.toggleSubmenu(toneSubmenu, dropdown, button)
+      },
+      {
+        key: 'translate',
+        icon: '🌐',
+        text: this.t('translate', 'Translate'),
+        keepOpen: true,
+        submenu: translateSubmenu,
+        onClick: () => this.toggleSubmenu(translateSubmenu, dropdown, button)
+      }
     ];
 
+    // In a thread reply composer, offer replies written from the thread itself;
+    // whatever is typed in the prompt box is used as the intent
+    if (this.isThreadComposer(this.findInputForButton(button))) {
+      menuItems.push({
+        key: 'suggestReply',
+        icon: '💬',
+        text: this.t('suggestReply', 'Suggest reply'),
+        onClick: () => {
+          const intent = dropdown.querySelector('.slack-helper-custom-prompt-input')?.value.trim() || '';
+          this.handleSuggestReply(button, intent);
+        }
+      });
+    }
+
+    // User-defined actions from the library, in the order set in the popup, bound to Alt+1..9.
+    // Read on every open so edits made in the popup show up right away
+    const libraryActions = await this.getLibraryActions();
+    libraryActions.forEach((libraryAction, index) => {
+      menuItems.push({
+        icon: libraryAction.icon,
+        text: libraryAction.label,
+        shortcut: index < MAX_ACTION_SHORTCUTS ? index + 1 : null,
+        onClick: () => this.handleLibraryAction(libraryAction, button)
+      });
+    });
+
     menuItems.forEach(item => {
       const menuItem = this.createMenuItem(item, button);
       dropdown.appendChild(menuItem);
+      if (item.submenu) {
+        dropdown.appendChild(item.submenu);
+      }
     });
 
     // Use body as parent for more reliable positioning
@@ -704,13 +831,13 @@ export class MessageHelper {
           const colonIndex = globalDefault.indexOf(':');
           const provider = globalDefault.substring(0, colonIndex);
           const modelName = globalDefault.substring(colonIndex + 1);
-          const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+          const providerInfo = this.getProviderDisplayInfo(provider);
           resolve({
             value: globalDefault,
             displayName: modelName,
             provider: provider,
-            providerName: providerName,
-            icon: provider === 'openai' ? '🤖' : '🔧'
+            providerName: providerInfo.name,
+            icon: providerInfo.icon
           });
         } else {
           resolve({
@@ -725,6 +852,15 @@ export class MessageHelper {
     });
   }
 
+  /**
+   * Get display name and icon for a provider type
+   * @param {string} provider - Provider type (e.g. openai, anthropic)
+   * @returns {{name: string, icon: string}}
+   */
+  getProviderDisplayInfo(provider) {
+    return PROVIDER_DISPLAY_INFO[provider] || PROVIDER_DISPLAY_INFO['openai-compatible'];
+  }
+
   /**
    * Get available models for selection
    */
@@ -736,16 +872,15 @@ export class MessageHelper {
         
         // Add models from all providers
         Object.keys(providerModels).forEach(provider => {
-          const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
-          const icon = provider === 'openai' ? '🤖' : '🔧';
+          const providerInfo = this.getProviderDisplayInfo(provider);
           
           providerModels[provider].forEach(model => {
             models.push({
               value: `${provider}:${model.name}`,
               displayName: model.name,
               provider: provider,
-              providerName: providerName,
-              icon: icon
+              providerName: providerInfo.name,
+              icon: providerInfo.icon
             });
           });
         });
@@ -833,6 +968,10 @@ export class MessageHelper {
         return;
       }
       
+      if (this.handleMenuShortcut(e)) {
+        return;
+      }
+      
       if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
         e.stopPropagation();
@@ -864,27 +1003,215 @@ export class MessageHelper {
 
   /**
    * Create menu item
+   * @param {Object} item - {key, icon, text, shortcut, keepOpen, onClick}; items without onClick run a built-in refine action
+   * @param {HTMLElement} button - Toolbar refine button
    */
   createMenuItem(item, button) {
     const menuItem = document.createElement('div');
     menuItem.className = 'slack-helper-dropdown-item';
+    if (item.key) {
+      menuItem.dataset.itemKey = item.key;
+    }
+    if (item.shortcut) {
+      menuItem.dataset.shortcut = item.shortcut;
+    }
 
+    // Library actions carry user-defined icons and labels, so escape everything
     menuItem.innerHTML = `
-      <span class="slack-helper-dropdown-icon">${item.icon}</span>
+      <span class="slack-helper-dropdown-icon">${this.escapeHtml(item.icon)}</span>
       <div class="slack-helper-dropdown-text">
-        <div class="slack-helper-dropdown-title">${item.text}</div>
+        <div class="slack-helper-dropdown-title">${this.escapeHtml(item.text)}</div>
       </div>
+      ${item.shortcut ? `<span class="slack-helper-dropdown-shortcut">Alt+${item.shortcut}</span>` : ''}
     `;
 
     menuItem.addEventListener('click', (e) => {
       e.stopPropagation();
-      this.handleRefineAction(item.text, button);
-      this.hideRefineDropdown();
+      if (item.onClick) {
+        item.onClick();
+      } else {
+        this.handleRefineAction(item.text, button);
+      }
+      if (!item.keepOpen) {
+        this.hideRefineDropdown();
+      }
     });
 
     return menuItem;
   }
 
+  /**
+   * Show or hide a submenu of the dropdown, keeping the dropdown on screen
+   * @param {HTMLElement} submenu - Submenu element
+   * @param {HTMLElement} dropdown - Refine dropdown
+   * @param {HTMLElement} button - Toolbar refine button
+   */
+  toggleSubmenu(submenu, dropdown, button) {
+    submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
+    this.positionDropdownFixed(dropdown, button);
+  }
+
+  /**
+   * Create the translate submenu: one row per target language, the last used one first and checked
+   * @param {HTMLElement} button - Toolbar refine button
+   * @returns {Promise<HTMLElement>} Submenu, hidden until the "Translate" item is clicked
+   */
+  async createTranslateSubmenu(button) {
+    let lastLanguage = null;
+    try {
+      lastLanguage = await loadLastTranslationLanguage();
+    } catch (error) {
+      console.warn('Failed to load the last translation language:', error);
+    }
+
+    const submenu = document.createElement('div');
+    submenu.className = 'slack-helper-translate-submenu';
+    submenu.style.display = 'none';
+
+    const languages = [...TRANSLATION_LANGUAGES].sort((a, b) => (b.code === lastLanguage) - (a.code === lastLanguage));
+    languages.forEach(language => {
+      const option = document.createElement('div');
+      option.className = 'slack-helper-translate-option';
+      option.classList.toggle('slack-helper-translate-option-last', language.code === lastLanguage);
+      option.innerHTML = `
+        <span class="slack-helper-translate-label">${this.escapeHtml(language.label)}</span>
+        ${language.code === lastLanguage ? '<span class="slack-helper-translate-check">✓</span>' : ''}
+      `;
+      option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handleTranslateAction(language.code, button);
+        this.hideRefineDropdown();
+      });
+      submenu.appendChild(option);
+    });
+
+    return submenu;
+  }
+
+  /**
+   * Create the tone submenu: a strength slider and one row per tone preset.
+   * The workspace default tone is starred and its strength preselected
+   * @param {HTMLElement} button - Toolbar refine button
+   * @returns {Promise<HTMLElement>} Submenu, hidden until the "Change tone" item is clicked
+   */
+  async createToneSubmenu(button) {
+    const workspace = this.getCurrentWorkspace();
+    let workspaceDefault = null;
+    try {
+      workspaceDefault = await getWorkspaceToneDefault(workspace);
+    } catch (error) {
+      console.warn('Failed to load the workspace default tone:', error);
+    }
+
+    const submenu = document.createElement('div');
+    submenu.className = 'slack-helper-tone-submenu';
+    submenu.style.display = 'none';
+
+    const strengthRow = document.createElement('div');
+    strengthRow.className = 'slack-helper-tone-strength';
+    strengthRow.innerHTML = `
+      <span class="slack-helper-tone-strength-label"></span>
+      <input type="range" min="${MIN_TONE_STRENGTH}" max="${MAX_TONE_STRENGTH}" step="1">
+    `;
+    const strengthInput = strengthRow.querySelector('input');
+    strengthInput.value = workspaceDefault?.strength || DEFAULT_TONE_STRENGTH;
+    this.updateToneStrengthLabel(strengthInput);
+    strengthInput.addEventListener('input', () => this.updateToneStrengthLabel(strengthInput));
+    // Keep arrow keys on the slider instead of Slack's shortcuts
+    strengthInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') e.stopPropagation();
+    });
+    submenu.appendChild(strengthRow);
+
+    TONE_PRESETS.forEach(preset => {
+      const option = document.createElement('div');
+      option.className = 'slack-helper-tone-option';
+      option.dataset.tone = preset.id;
+      option.innerHTML = `
+        <span class="slack-helper-dropdown-icon">${preset.icon}</span>
+        <span class="slack-helper-tone-label">${this.escapeHtml(this.t(preset.labelKey, preset.label))}</span>
+        ${workspace ? '<button class="slack-helper-tone-default"></button>' : ''}
+      `;
+
+      option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handleToneAction(preset.id, Number(strengthInput.value), button);
+        this.hideRefineDropdown();
+      });
+
+      const defaultButton = option.querySelector('.slack-helper-tone-default');
+      if (defaultButton) {
+        defaultButton.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          const isDefault = submenu.dataset.defaultTone === preset.id;
+          try {
+            await setWorkspaceToneDefault(workspace, isDefault ? null : preset.id, Number(strengthInput.value));
+            this.markDefaultTone(submenu, isDefault ? '' : preset.id);
+          } catch (error) {
+            console.error('Failed to save the workspace default tone:', error);
+          }
+        });
+      }
+
+      submenu.appendChild(option);
+    });
+
+    this.markDefaultTone(submenu, workspaceDefault?.tone || '');
+    return submenu;
+  }
+
+  /**
+   * Star the workspace default tone in the submenu
+   * @param {HTMLElement} submenu - Tone submenu
+   * @param {string} toneId - Default tone, or an empty string for none
+   */
+  markDefaultTone(submenu, toneId) {
+    submenu.dataset.defaultTone = toneId;
+    submenu.querySelectorAll('.slack-helper-tone-option').forEach(option => {
+      const isDefault = option.dataset.tone === toneId;
+      option.classList.toggle('slack-helper-tone-option-default', isDefault);
+      const defaultButton = option.querySelector('.slack-helper-tone-default');
+      if (defaultButton) {
+        defaultButton.textContent = isDefault ? '★' : '☆';
+        defaultButton.title = isDefault
+          ? this.t('clearToneDefault', 'Clear the default tone for this workspace')
+          : this.t('setToneDefault', 'Set as the default tone for this workspace');
+      }
+    });
+  }
+
+  /**
+   * Get the display name of a tone strength
+   * @param {number} strength - 1 (light) to 3 (strong)
+   * @returns {string}
+   */
+  getToneStrengthLabel(strength) {
+    const labels = {
+      1: this.t('toneStrengthLight', 'Light'),
+      2: this.t('toneStrengthModerate', 'Moderate'),
+      3: this.t('toneStrengthStrong', 'Strong')
+    };
+    return labels[strength] || labels[DEFAULT_TONE_STRENGTH];
+  }
+
+  updateToneStrengthLabel(strengthInput) {
+    const label = strengthInput.parentElement.querySelector('.slack-helper-tone-strength-label');
+    label.textContent = `${this.t('toneStrength', 'Strength')}: ${this.getToneStrengthLabel(Number(strengthInput.value))}`;
+  }
+
+  /**
+   * Get the name of the current Slack workspace (the key for its default tone)
+   * @returns {string} Workspace name, or an empty string when it cannot be detected
+   */
+  getCurrentWorkspace() {
+    try {
+      return this.domDetector?.getConversationContext().workspace || '';
+    } catch (error) {
+      console.warn('Failed to detect the workspace:', error);
+      return '';
+    }
+  }
+
   /**
    * Handle custom prompt action
    */
@@ -911,7 +1238,11 @@ export class MessageHelper {
         
         // For {MESSAGE} prompts, we send the processed prompt directly as a standalone request
         // We use a dummy text since the LLM service expects some text, but the real content is in the prompt
-        const processedText = await llmService.processText(' ', 'custom', processedPrompt);
+        const abortController = this.createProcessingAbortController();
+        const context = await this.getRefineContext(inputElement, 'custom');
+        const processedText = await llmService.processTextStream(' ', 'custom', processedPrompt, (partialText) => {
+          this.updateProcessingStream(partialText);
+        }, { signal: abortController.signal, context });
         
         // Hide processing overlay and loading state
         this.hideProcessingOverlay();
@@ -921,10 +1252,7 @@ export class MessageHelper {
         this.showResultPreview(inputElement, currentText, processedText, this.t('customPrompt', 'Custom Prompt'));
         
       } catch (error) {
-        console.error('Error processing custom prompt:', error);
-        this.hideProcessingOverlay();
-        this.hideLoadingState(button);
-        alert(`${this.t('errorProcessingRequest', 'Error processing your request')}: ${error.message}`);
+        this.handleProcessingError(error, button, 'Error processing custom prompt');
       }
     } else {
       // If no {MESSAGE} placeholder, use traditional approach with current text or empty string
@@ -939,7 +1267,11 @@ export class MessageHelper {
         this.showLoadingState(button, this.t('processingCustomPrompt', 'Processing with custom prompt...'));
         
         // Use current text (or empty string) with custom prompt as instruction
-        const processedText = await llmService.processText(currentText || ' ', 'custom', customPrompt);
+        const abortController = this.createProcessingAbortController();
+        const context = await this.getRefineContext(inputElement, 'custom');
+        const processedText = await llmService.processTextStream(currentText || ' ', 'custom', customPrompt, (partialText) => {
+          this.updateProcessingStream(partialText);
+        }, { signal: abortController.signal, context });
         
         // Hide processing overlay and loading state
         this.hideProcessingOverlay();
@@ -949,10 +1281,7 @@ export class MessageHelper {
         this.showResultPreview(inputElement, currentText, processedText, this.t('customPrompt', 'Custom Prompt'));
         
       } catch (error) {
-        console.error('Error processing custom prompt:', error);
-        this.hideProcessingOverlay();
-        this.hideLoadingState(button);
-        alert(`${this.t('errorProcessingRequest', 'Error processing your request')}: ${error.message}`);
+        this.handleProcessingError(error, button, 'Error processing custom prompt');
       }
     }
   }
@@ -994,6 +1323,87 @@ export class MessageHelper {
       event.preventDefault();
       event.stopPropagation();
       this.hideRefineDropdown();
+      return;
+    }
+
+    this.handleMenuShortcut(event);
+  }
+
+  /**
+   * Trigger the library action bound to Alt+1..9.
+   * Matches on event.code because Option+digit types a symbol on macOS.
+   * @param {KeyboardEvent} event
+   * @returns {boolean} Whether the event was handled
+   */
+  handleMenuShortcut(event) {
+    if (!this.currentDropdown || !event.altKey || event.ctrlKey || event.metaKey) {
+      return false;
+    }
+
+    const match = /^Digit([1-9])$/.exec(event.code);
+    if (!match) {
+      return false;
+    }
+
+    const menuItem = this.currentDropdown.querySelector(`.slack-helper-dropdown-item[data-shortcut="${match[1]}"]`);
+    if (!menuItem) {
+      return false;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    menuItem.click();
+    return true;
+  }
+
+  /**
+   * Load the user-defined actions shown after the built-in ones
+   * @returns {Promise<Array>} Actions in display order (empty when they cannot be loaded)
+   */
+  async getLibraryActions() {
+    try {
+      return await loadRefineActions();
+    } catch (error) {
+      console.warn('Failed to load refine actions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run a user-defined action from the library: fill its prompt template with the
+   * current message and send it with the action's own model and temperature, if set
+   * @param {Object} libraryAction - {label, prompt, model, temperature}
+   * @param {HTMLElement} button - Toolbar refine button
+   */
+  async handleLibraryAction(libraryAction, button) {
+    const inputElement = this.findInputForButton(button);
+    if (!inputElement) return;
+
+    const currentText = this.extractTextFromInput(inputElement);
+    const prompt = applyRefineActionTemplate(libraryAction.prompt, currentText);
+    const message = this.t('processingAction', 'Processing with {{label}}...').replace('{{label}}', libraryAction.label);
+
+    try {
+      this.showProcessingOverlay(message, libraryAction.label);
+      this.showLoadingState(button, message);
+
+      const abortController = this.createProcessingAbortController();
+      const context = await this.getRefineContext(inputElement, 'custom');
+      const processedText = await llmService.processTextStream(' ', 'custom', prompt, (partialText) => {
+        this.updateProcessingStream(partialText);
+      }, {
+        signal: abortController.signal,
+        context,
+        model: libraryAction.model,
+        temperature: libraryAction.temperature
+      });
+
+      this.hideProcessingOverlay();
+      this.hideLoadingState(button);
+
+      this.showResultPreview(inputElement, currentText, processedText, libraryAction.label);
+    } catch (error) {
+      this.handleProcessingError(error, button, 'Error processing library action');
     }
   }
 
@@ -1028,8 +1438,13 @@ export class MessageHelper {
       // Also show button loading state as backup
       this.showLoadingState(button, actionConfig.message);
       
-      // Process text with LLM service (use empty string if no current text)
-      const processedText = await llmService.processText(currentText || ' ', actionConfig.action);
+      // Process text with LLM service (use empty string if no current text),
+      // rendering partial output in the overlay as it streams in
+      const abortController = this.createProcessingAbortController();
+      const context = await this.getRefineContext(inputElement, actionConfig.action);
+      const processedText = await llmService.processTextStream(currentText || ' ', actionConfig.action, '', (partialText) => {
+        this.updateProcessingStream(partialText);
+      }, { signal: abortController.signal, context });
       
       // Hide processing overlay and loading state
       this.hideProcessingOverlay();
@@ -1039,10 +1454,206 @@ export class MessageHelper {
       this.showResultPreview(inputElement, currentText, processedText, action);
       
     } catch (error) {
-      console.error('Error processing refine action:', error);
+      this.handleProcessingError(error, button, 'Error processing refine action');
+    }
+  }
+
+  /**
+   * Rewrite the draft in a tone preset
+   * @param {string} toneId - Tone preset id (formal, friendly, ...)
+   * @param {number} strength - How strongly to change the draft (1-3)
+   * @param {HTMLElement} button - Toolbar refine button
+   */
+  async handleToneAction(toneId, strength, button) {
+    const inputElement = this.findInputForButton(button);
+    if (!inputElement) return;
+
+    const currentText = this.extractTextFromInput(inputElement);
+    if (!currentText || !currentText.trim()) {
+      alert(this.t('pleaseTypeMessageBeforeRefining', 'Please type a message first before refining it.'));
+      return;
+    }
+
+    const preset = getTonePreset(toneId);
+    const toneLabel = this.t(preset.labelKey, preset.label);
+    const actionName = `${this.t('tone', 'Tone')}: ${toneLabel} (${this.getToneStrengthLabel(strength)})`;
+    const message = this.t('rewritingTone', 'Rewriting in a {{tone}} tone...').replace('{{tone}}', toneLabel);
+
+    try {
+      this.showProcessingOverlay(message, actionName);
+      this.showLoadingState(button, message);
+
+      const abortController = this.createProcessingAbortController();
+      const processedText = await llmService.processTextStream(currentText, 'tone', '', (partialText) => {
+        this.updateProcessingStream(partialText);
+      }, { signal: abortController.signal, tone: toneId, toneStrength: strength });
+
+      this.hideProcessingOverlay();
+      this.hideLoadingState(button);
+
+      this.showResultPreview(inputElement, currentText, processedText, actionName);
+    } catch (error) {
+      this.handleProcessingError(error, button, 'Error rewriting tone');
+    }
+  }
+
+  /**
+   * Translate the draft into another language and show it next to the source.
+   * Mentions, emoji shortcodes, code and links are swapped for placeholders before
+   * the request so the model cannot translate or drop them, then put back
+   * @param {string} languageCode - Target language code (en, zh-TW, ...)
+   * @param {HTMLElement} button - Toolbar refine button
+   */
+  async handleTranslateAction(languageCode, button) {
+    const inputElement = this.findInputForButton(button);
+    if (!inputElement) return;
+
+    const currentText = this.extractTextFromInput(inputElement);
+    if (!currentText || !currentText.trim()) {
+      alert(this.t('pleaseTypeMessageBeforeRefining', 'Please type a message first before refining it.'));
+      return;
+    }
+
+    saveLastTranslationLanguage(languageCode).catch(error => {
+      console.warn('Failed to save the translation language:', error);
+    });
+
+    const language = getTranslationLanguage(languageCode);
+    const actionName = this.t('translateTo', 'Translate to {{language}}').replace('{{language}}', language.label);
+    const message = this.t('translating', 'Translating to {{language}}...').replace('{{language}}', language.label);
+    const { text: protectedText, tokens } = SlackMessageFormatter.protectSlackTokens(
+      currentText,
+      SlackMessageFormatter.getMentionLabels(inputElement)
+    );
+
+    try {
+      this.showProcessingOverlay(message, actionName);
+      this.showLoadingState(button, message);
+
+      const abortController = this.createProcessingAbortController();
+      const translatedText = await llmService.processTextStream(protectedText, 'translate', '', (partialText) => {
+        this.updateProcessingStream(SlackMessageFormatter.restoreSlackTokens(partialText, tokens).text);
+      }, { signal: abortController.signal, targetLanguage: languageCode });
+
+      const { text, missing } = SlackMessageFormatter.restoreSlackTokens(translatedText, tokens);
+      // Keep anything the model dropped rather than silently losing a mention or link
+      const translation = missing.length > 0 ? `${text} ${missing.join(' ')}` : text;
+      if (missing.length > 0) {
+        console.warn('Translation dropped protected tokens, appending them:', missing);
+      }
+
       this.hideProcessingOverlay();
       this.hideLoadingState(button);
-      alert(`${this.t('errorProcessingRequest', 'Error processing your request')}: ${error.message}`);
+
+      this.showResultPreview(inputElement, currentText, translation, actionName, '', [], {
+        sideBySide: true,
+        resultLabel: language.label
+      });
+    } catch (error) {
+      this.handleProcessingError(error, button, 'Error translating draft');
+    }
+  }
+
+  /**
+   * Check whether an input is the reply composer of the open thread pane
+   * @param {Element|null} inputElement - Composer input
+   * @returns {boolean}
+   */
+  isThreadComposer(inputElement) {
+    if (!inputElement || !this.domDetector || !this.scrollCollector || !this.threadAnalyzer) {
+      return false;
+    }
+    const threadContainer = this.domDetector.findThreadContainer();
+    return !!threadContainer && threadContainer.contains(inputElement);
+  }
+
+  /**
+   * Load the refine context settings (global switch, message count and per-action switches)
+   * @returns {Promise<Object>} Saved settings merged over the defaults
+   */
+  async getRefineContextSettings() {
+    try {
+      const result = await chrome.storage.local.get(['slack_summary_config']);
+      return mergeRefineContextSettings(result.slack_summary_config?.refineContext);
+    } catch (error) {
+      console.warn('Failed to load refine context settings:', error);
+      return DEFAULT_REFINE_CONTEXT_SETTINGS;
+    }
+  }
+
+  /**
+   * Get the latest thread messages to send as context when refining a reply
+   * Only applies to the thread reply composer, and only when enabled globally and for this action
+   * @param {Element} inputElement - Composer input
+   * @param {string} action - Action type (rephrase, refine, fix_grammar, custom)
+   * @returns {Promise<string>} Formatted messages, or an empty string when no context applies
+   */
+  async getRefineContext(inputElement, action) {
+    if (!this.isThreadComposer(inputElement)) {
+      return '';
+    }
+
+    const settings = await this.getRefineContextSettings();
+    if (!settings.enabled || !settings.actions[action] || settings.messageCount <= 0) {
+      return '';
+    }
+
+    try {
+      // The reply composer sits below the latest messages, so the visible ones are enough
+      const visibleMessages = this.scrollCollector.extractCurrentMessages();
+      const messages = this.scrollCollector.messageProcessor
+        ? this.scrollCollector.messageProcessor.processMessages(visibleMessages)
+        : visibleMessages;
+      const recentMessages = messages.slice(-settings.messageCount);
+      return recentMessages.length > 0 ? this.threadAnalyzer.formatMessageList(recentMessages) : '';
+    } catch (error) {
+      console.warn('Failed to collect thread context for refine:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Suggest replies to the open thread: collect the complete thread, ask the LLM for
+   * a few candidate replies and show them in the result preview
+   * @param {HTMLElement} button - Toolbar refine button
+   * @param {string} intent - Optional intent typed by the user (e.g. "agree but ask for ETA")
+   */
+  async handleSuggestReply(button, intent = '') {
+    const inputElement = this.findInputForButton(button);
+    if (!inputElement) return;
+
+    const draft = this.extractTextFromInput(inputElement);
+    const actionName = this.t('suggestReply', 'Suggest reply');
+
+    try {
+      this.showProcessingOverlay(this.t('collectingThread', 'Collecting thread messages...'), actionName);
+      this.showLoadingState(button, this.t('collectingThread', 'Collecting thread messages...'));
+      const abortController = this.createProcessingAbortController();
+
+      const messages = await this.scrollCollector.collectCompleteThreadMessages();
+      if (abortController.signal.aborted) {
+        this.hideLoadingState(button);
+        return;
+      }
+      if (messages.length === 0) {
+        throw new Error(this.t('noThreadMessages', 'No thread messages found'));
+      }
+
+      this.setProcessingMessage(this.t('suggestingReplies', 'Writing reply suggestions...'));
+      const { threadText, omittedCount } = fitThreadToBudget(
+        messages,
+        (threadMessages, startIndex) => this.threadAnalyzer.formatMessageList(threadMessages, startIndex),
+        await llmService.getSummaryTokenBudget()
+      );
+      const prompt = buildReplySuggestionsPrompt(threadText, { intent, draft, omittedCount });
+      const replies = await extractJsonWithRetry(prompt, parseReplySuggestions, { signal: abortController.signal });
+
+      this.hideProcessingOverlay();
+      this.hideLoadingState(button);
+
+      this.showResultPreview(inputElement, draft, replies[0], actionName, '', replies);
+    } catch (error) {
+      this.handleProcessingError(error, button, 'Error suggesting replies');
     }
   }
 
@@ -1193,10 +1804,17 @@ export class MessageHelper {
     timeIndicator.className = 'slack-helper-processing-time';
     timeIndicator.textContent = '0s';
     
+    // Create cancel button (Esc also cancels)
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'slack-helper-processing-cancel';
+    cancelButton.textContent = `${this.t('cancel', 'Cancel')} (Esc)`;
+    cancelButton.addEventListener('click', () => this.cancelProcessing());
+    
     // Assemble content
     content.appendChild(spinnerContainer);
     content.appendChild(statusMessage);
     content.appendChild(timeIndicator);
+    content.appendChild(cancelButton);
     
     // Assemble overlay
     overlay.appendChild(header);
@@ -1213,10 +1831,97 @@ export class MessageHelper {
     // Start time updates
     this.startProcessingAnimation(timeIndicator);
     
+    // Listen for Esc in the capture phase so Slack doesn't swallow it
+    document.addEventListener('keydown', this.handleProcessingKeyDown, true);
+    
     // Prevent body scroll
     document.body.style.overflow = 'hidden';
   }
 
+  /**
+   * Update the status message of the processing overlay
+   * @param {string} message - New status message
+   */
+  setProcessingMessage(message) {
+    const statusMessage = this.currentProcessingOverlay?.querySelector('.slack-helper-processing-message');
+    if (statusMessage) {
+      statusMessage.textContent = message;
+    }
+  }
+
+  /**
+   * Create the abort controller for the request shown in the processing overlay
+   * @returns {AbortController}
+   */
+  createProcessingAbortController() {
+    this.currentAbortController = new AbortController();
+    return this.currentAbortController;
+  }
+
+  /**
+   * Cancel the in-flight LLM request shown in the processing overlay
+   */
+  cancelProcessing() {
+    if (this.currentAbortController) {
+      this.currentAbortController.abort();
+      this.currentAbortController = null;
+    }
+    this.hideProcessingOverlay();
+  }
+
+  /**
+   * Clean up the processing UI after a failed request and report the error.
+   * Requests cancelled by the user leave the composer untouched without an alert.
+   * @param {Error} error - Error thrown by the request
+   * @param {HTMLElement} button - Button showing the loading state
+   * @param {string} logLabel - Console label for the failure (e.g. 'Error translating draft')
+   */
+  handleProcessingError(error, button, logLabel) {
+    this.hideProcessingOverlay();
+    this.hideLoadingState(button);
+    if (error.name === 'AbortError') {
+      return;
+    }
+    console.error(`${logLabel}:`, error);
+    alert(`${this.t('errorProcessingRequest', 'Error processing your request')}: ${error.message}`);
+  }
+
+  /**
+   * Handle Esc while the processing overlay is visible
+   */
+  handleProcessingKeyDown(event) {
+    if (this.currentProcessingOverlay && event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.cancelProcessing();
+    }
+  }
+
+  /**
+   * Render streamed partial output inside the processing overlay
+   * @param {string} partialText - Text generated so far
+   */
+  updateProcessingStream(partialText) {
+    if (!this.currentProcessingOverlay || !partialText) return;
+
+    let streamElement = this.currentProcessingOverlay.querySelector('.slack-helper-processing-stream');
+    if (!streamElement) {
+      const content = this.currentProcessingOverlay.querySelector('.slack-helper-processing-content');
+      if (!content) return;
+
+      // Swap the spinner for the live preview once the first tokens arrive
+      const spinnerContainer = content.querySelector('.slack-helper-processing-spinner-container');
+      if (spinnerContainer) spinnerContainer.style.display = 'none';
+
+      streamElement = document.createElement('div');
+      streamElement.className = 'slack-helper-processing-stream';
+      content.insertBefore(streamElement, content.firstChild);
+    }
+
+    streamElement.textContent = partialText;
+    streamElement.scrollTop = streamElement.scrollHeight;
+  }
+
   /**
    * Start processing time updates
    */
@@ -1250,6 +1955,9 @@ export class MessageHelper {
     // Keep local reference to backdrop before clearing
     const backdrop = this.currentProcessingBackdrop;
 
+    document.removeEventListener('keydown', this.handleProcessingKeyDown, true);
+    this.currentAbortController = null;
+
     // Restore body scroll
     document.body.style.overflow = '';
 
@@ -1401,8 +2109,10 @@ export class MessageHelper {
 
   /**
    * Show result preview with Replace/Copy options
+   * When several candidates are given (reply suggestions), tabs switch the previewed text.
+   * With sideBySide (translations), the original is shown next to the result under resultLabel
    */
-  showResultPreview(inputElement, originalText, processedText, actionType, customPrompt = '') {
+  showResultPreview(inputElement, originalText, processedText, actionType, customPrompt = '', candidates = [], { sideBySide = false, resultLabel = '' } = {}) {
     // Remove any existing preview
     this.hideResultPreview();
 
@@ -1420,7 +2130,7 @@ export class MessageHelper {
     header.innerHTML = `
       <div class="slack-helper-preview-title">
         <span class="slack-helper-preview-icon">✨</span>
-        <span>${actionType}</span>
+        <span>${this.escapeHtml(actionType)}</span>
       </div>
       <button class="slack-helper-preview-close" title="Close">×</button>
     `;
@@ -1435,6 +2145,11 @@ export class MessageHelper {
     
     // Create Slack message container with native styling
     const slackMessageContainer = this.createSlackStyledMessage(processedText);
+
+    // Several candidates (e.g. reply suggestions): let the user switch between them
+    if (candidates.length > 1) {
+      processedSection.appendChild(this.createCandidateTabs(candidates, processedSection));
+    }
     processedSection.appendChild(slackMessageContainer);
 
     // Action buttons
@@ -1449,7 +2164,19 @@ export class MessageHelper {
       </button>
     `;
 
-    // Assemble preview (only include processed section)
+    // Assemble preview: the result only, or the original and the result side by side (e.g. translations)
+    if (sideBySide) {
+      preview.classList.add('slack-helper-result-preview-wide');
+      content.classList.add('slack-helper-preview-content-split');
+
+      const originalSection = document.createElement('div');
+      originalSection.className = 'slack-helper-preview-section';
+      originalSection.appendChild(this.createPreviewLabel(this.t('original', 'Original:')));
+      originalSection.appendChild(this.createSlackStyledMessage(originalText));
+      content.appendChild(originalSection);
+
+      processedSection.insertBefore(this.createPreviewLabel(resultLabel || this.t('result', 'Result:')), processedSection.firstChild);
+    }
     content.appendChild(processedSection);
     preview.appendChild(header);
     preview.appendChild(content);
@@ -1472,6 +2199,45 @@ export class MessageHelper {
     this.loadPreviewStyles();
   }
 
+  /**
+   * Create the heading of a preview column (used when showing results side by side)
+   * @param {string} text - Heading text
+   * @returns {HTMLElement}
+   */
+  createPreviewLabel(text) {
+    const label = document.createElement('div');
+    label.className = 'slack-helper-preview-label';
+    label.textContent = text;
+    return label;
+  }
+
+  /**
+   * Create the tabs used to switch between candidate results in the preview
+   * @param {Array<string>} candidates - Candidate texts
+   * @param {HTMLElement} processedSection - Section holding the rendered candidate
+   * @returns {HTMLElement}
+   */
+  createCandidateTabs(candidates, processedSection) {
+    const tabs = document.createElement('div');
+    tabs.className = 'slack-helper-preview-candidates';
+
+    candidates.forEach((candidate, index) => {
+      const tab = document.createElement('button');
+      tab.className = 'slack-helper-preview-candidate';
+      tab.classList.toggle('active', index === 0);
+      tab.textContent = this.t('replyOption', 'Option {{number}}').replace('{{number}}', index + 1);
+      tab.addEventListener('click', () => {
+        tabs.querySelectorAll('.slack-helper-preview-candidate').forEach(other => other.classList.toggle('active', other === tab));
+        processedSection.querySelector('.slack-helper-slack-message-container')?.remove();
+        processedSection.appendChild(this.createSlackStyledMessage(candidate));
+        this.previewProcessedText = candidate;
+      });
+      tabs.appendChild(tab);
+    });
+
+    return tabs;
+  }
+
   /**
    * Add event listeners to preview
    */
@@ -1935,6 +2701,50 @@ export class MessageHelper {
         cursor: pointer;
       }
 
+      .slack-helper-result-preview.slack-helper-result-preview-wide {
+        max-width: 1000px;
+      }
+
+      .slack-helper-preview-content-split {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 16px;
+      }
+
+      .slack-helper-preview-content-split .slack-helper-preview-section {
+        margin-bottom: 0;
+        min-width: 0;
+      }
+
+      .slack-helper-preview-label {
+        margin-bottom: 8px;
+        font-size: 12px;
+        font-weight: 600;
+        color: #616061;
+      }
+
+      .slack-helper-preview-candidates {
+        display: flex;
+        gap: 6px;
+        margin-bottom: 12px;
+      }
+
+      .slack-helper-preview-candidate {
+        padding: 4px 12px;
+        border: 1px solid #ddd;
+        border-radius: 14px;
+        background: white;
+        color: #1d1c1d;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .slack-helper-preview-candidate.active {
+        background: #1264a3;
+        border-color: #1264a3;
+        color: white;
+      }
+
       .slack-helper-preview-actions {
         display: flex;
         gap: 8px;
@@ -3,11 +3,14 @@
  * Handles message post-processing including Unknown User filtering and merging
  * Updated to use the implementation from content.js
  */
+
+import { slackTsToMillis } from './time-utils.js';
+
 export class MessageProcessor {
   constructor() {
     // Slack system message patterns to filter out
     this.systemMessagePatterns = [
-      /\d+\s+replies?/i,
+      /^\d+\s+replies?$/i,
       /reply…\s*also\s+send\s+to/i,
       /also\s+send\s+to/i,
       /\d+\s+people\s+will\s+be\s+notified/i,
@@ -54,15 +57,67 @@ export class MessageProcessor {
   processMessages(rawMessages) {
     console.log(`Processing ${rawMessages.length} raw messages...`);
     
+    // Step 0: Order by Slack ts (scroll collection may see messages out of order)
+    const orderedMessages = this.sortMessagesByTime(rawMessages);
+    
     // Step 1: Filter out system messages
-    const filteredMessages = this.filterSystemMessages(rawMessages);
+    const filteredMessages = this.filterSystemMessages(orderedMessages);
     console.log(`After system message filtering: ${filteredMessages.length} messages`);
     
     // Step 2: Merge continuation messages
     const mergedMessages = this.mergeContinuationMessages(filteredMessages);
     console.log(`After merging continuations: ${mergedMessages.length} messages`);
     
-    return mergedMessages;
+    // Step 3: Number attachments in thread order
+    return this.numberAttachments(mergedMessages);
+  }
+
+  /**
+   * Sort messages by their Slack ts. Messages without a ts keep their position
+   * relative to the previous message, so DOM order is preserved where no ts is known.
+   * @param {Array} messages 
+   * @returns {Array}
+   */
+  sortMessagesByTime(messages) {
+    let lastTime = -Infinity;
+    const keyed = messages.map((message, index) => {
+      const time = this.getMessageTime(message);
+      if (time !== null) {
+        lastTime = time;
+      }
+      return { message, index, time: time !== null ? time : lastTime };
+    });
+
+    return keyed
+      .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+      .map(item => item.message);
+  }
+
+  /**
+   * Get the message time in milliseconds from its Slack ts
+   * @param {Object} message 
+   * @returns {number|null}
+   */
+  getMessageTime(message) {
+    return slackTsToMillis(message.ts);
+  }
+
+  /**
+   * Number images and files in thread order (used by [Image N: alt] markers)
+   * @param {Array} messages 
+   * @returns {Array}
+   */
+  numberAttachments(messages) {
+    let imageCount = 0;
+    let fileCount = 0;
+
+    messages.forEach(message => {
+      (message.attachments || []).forEach(attachment => {
+        attachment.number = attachment.kind === 'image' ? ++imageCount : ++fileCount;
+      });
+    });
+
+    return messages;
   }
 
   /**
@@ -77,6 +132,14 @@ export class MessageProcessor {
         return true;
       }
 
+      // Keep image-only / file-only continuations, and continuations carrying reactions or replies
+      if (message.attachments && message.attachments.length > 0) {
+        return true;
+      }
+      if ((message.reactions && message.reactions.length > 0) || message.replyCount > 0) {
+        return true;
+      }
+
       // Check if Unknown User message is a system message
       const isSystemMessage = this.isSystemMessage(message.text);
       
@@ -157,6 +220,13 @@ export class MessageProcessor {
         if (targetIndex >= 0) {
           // Merge with the found message
           const targetMessage = processedMessages[targetIndex];
+
+          // The same continuation can be extracted twice (e.g. once from the root and once from the reply list)
+          if (this.isAlreadyMerged(targetMessage, currentMessage)) {
+            console.log(`Skipping duplicate continuation ${currentMessage.id} of message ${targetMessage.id}`);
+            continue;
+          }
+
           const mergedText = this.mergeMessageTexts(targetMessage.text, currentMessage.text);
           
           console.log(`Merging Unknown User message with previous message from ${targetMessage.user}`);
@@ -165,12 +235,18 @@ export class MessageProcessor {
           
           // Update the target message with merged content
           targetMessage.text = mergedText;
+          targetMessage.attachments = [...(targetMessage.attachments || []), ...(currentMessage.attachments || [])];
+          this.mergeMessageMetadata(targetMessage, currentMessage);
+          if (currentMessage.id) {
+            targetMessage.mergedIds = [...(targetMessage.mergedIds || []), currentMessage.id];
+          }
           
           // Update timestamp if the continuation has a more recent timestamp
           if (currentMessage.timestamp && 
               (!targetMessage.timestamp || 
-               this.isMoreRecentTimestamp(currentMessage.timestamp, targetMessage.timestamp))) {
+               this.isMoreRecentTimestamp(currentMessage, targetMessage))) {
             targetMessage.timestamp = currentMessage.timestamp;
+            targetMessage.isoTimestamp = currentMessage.isoTimestamp || targetMessage.isoTimestamp;
           }
         } else {
           // No previous non-Unknown User message found, skip this message
@@ -185,6 +261,47 @@ export class MessageProcessor {
     return processedMessages;
   }
 
+  /**
+   * Check whether a continuation (by its Slack ts id) is already part of the target message
+   * @param {Object} targetMessage 
+   * @param {Object} continuation 
+   * @returns {boolean}
+   */
+  isAlreadyMerged(targetMessage, continuation) {
+    if (!continuation.id) {
+      return false;
+    }
+    return continuation.id === targetMessage.id || (targetMessage.mergedIds || []).includes(continuation.id);
+  }
+
+  /**
+   * Merge reactions, mentions, edited flags and reply counts of a continuation into its target message
+   * @param {Object} targetMessage 
+   * @param {Object} continuation 
+   */
+  mergeMessageMetadata(targetMessage, continuation) {
+    const reactions = (targetMessage.reactions || []).map(reaction => ({ ...reaction }));
+    (continuation.reactions || []).forEach(reaction => {
+      const existing = reactions.find(item => item.emoji === reaction.emoji);
+      if (existing) {
+        existing.count += reaction.count;
+      } else {
+        reactions.push({ ...reaction });
+      }
+    });
+
+    targetMessage.reactions = reactions;
+    const mentions = [...(targetMessage.mentions || [])];
+    (continuation.mentions || []).forEach(mention => {
+      if (!mentions.some(item => item.userId ? item.userId === mention.userId : item.label === mention.label)) {
+        mentions.push(mention);
+      }
+    });
+    targetMessage.mentions = mentions;
+    targetMessage.edited = !!(targetMessage.edited || continuation.edited);
+    targetMessage.replyCount = (targetMessage.replyCount || 0) + (continuation.replyCount || 0);
+  }
+
   /**
    * Merge two message texts intelligently
    * @param {string} previousText 
@@ -192,8 +309,12 @@ export class MessageProcessor {
    * @returns {string}
    */
   mergeMessageTexts(previousText, continuationText) {
-    const prev = previousText.trim();
-    const cont = continuationText.trim();
+    const prev = (previousText || '').trim();
+    const cont = (continuationText || '').trim();
+    
+    if (!prev || !cont) {
+      return prev || cont;
+    }
     
     // If previous text ends with punctuation, add a space
     if (/[.!?]\s*$/.test(prev)) {
@@ -210,14 +331,19 @@ export class MessageProcessor {
   }
 
   /**
-   * Check if timestamp1 is more recent than timestamp2
-   * @param {string} timestamp1 
-   * @param {string} timestamp2 
+   * Check if message1 was posted more recently than message2
+   * @param {Object} message1 
+   * @param {Object} message2 
    * @returns {boolean}
    */
-  isMoreRecentTimestamp(timestamp1, timestamp2) {
-    // Simple string comparison for now
-    // Could be enhanced with proper date parsing if needed
-    return timestamp1 > timestamp2;
+  isMoreRecentTimestamp(message1, message2) {
+    const time1 = this.getMessageTime(message1);
+    const time2 = this.getMessageTime(message2);
+    if (time1 !== null && time2 !== null) {
+      return time1 > time2;
+    }
+
+    // Fall back to comparing the display strings when no Slack ts is available
+    return message1.timestamp > message2.timestamp;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Message Translation Module
+ * 將收到的 Slack 訊息翻譯為使用者的閱讀語言：單則訊息沿用 translate 動作，整個討論串則分段以 JSON 批次翻譯
+ * 提及、表情符號代碼、程式碼與連結先由 SlackMessageFormatter 以佔位符保護，翻譯後再還原
+ */
+
+import { getTranslationLanguage } from './draft-translation.js';
+import { estimateTokens } from './llm-service.js';
+import { SlackMessageFormatter } from './slack-message-formatter.js';
+import { buildJsonOutputInstruction, parseJsonWithSchema } from './structured-output.js';
+
+/**
+ * 批次翻譯時每段訊息的 token 上限：譯文長度與原文相近，需留在模型的輸出上限之內
+ */
+export const THREAD_TRANSLATION_CHUNK_TOKENS = 1500;
+
+/**
+ * 模型輸出必須符合的 JSON Schema（僅使用 validateAgainstSchema 支援的子集）
+ */
+export const THREAD_TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['translations'],
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'text'],
+        properties: {
+          index: { type: 'integer' },
+          text: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 以佔位符保護訊息中的提及、表情符號代碼、程式碼與連結
+ * @param {Object} message - MessageTextExtractor 擷取的訊息
+ * @returns {{text: string, tokens: Array<string>}}
+ */
+export function protectMessageText(message) {
+  const mentionLabels = (message.mentions || []).map(mention => mention.label).filter(Boolean);
+  return SlackMessageFormatter.protectSlackTokens(message.text || '', mentionLabels);
+}
+
+/**
+ * 還原譯文中的佔位符；模型遺漏的內容附在最後，避免提及或連結消失
+ * @param {string} text - 模型回傳的譯文
+ * @param {Array<string>} tokens - protectMessageText 回傳的原始內容
+ * @returns {string}
+ */
+export function restoreMessageText(text, tokens) {
+  const { text: restored, missing } = SlackMessageFormatter.restoreSlackTokens(text.trim(), tokens);
+  return missing.length > 0 ? `${restored} ${missing.join(' ')}` : restored;
+}
+
+/**
+ * 依已保護內容的 token 數將訊息切成連續分段（不截斷任何訊息）
+ * 單則就超過預算的訊息不放進分段，由呼叫端逐則翻譯
+ * @param {Array<{text: string}>} entries - text 為已保護內容的訊息
+ * @param {number} tokenBudget - 每段的 token 預算
+ * @returns {{chunks: Array<Array>, oversized: Array}} 分段與超過預算的訊息
+ */
+export function splitTranslationChunks(entries, tokenBudget) {
+  const chunks = [];
+  const oversized = [];
+  let current = [];
+  let currentTokens = 0;
+
+  entries.forEach(entry => {
+    const tokens = estimateTokens(entry.text);
+    if (tokens > tokenBudget) {
+      oversized.push(entry);
+      return;
+    }
+
+    if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(entry);
+    currentTokens += tokens;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return { chunks, oversized };
+}
+
+/**
+ * 將已保護的訊息編號，作為批次翻譯的內容
+ * @param {Array<string>} texts - 已保護的訊息內容
+ * @returns {string}
+ */
+export function formatMessagesForTranslation(texts) {
+  return texts.map((text, index) => `#${index + 1}\n${text}`).join('\n\n');
+}
+
+/**
+ * 產生批次翻譯的提示詞
+ * @param {string} messageText - formatMessagesForTranslation 產生的編號訊息
+ * @param {string} languageCode - 目標語言代碼
+ * @returns {string}
+ */
+export function buildThreadTranslationPrompt(messageText, languageCode) {
+  const language = getTranslationLanguage(languageCode)?.name || languageCode;
+  return `Translate each numbered Slack message below into ${language}.\n\n` +
+    buildJsonOutputInstruction('{ "translations": [{ "index": integer, "text": string }] }') +
+    'Rules:\n' +
+    '- Add one entry per message; index is the number shown above the message.\n' +
+    '- Keep the tone, line breaks and Markdown formatting of each message.\n' +
+    '- Placeholders such as ⟦1⟧ stand for mentions, emoji, code and links: copy each of them unchanged into the right place.\n' +
+    `- Return a message that is already in ${language} unchanged.\n\n` +
+    messageText;
+}
+
+/**
+ * 解析並驗證批次翻譯的結果
+ * @param {string} responseText - 模型回傳內容
+ * @returns {Map<number, string>} 訊息編號（從 1 開始）-> 譯文
+ * @throws {Error} JSON 無法解析或不符合 schema 時
+ */
+export function parseThreadTranslationResponse(responseText) {
+  const data = parseJsonWithSchema(responseText, THREAD_TRANSLATION_SCHEMA);
+
+  return new Map(data.translations
+    .filter(entry => entry.text.trim())
+    .map(entry => [entry.index, entry.text]));
+}
@@ -0,0 +1,161 @@
+/**
+ * My Requests Module
+ * 「別人要我做什麼」：從討論串擷取直接對目前使用者提出的請求、問題與提及（JSON），附上期限與原始訊息連結
+ */
+
+import { buildJsonOutputInstruction, parseJsonWithSchema } from './structured-output.js';
+
+/**
+ * 項目類型：請求（要我做的事）、問題（要我回答的）、提及（只是提到我，需知悉）
+ */
+export const MY_REQUEST_TYPES = ['request', 'question', 'mention'];
+
+/**
+ * 模型輸出必須符合的 JSON Schema（僅使用 validateAgainstSchema 支援的子集）
+ */
+export const MY_REQUESTS_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'text'],
+        properties: {
+          type: { type: 'string' },
+          text: { type: 'string' },
+          from: { type: ['string', 'null'] },
+          dueDate: { type: ['string', 'null'] },
+          sourceMessageIndex: { type: ['integer', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 正規化使用者名稱以便比對（去除開頭的 @、空白與大小寫差異）
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return (name || '').replace(/^@/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * 判斷提及是否指向目前使用者（優先比對 Slack 使用者 ID，沒有 ID 時比對名稱）
+ * @param {{label: string, userId: string}} mention - MessageTextExtractor 解析出的提及
+ * @param {{id: string, name: string}} currentUser - 目前使用者
+ * @returns {boolean}
+ */
+export function isMentionOfUser(mention, currentUser) {
+  if (mention.userId && currentUser.id) {
+    return mention.userId === currentUser.id;
+  }
+  return !!currentUser.name && normalizeName(mention.label) === normalizeName(currentUser.name);
+}
+
+/**
+ * 找出直接提及目前使用者的訊息編號
+ * @param {Array} messages - 討論串訊息
+ * @param {{id: string, name: string}} currentUser - 目前使用者
+ * @param {number} [startIndex] - messages[0] 在整個討論串中的位置
+ * @returns {Array<number>} 訊息編號（從 1 開始，與提示詞中的編號一致）
+ */
+export function findMessagesMentioningUser(messages, currentUser, startIndex = 0) {
+  return messages.reduce((numbers, message, index) => {
+    if ((message.mentions || []).some(mention => isMentionOfUser(mention, currentUser))) {
+      numbers.push(startIndex + index + 1);
+    }
+    return numbers;
+  }, []);
+}
+
+/**
+ * 產生要求模型輸出 JSON 的提示詞
+ * @param {string} messageText - 已編號的討論串訊息
+ * @param {{id: string, name: string}} currentUser - 目前使用者
+ * @param {Array<number>} mentionedNumbers - 直接提及目前使用者的訊息編號
+ * @returns {string}
+ */
+export function buildMyRequestsPrompt(messageText, currentUser, mentionedNumbers = []) {
+  const mentionedNote = mentionedNumbers.length > 0
+    ? `Messages ${mentionedNumbers.map(number => `#${number}`).join(', ')} mention me directly.\n`
+    : 'No message mentions me with an @-mention, but people may still address me by name.\n';
+
+  return `I am ${currentUser.name || currentUser.id} in the numbered Slack thread below. ` +
+    'Find everything that is being asked of me or addressed to me.\n' +
+    mentionedNote + '\n' +
+    buildJsonOutputInstruction(
+      '{\n' +
+      '  "items": [{ "type": "request" | "question" | "mention", "text": string, "from": string | null, "dueDate": string | null, "sourceMessageIndex": integer | null }]\n' +
+      '}'
+    ) +
+    'Rules:\n' +
+    '- "request": something I am asked to do. "question": something I am asked to answer. ' +
+    '"mention": I am mentioned or pulled in for awareness without a clear ask.\n' +
+    '- Skip requests addressed to other people, and skip asks I have already handled later in the thread.\n' +
+    '- text is a short description of what is needed from me; from is who asked.\n' +
+    '- sourceMessageIndex is the number of the message the item comes from.\n' +
+    '- dueDate is YYYY-MM-DD when a date is stated, otherwise the phrase used (e.g. "by Friday") or null.\n' +
+    '- Use an empty array when nothing is asked of me.\n' +
+    '- Write text in the same language as the conversation.\n\n' +
+    messageText;
+}
+
+/**
+ * 解析並驗證模型回傳的 JSON
+ * @param {string} responseText - 模型回傳內容
+ * @returns {Object} 符合 MY_REQUESTS_SCHEMA 的資料
+ * @throws {Error} JSON 無法解析或不符合 schema 時
+ */
+export function parseMyRequestsResponse(responseText) {
+  const data = parseJsonWithSchema(responseText, MY_REQUESTS_SCHEMA, { defaults: { items: [] } });
+
+  // 未知的類型視為提及
+  data.items.forEach(item => {
+    if (!MY_REQUEST_TYPES.includes(item.type)) item.type = 'mention';
+  });
+
+  return data;
+}
+
+/**
+ * 合併多段擷取結果（分段處理長討論串時使用）
+ * @param {Array<Object>} results
+ * @returns {Object}
+ */
+export function mergeMyRequests(results) {
+  return { items: results.flatMap(result => result.items) };
+}
+
+/**
+ * 匯出為 Markdown，依類型分組，來源訊息連到 permalink
+ * @param {Object} data - 擷取結果
+ * @param {Array} messages - 整個討論串的訊息（用於取得 permalink）
+ * @returns {string}
+ */
+export function myRequestsToMarkdown(data, messages = []) {
+  const headings = { request: '## Requests', question: '## Questions', mention: '## Mentions' };
+  const source = index => {
+    if (!index) return '';
+    const permalink = messages[index - 1]?.permalink;
+    return permalink ? ` ([#${index}](${permalink}))` : ` (#${index})`;
+  };
+
+  const lines = [];
+  MY_REQUEST_TYPES.forEach(type => {
+    const items = data.items.filter(item => item.type === type);
+    lines.push(headings[type], '');
+    if (items.length === 0) lines.push('_None_');
+    items.forEach(item => {
+      const from = item.from ? ` — @${item.from}` : '';
+      const due = item.dueDate ? ` (due ${item.dueDate})` : '';
+      lines.push(`- ${item.text}${from}${due}${source(item.sourceMessageIndex)}`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n').trim();
+}
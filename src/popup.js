@@ -2,22 +2,111 @@
  * Popup Script for Slack Helper Extension
  */
 
-// Removed unused imports: sleep, debounce
+import { debounce } from './time-utils.js';
+import { DEFAULT_REFINE_CONTEXT_SETTINGS, mergeRefineContextSettings } from './refine-context.js';
+import {
+  searchSummaryHistory,
+  deleteSummaryHistoryEntry,
+  clearSummaryHistory,
+  exportSummaryHistoryAsMarkdown
+} from './summary-history.js';
+import {
+  loadRefineActions,
+  saveRefineActions,
+  normalizeRefineAction,
+  validateRefineAction,
+  moveRefineAction,
+  MAX_ACTION_SHORTCUTS
+} from './refine-actions.js';
+import { getTonePreset, loadToneDefaults, setWorkspaceToneDefault } from './tone-presets.js';
 
 // 全局變量存儲當前翻譯
 let currentTranslations = null;
 
+// 目前顯示中的摘要紀錄（匯出時使用）
+let displayedHistoryEntries = [];
+
+// 正在編輯的自訂優化動作 ID（null 代表新增）
+let editingRefineActionId = null;
+
 // >>> 新增：預設 OpenAI 模型清單及輔助方法 <<<
 
 /**
  * Default OpenAI models list (kept in sync with OPENAI_CONFIG in llm-service.js)
  */
 const DEFAULT_OPENAI_MODELS = [
-  { name: 'gpt-4.1', provider: 'openai', isDefault: false },
-  { name: 'gpt-4.1-mini', provider: 'openai', isDefault: true },
-  { name: 'gpt-4.1-nano', provider: 'openai', isDefault: false }
+  { name: 'gpt-4.1', provider: 'openai', isDefault: false, vision: true },
+  { name: 'gpt-4.1-mini', provider: 'openai', isDefault: true, vision: true },
+  { name: 'gpt-4.1-nano', provider: 'openai', isDefault: false, vision: true }
+];
+
+/**
+ * Providers whose models can be flagged as vision-capable (image inputs in summaries)
+ */
+const VISION_PROVIDERS = ['openai', 'openai-compatible'];
+
+/**
+ * Default Anthropic models list (kept in sync with ANTHROPIC_CONFIG in llm-service.js)
+ */
+const DEFAULT_ANTHROPIC_MODELS = [
+  { name: 'claude-sonnet-4-5', provider: 'anthropic', isDefault: true },
+  { name: 'claude-haiku-4-5', provider: 'anthropic', isDefault: false },
+  { name: 'claude-opus-4-1', provider: 'anthropic', isDefault: false }
 ];
 
+/**
+ * Default Gemini API models list (kept in sync with GEMINI_API_CONFIG in llm-service.js)
+ */
+const DEFAULT_GEMINI_API_MODELS = [
+  { name: 'gemini-2.5-flash', provider: 'gemini', isDefault: true },
+  { name: 'gemini-2.5-pro', provider: 'gemini', isDefault: false },
+  { name: 'gemini-2.5-flash-lite', provider: 'gemini', isDefault: false }
+];
+
+/**
+ * Display names for provider types stored in providerModels
+ */
+const PROVIDER_DISPLAY_NAMES = {
+  'openai': 'OpenAI',
+  'openai-compatible': 'OpenAI Compatible',
+  'anthropic': 'Anthropic',
+  'gemini': 'Gemini API'
+};
+
+/**
+ * Get the display name of a provider type
+ * @param {string} provider Provider type (e.g. openai, anthropic)
+ * @returns {string}
+ */
+function getProviderDisplayName(provider) {
+  return PROVIDER_DISPLAY_NAMES[provider] || provider;
+}
+
+/**
+ * Ensure a provider's default models exist in chrome.storage.local.
+ * Only writes the defaults when that provider's model list is empty.
+ * @param {string} provider Provider type (e.g. anthropic, gemini)
+ * @param {Array} defaultModels Default models for the provider
+ * @param {Function} callback Callback after ensuring (optional)
+ */
+function ensureDefaultProviderModels(provider, defaultModels, callback = () => {}) {
+  chrome.storage.local.get(['providerModels'], function(result) {
+    const providerModels = result.providerModels || {};
+    const currentModels = providerModels[provider] || [];
+
+    if (currentModels.length === 0) {
+      const timestamp = new Date().toISOString();
+      providerModels[provider] = defaultModels.map(m => ({
+        ...m,
+        addedAt: timestamp
+      }));
+      chrome.storage.local.set({ providerModels }, callback);
+    } else {
+      callback();
+    }
+  });
+}
+
 /**
  * Ensure the default OpenAI models exist in chrome.storage.local.
  * Only writes the defaults when the OpenAI model list is empty.
@@ -106,6 +195,12 @@ document.addEventListener('DOMContentLoaded', function() {
   // 設置 LLM 設定相關事件監聽器
   setupLLMSettingsHandlers();
   
+  // 設置摘要紀錄相關事件監聽器
+  setupHistoryHandlers();
+  
+  // 設置自訂優化動作相關事件監聽器
+  setupRefineActionsHandlers();
+  
   // 檢查當前活動頁面是否為Slack
   checkSlackPage();
 
@@ -194,7 +289,8 @@ document.addEventListener('DOMContentLoaded', function() {
             prompt: '📝 AI 提示詞',
             scroll: '⚙️ 滾動設定',
             sync: '🔄 模型同步',
-            llm: '🤖 LLM API 設定'
+            llm: '🤖 LLM API 設定',
+            history: '📚 摘要紀錄'
           }
         };
         updatePageTexts(currentTranslations);
@@ -260,6 +356,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // 重新載入同步狀態和模型列表（使用新語言）
     loadSyncStatus();
     loadModelsList();
+
+    // 重新載入摘要紀錄（使用新語言）
+    loadSummaryHistory();
+
+    // 重新載入自訂優化動作與工作區預設語氣（使用新語言）
+    loadRefineActionModelOptions();
+    loadRefineActionsList();
+    loadToneDefaultsList();
   }
 
   // 更新語言選項文字
@@ -482,6 +586,36 @@ document.addEventListener('DOMContentLoaded', function() {
       compatibleDefaultModelInfo.textContent = `${llmSection.defaultModel}：${currentModel}`;
     }
 
+    // 更新 Anthropic 模型信息文字
+    const anthropicModelsCountInfo = document.getElementById('anthropicModelsCountInfo');
+    if (anthropicModelsCountInfo && llmSection.modelCount) {
+      const currentCount = anthropicModelsCountInfo.textContent.match(/\d+/);
+      if (currentCount) {
+        anthropicModelsCountInfo.textContent = `${llmSection.modelCount}：${currentCount[0]}`;
+      }
+    }
+
+    const anthropicDefaultModelInfo = document.getElementById('anthropicDefaultModelInfo');
+    if (anthropicDefaultModelInfo && llmSection.defaultModel) {
+      const currentModel = anthropicDefaultModelInfo.textContent.split('：')[1] || llmSection.notSet;
+      anthropicDefaultModelInfo.textContent = `${llmSection.defaultModel}：${currentModel}`;
+    }
+
+    // 更新 Gemini API 模型信息文字
+    const geminiApiModelsCountInfo = document.getElementById('geminiApiModelsCountInfo');
+    if (geminiApiModelsCountInfo && llmSection.modelCount) {
+      const currentCount = geminiApiModelsCountInfo.textContent.match(/\d+/);
+      if (currentCount) {
+        geminiApiModelsCountInfo.textContent = `${llmSection.modelCount}：${currentCount[0]}`;
+      }
+    }
+
+    const geminiApiDefaultModelInfo = document.getElementById('geminiApiDefaultModelInfo');
+    if (geminiApiDefaultModelInfo && llmSection.defaultModel) {
+      const currentModel = geminiApiDefaultModelInfo.textContent.split('：')[1] || llmSection.notSet;
+      geminiApiDefaultModelInfo.textContent = `${llmSection.defaultModel}：${currentModel}`;
+    }
+
     // 更新 "添加於" 文字
     const addedOnTexts = document.querySelectorAll('.model-item-meta span:first-child');
     addedOnTexts.forEach(span => {
@@ -782,9 +916,36 @@ document.addEventListener('DOMContentLoaded', function() {
       
       // 更新界面
       updateScrollSettingsUI(scrollSettings);
+      updateRefineContextUI(config.refineContext);
     });
   }
 
+  // 更新「優化回覆時附上討論串內容」界面
+  function updateRefineContextUI(savedSettings) {
+    const settings = mergeRefineContextSettings(savedSettings);
+
+    document.getElementById('refineContextEnabled').checked = !!settings.enabled;
+    document.getElementById('refineContextMessageCount').value = settings.messageCount;
+    document.querySelectorAll('.refine-context-action').forEach(checkbox => {
+      checkbox.checked = !!settings.actions[checkbox.value];
+    });
+  }
+
+  // 收集「優化回覆時附上討論串內容」設定
+  function collectRefineContextSettings() {
+    const messageCount = parseInt(document.getElementById('refineContextMessageCount').value);
+    const actions = {};
+    document.querySelectorAll('.refine-context-action').forEach(checkbox => {
+      actions[checkbox.value] = checkbox.checked;
+    });
+
+    return {
+      enabled: document.getElementById('refineContextEnabled').checked,
+      messageCount: isNaN(messageCount) ? DEFAULT_REFINE_CONTEXT_SETTINGS.messageCount : Math.min(Math.max(messageCount, 1), 50),
+      actions
+    };
+  }
+
   // 獲取預設滾動設定
   function getDefaultScrollSettings() {
     return {
@@ -815,6 +976,7 @@ document.addEventListener('DOMContentLoaded', function() {
       chrome.storage.local.get(['slack_summary_config'], function(result) {
         const config = result.slack_summary_config || {};
         config.scrollSettings = { ...config.scrollSettings, ...scrollSettings };
+        config.refineContext = collectRefineContextSettings();
         
         chrome.storage.local.set({ 'slack_summary_config': config }, function() {
           const translations = currentTranslations?.scroll || {};
@@ -837,11 +999,14 @@ document.addEventListener('DOMContentLoaded', function() {
       
       if (confirm(confirmMessage)) {
         const defaultSettings = getDefaultScrollSettings();
+        const defaultRefineContext = mergeRefineContextSettings();
         updateScrollSettingsUI(defaultSettings);
+        updateRefineContextUI(defaultRefineContext);
         
         chrome.storage.local.get(['slack_summary_config'], function(result) {
           const config = result.slack_summary_config || {};
           config.scrollSettings = defaultSettings;
+          config.refineContext = defaultRefineContext;
           
           chrome.storage.local.set({ 'slack_summary_config': config }, function() {
             if (chrome.runtime.lastError) {
@@ -893,6 +1058,463 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 3000);
   }
 
+  // ===================== 摘要紀錄相關函數 =====================
+
+  function setupHistoryHandlers() {
+    const historySearchInput = document.getElementById('historySearchInput');
+    const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+    const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+    historySearchInput.addEventListener('input', debounce(loadSummaryHistory, 200));
+    exportHistoryBtn.addEventListener('click', exportDisplayedHistory);
+
+    clearHistoryBtn.addEventListener('click', async function() {
+      const translations = currentTranslations?.history || {};
+      if (!confirm(translations.clearConfirm || '確定要刪除所有摘要紀錄嗎？')) {
+        return;
+      }
+
+      try {
+        await clearSummaryHistory();
+        showHistoryActionStatus(translations.cleared || '✅ 已清除所有摘要紀錄', 'success');
+        loadSummaryHistory();
+      } catch (error) {
+        console.error('清除摘要紀錄失敗:', error);
+        showHistoryActionStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+      }
+    });
+  }
+
+  // 依搜尋字串載入摘要紀錄
+  async function loadSummaryHistory() {
+    const translations = currentTranslations?.history || {};
+    const historyList = document.getElementById('historyList');
+    const query = document.getElementById('historySearchInput').value;
+
+    try {
+      displayedHistoryEntries = await searchSummaryHistory(query);
+      renderSummaryHistory(displayedHistoryEntries, !!query.trim());
+    } catch (error) {
+      console.error('載入摘要紀錄失敗:', error);
+      historyList.innerHTML = `<div class="models-placeholder" style="color: #dc3545;">${translations.loadFailed || '載入摘要紀錄失敗'}</div>`;
+    }
+  }
+
+  function renderSummaryHistory(entries, isSearching) {
+    const translations = currentTranslations?.history || {};
+    const historyList = document.getElementById('historyList');
+
+    if (entries.length === 0) {
+      const emptyText = isSearching ?
+        (translations.noResults || '找不到符合的摘要紀錄') :
+        (translations.empty || '尚無摘要紀錄');
+      historyList.innerHTML = `<div class="models-placeholder">${emptyText}</div>`;
+      return;
+    }
+
+    historyList.innerHTML = '';
+    entries.forEach(entry => historyList.appendChild(createHistoryItem(entry)));
+  }
+
+  // 建立單筆摘要紀錄（內容皆以 textContent 填入，避免摘要被當作 HTML 解析）
+  function createHistoryItem(entry) {
+    const translations = currentTranslations?.history || {};
+
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header';
+
+    const title = document.createElement('div');
+    title.className = 'history-item-title';
+    const location = [entry.channel ? `#${entry.channel}` : '', entry.workspace].filter(Boolean).join(' · ');
+    title.textContent = [entry.title, location].filter(Boolean).join(' · ') || translations.untitled || '未命名討論串';
+
+    const date = document.createElement('div');
+    date.className = 'history-item-date';
+    date.textContent = new Date(entry.createdAt).toLocaleString();
+
+    header.appendChild(title);
+    header.appendChild(date);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    const participantsText = (translations.participants || '👥 {{count}} 位參與者').replace('{{count}}', entry.participants.length);
+    const messagesText = (translations.messages || '💬 {{count}} 則訊息').replace('{{count}}', entry.messageCount);
+    meta.textContent = [`🤖 ${entry.model}`, participantsText, messagesText].join(' · ');
+    meta.title = entry.participants.join(', ');
+
+    const output = document.createElement('div');
+    output.className = 'history-item-output';
+    output.textContent = entry.output || translations.noOutput || '此摘要在 Gemini 網頁中產生，未保存摘要內容';
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+
+    if (entry.threadLink) {
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn-primary';
+      openBtn.textContent = translations.openThread || '🔗 開啟討論串';
+      openBtn.addEventListener('click', () => chrome.tabs.create({ url: entry.threadLink }));
+      actions.appendChild(openBtn);
+    }
+
+    if (entry.output) {
+      const copyBtn = document.createElement('button');
+      copyBtn.className = 'btn-tertiary';
+      copyBtn.textContent = translations.copy || '📋 複製摘要';
+      copyBtn.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(entry.output);
+        showHistoryActionStatus(translations.copied || '✅ 已複製摘要', 'success');
+      });
+      actions.appendChild(copyBtn);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-secondary';
+    deleteBtn.textContent = translations.delete || '🗑️ 刪除';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm(translations.deleteConfirm || '確定要刪除這筆摘要紀錄嗎？')) {
+        return;
+      }
+
+      try {
+        await deleteSummaryHistoryEntry(entry.id);
+        showHistoryActionStatus(translations.deleted || '✅ 已刪除摘要紀錄', 'success');
+        loadSummaryHistory();
+      } catch (error) {
+        console.error('刪除摘要紀錄失敗:', error);
+        showHistoryActionStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+      }
+    });
+    actions.appendChild(deleteBtn);
+
+    // 點擊標題展開 / 收合摘要內容
+    header.addEventListener('click', () => item.classList.toggle('expanded'));
+
+    item.appendChild(header);
+    item.appendChild(meta);
+    item.appendChild(output);
+    item.appendChild(actions);
+    return item;
+  }
+
+  // 將目前顯示中的摘要紀錄匯出為 Markdown 檔案
+  function exportDisplayedHistory() {
+    const translations = currentTranslations?.history || {};
+
+    if (displayedHistoryEntries.length === 0) {
+      showHistoryActionStatus(translations.nothingToExport || '⚠️ 沒有可匯出的摘要紀錄', 'error');
+      return;
+    }
+
+    const markdown = exportSummaryHistoryAsMarkdown(displayedHistoryEntries);
+    const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `slack-summaries-${new Date().toISOString().slice(0, 10)}.md`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    const exportedText = (translations.exported || '✅ 已匯出 {{count}} 筆摘要紀錄').replace('{{count}}', displayedHistoryEntries.length);
+    showHistoryActionStatus(exportedText, 'success');
+  }
+
+  function showHistoryActionStatus(message, type) {
+    const historyActionStatus = document.getElementById('historyActionStatus');
+    historyActionStatus.textContent = message;
+    historyActionStatus.className = `sync-status ${type} show`;
+
+    setTimeout(() => {
+      historyActionStatus.classList.remove('show');
+    }, 3000);
+  }
+
+  // ===================== 自訂優化動作相關函數 =====================
+
+  function setupRefineActionsHandlers() {
+    document.getElementById('saveRefineActionBtn').addEventListener('click', saveRefineActionFromForm);
+    document.getElementById('cancelRefineActionBtn').addEventListener('click', () => fillRefineActionForm(null));
+
+    loadRefineActionModelOptions();
+    loadRefineActionsList();
+    loadToneDefaultsList();
+  }
+
+  // 載入並顯示動作清單（順序即為訊息優化選單中的順序）
+  async function loadRefineActionsList() {
+    const translations = currentTranslations?.refineActions || {};
+    const actionsList = document.getElementById('refineActionsList');
+
+    try {
+      const actions = await loadRefineActions();
+      if (actions.length === 0) {
+        actionsList.innerHTML = `<div class="models-placeholder">${translations.empty || '尚未建立自訂動作'}</div>`;
+        return;
+      }
+
+      actionsList.innerHTML = '';
+      actions.forEach((action, index) => actionsList.appendChild(createRefineActionItem(actions, index)));
+    } catch (error) {
+      console.error('載入自訂優化動作失敗:', error);
+      actionsList.innerHTML = `<div class="models-placeholder" style="color: #dc3545;">${translations.loadFailed || '載入自訂動作失敗'}</div>`;
+    }
+  }
+
+  // 建立單一動作列（名稱與提示詞由使用者輸入，以 textContent 填入）
+  function createRefineActionItem(actions, index) {
+    const translations = currentTranslations?.refineActions || {};
+    const action = actions[index];
+
+    const item = document.createElement('div');
+    item.className = 'refine-action-item';
+
+    const info = document.createElement('div');
+    info.className = 'refine-action-info';
+
+    const title = document.createElement('div');
+    title.className = 'refine-action-title';
+    title.textContent = `${action.icon} ${action.label}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'refine-action-meta';
+    const modelText = action.model
+      ? action.model.substring(action.model.indexOf(':') + 1)
+      : (translations.selectedModel || '目前選擇的模型');
+    const temperatureText = action.temperature === null
+      ? (translations.defaultTemperature || '預設溫度')
+      : `🌡️ ${action.temperature}`;
+    const shortcutText = index < MAX_ACTION_SHORTCUTS ? `⌨️ Alt+${index + 1}` : '';
+    meta.textContent = [`🤖 ${modelText}`, temperatureText, shortcutText].filter(Boolean).join(' · ');
+    meta.title = action.prompt;
+
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'refine-action-buttons';
+
+    const addButton = (text, titleText, disabled, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-tertiary';
+      btn.textContent = text;
+      btn.title = titleText;
+      btn.disabled = disabled;
+      btn.addEventListener('click', onClick);
+      buttons.appendChild(btn);
+    };
+
+    const move = async (offset) => {
+      try {
+        await saveRefineActions(moveRefineAction(actions, index, offset));
+        loadRefineActionsList();
+      } catch (error) {
+        console.error('移動自訂優化動作失敗:', error);
+        showRefineActionsStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+      }
+    };
+
+    addButton('↑', translations.moveUp || '上移', index === 0, () => move(-1));
+    addButton('↓', translations.moveDown || '下移', index === actions.length - 1, () => move(1));
+    addButton('✏️', translations.edit || '編輯', false, () => fillRefineActionForm(action));
+    addButton('🗑️', translations.delete || '刪除', false, async () => {
+      if (!confirm((translations.deleteConfirm || '確定要刪除「{{label}}」嗎？').replace('{{label}}', action.label))) {
+        return;
+      }
+
+      try {
+        await saveRefineActions(actions.filter(other => other.id !== action.id));
+        if (editingRefineActionId === action.id) {
+          fillRefineActionForm(null);
+        }
+        showRefineActionsStatus(translations.deleted || '✅ 已刪除動作', 'success');
+        loadRefineActionsList();
+      } catch (error) {
+        console.error('刪除自訂優化動作失敗:', error);
+        showRefineActionsStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+      }
+    });
+
+    item.appendChild(info);
+    item.appendChild(buttons);
+    return item;
+  }
+
+  // 載入模型選項（與全局預設模型相同的 "provider:model" 格式）
+  // 只有目前設定的提供者有 API 金鑰等設定，因此只列出該提供者的模型
+  function loadRefineActionModelOptions(selectedValue = null) {
+    const translations = currentTranslations?.refineActions || {};
+    const modelSelect = document.getElementById('refineActionModel');
+    const currentValue = selectedValue === null ? modelSelect.value : selectedValue;
+
+    chrome.storage.local.get(['providerModels', 'llmSettings'], function(result) {
+      const providerModels = result.providerModels || {};
+      const configuredProvider = result.llmSettings?.provider;
+
+      modelSelect.innerHTML = '';
+      const defaultOption = document.createElement('option');
+      defaultOption.value = '';
+      defaultOption.textContent = translations.useSelectedModel || '使用目前選擇的模型';
+      modelSelect.appendChild(defaultOption);
+
+      const models = providerModels[configuredProvider] || [];
+      if (models.length > 0) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = getProviderDisplayName(configuredProvider);
+        models.forEach(model => {
+          const option = document.createElement('option');
+          option.value = `${configuredProvider}:${model.name}`;
+          option.textContent = model.name;
+          optgroup.appendChild(option);
+        });
+        modelSelect.appendChild(optgroup);
+      }
+
+      modelSelect.value = currentValue;
+      // 已被移除或屬於其他提供者的模型改為使用目前選擇的模型
+      if (modelSelect.value !== currentValue) {
+        modelSelect.value = '';
+      }
+    });
+  }
+
+  // 將動作填入表單（null 代表清空表單以新增動作）
+  function fillRefineActionForm(action) {
+    const translations = currentTranslations?.refineActions || {};
+    editingRefineActionId = action ? action.id : null;
+
+    document.getElementById('refineActionIcon').value = action ? action.icon : '';
+    document.getElementById('refineActionLabel').value = action ? action.label : '';
+    document.getElementById('refineActionPrompt').value = action ? action.prompt : '';
+    document.getElementById('refineActionTemperature').value = action && action.temperature !== null ? action.temperature : '';
+    loadRefineActionModelOptions(action ? action.model : '');
+
+    const formTitle = document.getElementById('refineActionFormTitle');
+    formTitle.textContent = action
+      ? (translations.editTitle || '編輯動作')
+      : (translations.addTitle || '新增動作');
+    document.getElementById('cancelRefineActionBtn').style.display = action ? '' : 'none';
+  }
+
+  async function saveRefineActionFromForm() {
+    const translations = currentTranslations?.refineActions || {};
+    const action = normalizeRefineAction({
+      id: editingRefineActionId,
+      icon: document.getElementById('refineActionIcon').value,
+      label: document.getElementById('refineActionLabel').value,
+      prompt: document.getElementById('refineActionPrompt').value,
+      model: document.getElementById('refineActionModel').value,
+      temperature: document.getElementById('refineActionTemperature').value
+    });
+
+    const errors = validateRefineAction(action);
+    if (errors.length > 0) {
+      const errorTexts = {
+        labelRequired: translations.labelRequired || '請輸入動作名稱',
+        promptRequired: translations.promptRequired || '請輸入提示詞',
+        invalidTemperature: translations.invalidTemperature || '溫度必須介於 0 到 1 之間'
+      };
+      showRefineActionsStatus(`❌ ${errorTexts[errors[0]]}`, 'error');
+      return;
+    }
+
+    try {
+      const actions = await loadRefineActions();
+      const existingIndex = actions.findIndex(other => other.id === action.id);
+      if (existingIndex > -1) {
+        actions[existingIndex] = action;
+      } else {
+        actions.push(action);
+      }
+
+      await saveRefineActions(actions);
+      fillRefineActionForm(null);
+      showRefineActionsStatus(translations.saved || '✅ 已保存動作', 'success');
+      loadRefineActionsList();
+    } catch (error) {
+      console.error('保存自訂優化動作失敗:', error);
+      showRefineActionsStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+    }
+  }
+
+  // 載入並顯示各工作區的預設語氣（在訊息優化選單中設定，這裡只能清除）
+  async function loadToneDefaultsList() {
+    const translations = currentTranslations?.refineActions || {};
+    const helperTranslations = currentTranslations?.messageHelper || {};
+    const toneDefaultsList = document.getElementById('toneDefaultsList');
+
+    try {
+      const defaults = await loadToneDefaults();
+      const workspaces = Object.keys(defaults).filter(workspace => getTonePreset(defaults[workspace].tone));
+      if (workspaces.length === 0) {
+        toneDefaultsList.innerHTML = `<div class="models-placeholder">${translations.noToneDefaults || '尚未設定任何工作區的預設語氣'}</div>`;
+        return;
+      }
+
+      const strengthKeys = { 1: 'toneStrengthLight', 2: 'toneStrengthModerate', 3: 'toneStrengthStrong' };
+      toneDefaultsList.innerHTML = '';
+      workspaces.forEach(workspace => {
+        const { tone, strength } = defaults[workspace];
+        const preset = getTonePreset(tone);
+
+        const item = document.createElement('div');
+        item.className = 'refine-action-item';
+
+        const info = document.createElement('div');
+        info.className = 'refine-action-info';
+        const title = document.createElement('div');
+        title.className = 'refine-action-title';
+        title.textContent = workspace;
+        const meta = document.createElement('div');
+        meta.className = 'refine-action-meta';
+        meta.textContent = [
+          `${preset.icon} ${helperTranslations[preset.labelKey] || preset.label}`,
+          helperTranslations[strengthKeys[strength]] || ''
+        ].filter(Boolean).join(' · ');
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'refine-action-buttons';
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-tertiary';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = translations.delete || '刪除';
+        deleteBtn.addEventListener('click', async () => {
+          try {
+            await setWorkspaceToneDefault(workspace, null);
+            showRefineActionsStatus(translations.toneDefaultCleared || '✅ 已清除預設語氣', 'success');
+            loadToneDefaultsList();
+          } catch (error) {
+            console.error('清除預設語氣失敗:', error);
+            showRefineActionsStatus(translations.actionFailed || '❌ 操作失敗', 'error');
+          }
+        });
+        buttons.appendChild(deleteBtn);
+
+        item.appendChild(info);
+        item.appendChild(buttons);
+        toneDefaultsList.appendChild(item);
+      });
+    } catch (error) {
+      console.error('載入預設語氣失敗:', error);
+      toneDefaultsList.innerHTML = `<div class="models-placeholder" style="color: #dc3545;">${translations.loadFailed || '載入失敗'}</div>`;
+    }
+  }
+
+  function showRefineActionsStatus(message, type) {
+    const refineActionsStatus = document.getElementById('refineActionsStatus');
+    refineActionsStatus.textContent = message;
+    refineActionsStatus.className = `sync-status ${type} show`;
+
+    setTimeout(() => {
+      refineActionsStatus.classList.remove('show');
+    }, 3000);
+  }
+
   // ===================== 同步功能相關函數 =====================
 
   function setupSyncHandlers() {
@@ -1325,6 +1947,10 @@ document.addEventListener('DOMContentLoaded', function() {
     const userModelsSection = document.getElementById('user-models-section');
     const openaiModelsSection = document.getElementById('openai-models-section');
     const compatibleModelsSection = document.getElementById('compatible-models-section');
+    const anthropicConfig = document.getElementById('anthropic-config');
+    const anthropicModelsSection = document.getElementById('anthropic-models-section');
+    const geminiApiConfig = document.getElementById('gemini-api-config');
+    const geminiApiModelsSection = document.getElementById('gemini-api-models-section');
     const llmActions = document.getElementById('llm-actions');
     const saveLLMSettings = document.getElementById('saveLLMSettings');
     const resetLLMSettings = document.getElementById('resetLLMSettings');
@@ -1343,6 +1969,48 @@ document.addEventListener('DOMContentLoaded', function() {
     const compatibleModelsCountInfo = document.getElementById('compatibleModelsCountInfo');
     const compatibleDefaultModelInfo = document.getElementById('compatibleDefaultModelInfo');
 
+    // Anthropic 模型管理相關元素
+    const newAnthropicModelName = document.getElementById('newAnthropicModelName');
+    const addAnthropicModelBtn = document.getElementById('addAnthropicModelBtn');
+    const anthropicModelsList = document.getElementById('anthropicModelsList');
+    const anthropicModelsCountInfo = document.getElementById('anthropicModelsCountInfo');
+    const anthropicDefaultModelInfo = document.getElementById('anthropicDefaultModelInfo');
+
+    // Gemini API 模型管理相關元素
+    const newGeminiApiModelName = document.getElementById('newGeminiApiModelName');
+    const addGeminiApiModelBtn = document.getElementById('addGeminiApiModelBtn');
+    const geminiApiModelsList = document.getElementById('geminiApiModelsList');
+    const geminiApiModelsCountInfo = document.getElementById('geminiApiModelsCountInfo');
+    const geminiApiDefaultModelInfo = document.getElementById('geminiApiDefaultModelInfo');
+
+    // 各提供商對應的模型管理元素
+    const providerModelElements = {
+      'openai': {
+        input: newOpenaiModelName,
+        list: openaiModelsList,
+        count: openaiModelsCountInfo,
+        defaultInfo: openaiDefaultModelInfo
+      },
+      'openai-compatible': {
+        input: newCompatibleModelName,
+        list: compatibleModelsList,
+        count: compatibleModelsCountInfo,
+        defaultInfo: compatibleDefaultModelInfo
+      },
+      'anthropic': {
+        input: newAnthropicModelName,
+        list: anthropicModelsList,
+        count: anthropicModelsCountInfo,
+        defaultInfo: anthropicDefaultModelInfo
+      },
+      'gemini': {
+        input: newGeminiApiModelName,
+        list: geminiApiModelsList,
+        count: geminiApiModelsCountInfo,
+        defaultInfo: geminiApiDefaultModelInfo
+      }
+    };
+
     // 全局預設模型選擇
     const globalDefaultModelSelect = document.getElementById('globalDefaultModelSelect');
 
@@ -1357,6 +2025,10 @@ document.addEventListener('DOMContentLoaded', function() {
         if (userModelsSection) userModelsSection.style.display = 'none';
         if (openaiModelsSection) openaiModelsSection.style.display = 'none';
         if (compatibleModelsSection) compatibleModelsSection.style.display = 'none';
+        if (anthropicConfig) anthropicConfig.style.display = 'none';
+        if (anthropicModelsSection) anthropicModelsSection.style.display = 'none';
+        if (geminiApiConfig) geminiApiConfig.style.display = 'none';
+        if (geminiApiModelsSection) geminiApiModelsSection.style.display = 'none';
         if (llmActions) llmActions.style.display = 'none';
         
         // 根據選擇顯示對應的配置區域
@@ -1372,6 +2044,26 @@ document.addEventListener('DOMContentLoaded', function() {
           if (compatibleModelsSection) compatibleModelsSection.style.display = 'block';
           if (llmActions) llmActions.style.display = 'block';
           loadProviderModels('openai-compatible');
+        } else if (selectedProvider === 'anthropic') {
+          if (anthropicConfig) anthropicConfig.style.display = 'block';
+          if (userModelsSection) userModelsSection.style.display = 'block';
+          if (anthropicModelsSection) anthropicModelsSection.style.display = 'block';
+          if (llmActions) llmActions.style.display = 'block';
+          // 首次選擇 Anthropic 時寫入預設模型清單
+          ensureDefaultProviderModels('anthropic', DEFAULT_ANTHROPIC_MODELS, () => {
+            loadProviderModels('anthropic');
+            loadGlobalDefaultModelOptions();
+          });
+        } else if (selectedProvider === 'gemini') {
+          if (geminiApiConfig) geminiApiConfig.style.display = 'block';
+          if (userModelsSection) userModelsSection.style.display = 'block';
+          if (geminiApiModelsSection) geminiApiModelsSection.style.display = 'block';
+          if (llmActions) llmActions.style.display = 'block';
+          // 首次選擇 Gemini API 時寫入預設模型清單
+          ensureDefaultProviderModels('gemini', DEFAULT_GEMINI_API_MODELS, () => {
+            loadProviderModels('gemini');
+            loadGlobalDefaultModelOptions();
+          });
         }
         
         // 載入全局預設模型選項
@@ -1409,6 +2101,36 @@ document.addEventListener('DOMContentLoaded', function() {
       });
     }
 
+    // Anthropic 模型管理事件
+    if (addAnthropicModelBtn) {
+      addAnthropicModelBtn.addEventListener('click', function() {
+        addNewModel('anthropic');
+      });
+    }
+
+    if (newAnthropicModelName) {
+      newAnthropicModelName.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          addNewModel('anthropic');
+        }
+      });
+    }
+
+    // Gemini API 模型管理事件
+    if (addGeminiApiModelBtn) {
+      addGeminiApiModelBtn.addEventListener('click', function() {
+        addNewModel('gemini');
+      });
+    }
+
+    if (newGeminiApiModelName) {
+      newGeminiApiModelName.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          addNewModel('gemini');
+        }
+      });
+    }
+
     // 全局預設模型選擇事件
     if (globalDefaultModelSelect) {
       globalDefaultModelSelect.addEventListener('change', function() {
@@ -1435,7 +2157,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // 模型管理相關函數
     function addNewModel(provider) {
-      const inputElement = provider === 'openai' ? newOpenaiModelName : newCompatibleModelName;
+      const inputElement = providerModelElements[provider]?.input;
       const modelName = inputElement?.value?.trim();
       
       if (!modelName) {
@@ -1473,7 +2195,7 @@ document.addEventListener('DOMContentLoaded', function() {
             showLLMActionStatus(translations.addModelFailed || '添加模型失敗', 'error');
           } else {
             const translations = currentTranslations?.llm || {};
-            const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+            const providerName = getProviderDisplayName(provider);
             showLLMActionStatus(translations.modelAdded || `✅ ${providerName} 模型 "${modelName}" 已添加`, 'success');
             inputElement.value = '';
             loadProviderModels(provider);
@@ -1493,20 +2215,25 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function displayProviderModels(provider, models) {
-      const listElement = provider === 'openai' ? openaiModelsList : compatibleModelsList;
+      const listElement = providerModelElements[provider]?.list;
       if (!listElement) return;
 
       const translations = currentTranslations?.llm || {};
 
       if (models.length === 0) {
-        const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+        const providerName = getProviderDisplayName(provider);
         listElement.innerHTML = `<div class="models-placeholder">${translations.noModelsAdded || `尚未添加任何 ${providerName} 模型`}</div>`;
         return;
       }
 
+      const supportsVision = VISION_PROVIDERS.includes(provider);
+
       const modelsHtml = models.map(model => {
         const isDefault = model.isDefault;
         const addedDate = new Date(model.addedAt).toLocaleDateString();
+        const visionButtonText = model.vision
+          ? (translations.disableVisionBtn || '停用圖片輸入')
+          : (translations.enableVisionBtn || '啟用圖片輸入');
         
         return `
           <div class="model-list-item ${isDefault ? 'default-model' : ''}" data-model-name="${model.name}" data-provider="${provider}">
@@ -1515,9 +2242,11 @@ document.addEventListener('DOMContentLoaded', function() {
               <div class="model-item-meta">
                 <span>${translations.addedOn || '添加於'}: ${addedDate}</span>
                 ${isDefault ? `<span class="model-default-badge">${translations.defaultBadge || '預設'}</span>` : ''}
+                ${supportsVision && model.vision ? `<span class="model-vision-badge">${translations.visionBadge || '🖼️ 視覺'}</span>` : ''}
               </div>
             </div>
             <div class="model-item-actions">
+              ${supportsVision ? `<button class="btn-toggle-vision" data-model-name="${model.name}" data-provider="${provider}">${visionButtonText}</button>` : ''}
               ${!isDefault ? `<button class="btn-set-default" data-model-name="${model.name}" data-provider="${provider}">${translations.setDefaultBtn || '設為預設'}</button>` : ''}
               <button class="btn-remove-model" data-model-name="${model.name}" data-provider="${provider}">${translations.removeBtn || '移除'}</button>
             </div>
@@ -1543,6 +2272,40 @@ document.addEventListener('DOMContentLoaded', function() {
           removeProviderModel(modelProvider, modelName);
         });
       });
+
+      listElement.querySelectorAll('.btn-toggle-vision').forEach(btn => {
+        btn.addEventListener('click', function() {
+          const modelName = this.getAttribute('data-model-name');
+          const modelProvider = this.getAttribute('data-provider');
+          toggleProviderModelVision(modelProvider, modelName);
+        });
+      });
+    }
+
+    // 切換模型是否支援圖片輸入（摘要時可附上討論串圖片）
+    function toggleProviderModelVision(provider, modelName) {
+      chrome.storage.local.get(['providerModels'], function(result) {
+        const providerModels = result.providerModels || {};
+        const models = providerModels[provider] || [];
+        const targetModel = models.find(model => model.name === modelName);
+        if (!targetModel) return;
+
+        targetModel.vision = !targetModel.vision;
+        providerModels[provider] = models;
+
+        chrome.storage.local.set({ providerModels: providerModels }, function() {
+          const translations = currentTranslations?.llm || {};
+          if (chrome.runtime.lastError) {
+            showLLMActionStatus(translations.toggleVisionFailed || '更新圖片輸入設定失敗', 'error');
+          } else {
+            const statusText = targetModel.vision
+              ? (translations.visionEnabled || '✅ 已啟用圖片輸入')
+              : (translations.visionDisabled || '✅ 已停用圖片輸入');
+            showLLMActionStatus(`${statusText}: ${modelName}`, 'success');
+            loadProviderModels(provider);
+          }
+        });
+      });
     }
 
     function setProviderDefaultModel(provider, modelName) {
@@ -1569,7 +2332,7 @@ document.addEventListener('DOMContentLoaded', function() {
             showLLMActionStatus(translations.setDefaultFailed || '設置預設模型失敗', 'error');
           } else {
             const translations = currentTranslations?.llm || {};
-            const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+            const providerName = getProviderDisplayName(provider);
             showLLMActionStatus(translations.defaultModelSet || `✅ ${providerName} 預設模型已設為 "${modelName}"`, 'success');
             loadProviderModels(provider);
             loadGlobalDefaultModelOptions();
@@ -1580,7 +2343,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     function removeProviderModel(provider, modelName) {
       const translations = currentTranslations?.llm || {};
-      const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+      const providerName = getProviderDisplayName(provider);
       
       // 直接移除模型，不彈出二次確認視窗
       // 同時讀取 providerModels 及 globalDefaultModel，方便後續一起更新
@@ -1629,8 +2392,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function updateProviderModelsInfo(provider, models) {
-      const countElement = provider === 'openai' ? openaiModelsCountInfo : compatibleModelsCountInfo;
-      const defaultElement = provider === 'openai' ? openaiDefaultModelInfo : compatibleDefaultModelInfo;
+      const countElement = providerModelElements[provider]?.count;
+      const defaultElement = providerModelElements[provider]?.defaultInfo;
       
       if (countElement) {
         const translations = currentTranslations?.llm || {};
@@ -1657,7 +2420,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // 添加所有提供商的模型
         Object.keys(providerModels).forEach(provider => {
           const models = providerModels[provider] || [];
-          const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+          const providerName = getProviderDisplayName(provider);
           
           if (models.length > 0) {
             // 添加提供商分組標題
@@ -1694,7 +2457,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const colonIndex = selectedValue.indexOf(':');
             const provider = selectedValue.substring(0, colonIndex);
             const modelName = selectedValue.substring(colonIndex + 1);
-            const providerName = provider === 'openai' ? 'OpenAI' : 'OpenAI Compatible';
+            const providerName = getProviderDisplayName(provider);
             showLLMActionStatus(translations.globalDefaultSet || `✅ 全局預設模型已設為 ${providerName} 的 "${modelName}"`, 'success');
           } else {
             showLLMActionStatus(translations.globalDefaultCleared || '✅ 全局預設模型已清除', 'success');
@@ -1779,6 +2542,54 @@ document.addEventListener('DOMContentLoaded', function() {
           return;
         }
       }
+    } else if (selectedProvider === 'anthropic') {
+      const apiKey = document.getElementById('anthropicApiKey')?.value;
+
+      if (!apiKey) {
+        showLLMActionStatus(translations.anthropicApiKeyRequired || '請輸入 Anthropic API Key', 'error');
+        return;
+      }
+
+      // 確保使用者授權 Anthropic API 網域存取權（由 background 代理請求）
+      const granted = await new Promise((resolve) => {
+        const originPattern = '*://api.anthropic.com/*';
+        chrome.permissions.contains({ origins: [originPattern] }, (has) => {
+          if (has) return resolve(true);
+          chrome.permissions.request({ origins: [originPattern] }, (granted) => resolve(granted));
+        });
+      });
+      if (!granted) {
+        showLLMActionStatus(translations.hostPermissionDenied || '使用者拒絕授權此網域', 'error');
+        return;
+      }
+
+      settings.config = {
+        apiKey: apiKey
+      };
+    } else if (selectedProvider === 'gemini') {
+      const apiKey = document.getElementById('geminiApiKey')?.value;
+
+      if (!apiKey) {
+        showLLMActionStatus(translations.geminiApiKeyRequired || '請輸入 Gemini API Key', 'error');
+        return;
+      }
+
+      // 確保使用者授權 Generative Language API 網域存取權（由 background 代理請求）
+      const granted = await new Promise((resolve) => {
+        const originPattern = '*://generativelanguage.googleapis.com/*';
+        chrome.permissions.contains({ origins: [originPattern] }, (has) => {
+          if (has) return resolve(true);
+          chrome.permissions.request({ origins: [originPattern] }, (granted) => resolve(granted));
+        });
+      });
+      if (!granted) {
+        showLLMActionStatus(translations.hostPermissionDenied || '使用者拒絕授權此網域', 'error');
+        return;
+      }
+
+      settings.config = {
+        apiKey: apiKey
+      };
     }
     
     // 保存設定到 Chrome storage
@@ -1810,22 +2621,30 @@ document.addEventListener('DOMContentLoaded', function() {
     const compatibleBaseUrl = document.getElementById('compatibleBaseUrl');
     const compatibleHeaders = document.getElementById('compatibleHeaders');
     const compatibleParams = document.getElementById('compatibleParams');
+    const anthropicApiKey = document.getElementById('anthropicApiKey');
+    const geminiApiKey = document.getElementById('geminiApiKey');
     
     if (llmProviderSelect) llmProviderSelect.value = '';
     if (openaiApiKey) openaiApiKey.value = '';
     if (compatibleBaseUrl) compatibleBaseUrl.value = '';
     if (compatibleHeaders) compatibleHeaders.value = '';
     if (compatibleParams) compatibleParams.value = '';
+    if (anthropicApiKey) anthropicApiKey.value = '';
+    if (geminiApiKey) geminiApiKey.value = '';
     
     // 隱藏所有配置區域
     const openaiConfig = document.getElementById('openai-config');
     const openaiCompatibleConfig = document.getElementById('openai-compatible-config');
+    const anthropicConfig = document.getElementById('anthropic-config');
+    const geminiApiConfig = document.getElementById('gemini-api-config');
     const userModelsSection = document.getElementById('user-models-section');
     const llmTestSection = document.getElementById('llm-test-section');
     const llmActions = document.getElementById('llm-actions');
     
     if (openaiConfig) openaiConfig.style.display = 'none';
     if (openaiCompatibleConfig) openaiCompatibleConfig.style.display = 'none';
+    if (anthropicConfig) anthropicConfig.style.display = 'none';
+    if (geminiApiConfig) geminiApiConfig.style.display = 'none';
     if (userModelsSection) userModelsSection.style.display = 'none';
     if (llmTestSection) llmTestSection.style.display = 'none';
     if (llmActions) llmActions.style.display = 'none';
@@ -1883,6 +2702,14 @@ document.addEventListener('DOMContentLoaded', function() {
         if (compatibleParams && settings.config.customParams) {
           compatibleParams.value = JSON.stringify(settings.config.customParams, null, 2);
         }
+      } else if (settings.provider === 'anthropic' && settings.config) {
+        const anthropicApiKey = document.getElementById('anthropicApiKey');
+
+        if (anthropicApiKey) anthropicApiKey.value = settings.config.apiKey || '';
+      } else if (settings.provider === 'gemini' && settings.config) {
+        const geminiApiKey = document.getElementById('geminiApiKey');
+
+        if (geminiApiKey) geminiApiKey.value = settings.config.apiKey || '';
       }
     });
   }
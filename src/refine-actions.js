@@ -0,0 +1,115 @@
+/**
+ * Refine Actions Library
+ * 使用者自訂的訊息優化動作（圖示、名稱、含 {MESSAGE} 的提示詞範本、模型與溫度）
+ * 動作清單存放於 chrome.storage.local 的 refineActions，陣列順序即為下拉選單中的顯示順序
+ */
+
+export const REFINE_ACTIONS_STORAGE_KEY = 'refineActions';
+
+/**
+ * 提示詞範本中代表目前輸入內容的佔位符
+ */
+export const MESSAGE_PLACEHOLDER = '{MESSAGE}';
+
+/**
+ * 溫度的允許範圍（各家 API 共同支援的範圍）
+ */
+export const MIN_TEMPERATURE = 0;
+export const MAX_TEMPERATURE = 1;
+
+/**
+ * 只有前幾個動作可在下拉選單中以 Alt+1..9 觸發
+ */
+export const MAX_ACTION_SHORTCUTS = 9;
+
+const DEFAULT_ACTION_ICON = '⚡';
+
+/**
+ * 將保存的動作正規化為完整欄位
+ * @param {Object} action
+ * @returns {{id: string, icon: string, label: string, prompt: string, model: string, temperature: number|null}}
+ */
+export function normalizeRefineAction(action = {}) {
+  const temperature = action.temperature === '' || action.temperature === null || action.temperature === undefined
+    ? null
+    : Number(action.temperature);
+
+  return {
+    id: action.id || `action_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    icon: (action.icon || '').trim() || DEFAULT_ACTION_ICON,
+    label: (action.label || '').trim(),
+    prompt: (action.prompt || '').trim(),
+    // "provider:model"，空字串代表使用目前選擇的模型
+    model: action.model || '',
+    temperature: Number.isFinite(temperature) ? temperature : null
+  };
+}
+
+/**
+ * 檢查動作是否可保存
+ * @param {Object} action - 已正規化的動作
+ * @returns {Array<string>} 錯誤代碼（labelRequired、promptRequired、invalidTemperature），空陣列代表有效
+ */
+export function validateRefineAction(action) {
+  const errors = [];
+  if (!action.label) {
+    errors.push('labelRequired');
+  }
+  if (!action.prompt) {
+    errors.push('promptRequired');
+  }
+  if (action.temperature !== null && (action.temperature < MIN_TEMPERATURE || action.temperature > MAX_TEMPERATURE)) {
+    errors.push('invalidTemperature');
+  }
+  return errors;
+}
+
+/**
+ * 讀取動作清單
+ * @returns {Promise<Array>}
+ */
+export async function loadRefineActions() {
+  const result = await chrome.storage.local.get([REFINE_ACTIONS_STORAGE_KEY]);
+  const actions = result[REFINE_ACTIONS_STORAGE_KEY];
+  return Array.isArray(actions) ? actions.map(normalizeRefineAction) : [];
+}
+
+/**
+ * 保存動作清單
+ * @param {Array} actions
+ * @returns {Promise<void>}
+ */
+export async function saveRefineActions(actions) {
+  await chrome.storage.local.set({ [REFINE_ACTIONS_STORAGE_KEY]: actions.map(normalizeRefineAction) });
+}
+
+/**
+ * 移動動作的位置
+ * @param {Array} actions - 動作清單
+ * @param {number} index - 要移動的動作位置
+ * @param {number} offset - -1 上移、1 下移
+ * @returns {Array} 新的動作清單（不修改原陣列）；超出範圍時回傳原順序的複本
+ */
+export function moveRefineAction(actions, index, offset) {
+  const target = index + offset;
+  const moved = [...actions];
+  if (index < 0 || index >= actions.length || target < 0 || target >= actions.length) {
+    return moved;
+  }
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+}
+
+/**
+ * 以目前輸入內容套用提示詞範本
+ * 範本沒有 {MESSAGE} 時，將輸入內容附在範本之後
+ * @param {string} prompt - 提示詞範本
+ * @param {string} message - 輸入框中的內容
+ * @returns {string}
+ */
+export function applyRefineActionTemplate(prompt, message) {
+  if (prompt.includes(MESSAGE_PLACEHOLDER)) {
+    return prompt.split(MESSAGE_PLACEHOLDER).join(message);
+  }
+  return message && message.trim() ? `${prompt}\n\n${message}` : prompt;
+}
@@ -0,0 +1,32 @@
+/**
+ * Refine Context Settings
+ * 在討論串中優化回覆時，是否（以及對哪些動作）附上最近的討論串訊息作為上下文
+ * 設定存放於 slack_summary_config.refineContext，由 popup 編輯、訊息優化功能讀取
+ */
+
+/**
+ * 預設設定：預設關閉；開啟後附上最近 10 則訊息，修正語法不需要上下文
+ */
+export const DEFAULT_REFINE_CONTEXT_SETTINGS = {
+  enabled: false,
+  messageCount: 10,
+  actions: {
+    rephrase: true,
+    refine: true,
+    fix_grammar: false,
+    custom: true
+  }
+};
+
+/**
+ * 將已保存的設定合併到預設值上（缺少的欄位使用預設值）
+ * @param {Object} [saved] - 已保存的設定
+ * @returns {Object}
+ */
+export function mergeRefineContextSettings(saved = {}) {
+  return {
+    ...DEFAULT_REFINE_CONTEXT_SETTINGS,
+    ...saved,
+    actions: { ...DEFAULT_REFINE_CONTEXT_SETTINGS.actions, ...saved.actions }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Reply Suggestions Module
+ * 以討論串內容（與可選的回覆意圖）產生數個候選回覆
+ */
+
+import { buildJsonOutputInstruction, parseJsonWithSchema } from './structured-output.js';
+
+/**
+ * 要求模型產生的候選回覆數
+ */
+export const REPLY_SUGGESTION_COUNT = 3;
+
+/**
+ * 模型輸出必須符合的 JSON Schema（僅使用 validateAgainstSchema 支援的子集）
+ */
+export const REPLY_SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['replies'],
+  properties: {
+    replies: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * 產生候選回覆的提示詞
+ * @param {string} threadText - 已編號的討論串訊息
+ * @param {Object} [options]
+ * @param {string} [options.intent] - 使用者想表達的意思，例如「同意，但詢問預計完成時間」
+ * @param {string} [options.draft] - 輸入框中已輸入的草稿
+ * @param {number} [options.omittedCount] - 因超過上下文長度而省略的最早訊息數
+ * @returns {string}
+ */
+export function buildReplySuggestionsPrompt(threadText, { intent = '', draft = '', omittedCount = 0 } = {}) {
+  const omittedNote = omittedCount > 0
+    ? `The first ${omittedCount} messages were left out because the thread is too long.\n`
+    : '';
+  const intentNote = intent
+    ? `What I want to say: ${intent}\n`
+    : 'Reply in the way that best moves the conversation forward.\n';
+  const draftNote = draft && draft.trim()
+    ? `My draft so far (keep its meaning): ${draft.trim()}\n`
+    : '';
+
+  return `Suggest ${REPLY_SUGGESTION_COUNT} different replies I could post to the Slack thread below.\n` +
+    intentNote + draftNote + '\n' +
+    buildJsonOutputInstruction('{ "replies": [string, string, string] }') +
+    'Rules:\n' +
+    '- Each reply is ready to post as is: no greetings to the whole channel, no explanations, no placeholders.\n' +
+    '- Make the replies differ in approach or tone (e.g. brief, detailed, friendly).\n' +
+    '- Reply to the latest messages unless my intent says otherwise.\n' +
+    '- Write in the same language as the thread. Slack markdown (*bold*, bullet lists) is allowed.\n\n' +
+    omittedNote + threadText;
+}
+
+/**
+ * 解析並驗證模型回傳的候選回覆
+ * @param {string} responseText - 模型回傳內容
+ * @returns {Array<string>} 非空的候選回覆（最多 REPLY_SUGGESTION_COUNT 則）
+ * @throws {Error} JSON 無法解析、不符合 schema 或沒有任何回覆時
+ */
+export function parseReplySuggestions(responseText) {
+  const data = parseJsonWithSchema(responseText, REPLY_SUGGESTIONS_SCHEMA);
+
+  const replies = data.replies.map(reply => reply.trim()).filter(Boolean).slice(0, REPLY_SUGGESTION_COUNT);
+  if (replies.length === 0) {
+    throw new Error('Model did not suggest any replies');
+  }
+  return replies;
+}
@@ -6,9 +6,20 @@
 import { 
   sleep, 
   withTimeout, 
+  slackTsToMillis,
   TIME_CONSTANTS 
 } from './time-utils.js';
 
+/**
+ * 畫面上找不到未讀分隔線時，向上滾動尋找的最大次數
+ */
+const UNREAD_DIVIDER_SEARCH_ATTEMPTS = 30;
+
+/**
+ * 找不到未讀分隔線時，collectUnreadChannelMessages 拋出錯誤的 code
+ */
+export const NO_UNREAD_DIVIDER_ERROR = 'NO_UNREAD_DIVIDER';
+
 export class ThreadScrollCollector {
   constructor(domDetector, textExtractor, progressCallback = null, messageProcessor = null, configManager = null) {
     this.domDetector = domDetector;
@@ -139,6 +150,79 @@ export class ThreadScrollCollector {
     }
   }
 
+  /**
+   * 收集頻道中從「新訊息」分隔線到最底部的未讀訊息
+   * @returns {Promise<{messages: Array, firstUnreadTs: string}>} 未讀訊息（依時間排序）與第一則未讀訊息的 ts
+   * @throws {Error} 找不到未讀分隔線時，error.code 為 NO_UNREAD_DIVIDER_ERROR
+   */
+  async collectUnreadChannelMessages() {
+    console.log('開始收集頻道未讀訊息...');
+
+    const channelContainer = this.domDetector.findChannelContainer();
+    if (!channelContainer) {
+      throw new Error('未找到頻道訊息區');
+    }
+
+    const scrollContainer = this.findScrollContainer(channelContainer);
+    const divider = await this.findUnreadDividerByScrolling(channelContainer, scrollContainer);
+    if (!divider) {
+      const error = new Error('未找到未讀訊息分隔線');
+      error.code = NO_UNREAD_DIVIDER_ERROR;
+      throw error;
+    }
+
+    const firstUnreadTs = this.domDetector.getFirstUnreadTs(divider);
+    const extractMessages = () => this.extractChannelMessages(channelContainer);
+
+    let messages;
+    if (scrollContainer) {
+      // 從分隔線開始往下滾動收集到底部
+      divider.scrollIntoView({ block: 'start' });
+      await this.waitForScrollComplete();
+      await this.waitForVirtualListUpdate();
+      messages = await withTimeout(
+        this.standardScrollAndCollect(scrollContainer, extractMessages),
+        5 * TIME_CONSTANTS.MINUTE,
+        '滾動收集超時'
+      );
+    } else {
+      console.warn('未找到頻道滾動容器，使用當前可見訊息');
+      messages = this.messageProcessor ? this.messageProcessor.processMessages(extractMessages()) : extractMessages();
+    }
+
+    // 分隔線捲到頂端時上方可能仍有已讀訊息，以第一則未讀訊息的時間過濾
+    const firstUnreadTime = slackTsToMillis(firstUnreadTs);
+    const unreadMessages = firstUnreadTime === null
+      ? messages
+      : messages.filter(message => {
+        const time = slackTsToMillis(message.ts);
+        return time === null || time >= firstUnreadTime;
+      });
+
+    console.log(`完成未讀訊息收集，共 ${unreadMessages.length} 條`);
+    return { messages: unreadMessages, firstUnreadTs };
+  }
+
+  /**
+   * 尋找未讀分隔線；不在畫面上時逐步向上滾動尋找
+   * @param {Element} channelContainer - 頻道訊息區
+   * @param {Element|null} scrollContainer - 頻道滾動容器
+   * @returns {Promise<Element|null>}
+   */
+  async findUnreadDividerByScrolling(channelContainer, scrollContainer) {
+    let divider = this.domDetector.findUnreadDivider(channelContainer);
+    for (let attempt = 0; !divider && scrollContainer && attempt < UNREAD_DIVIDER_SEARCH_ATTEMPTS; attempt++) {
+      if (scrollContainer.scrollTop <= 0) {
+        break;
+      }
+      scrollContainer.scrollTop = Math.max(0, scrollContainer.scrollTop - scrollContainer.clientHeight);
+      await this.waitForScrollComplete();
+      await this.waitForVirtualListUpdate();
+      divider = this.domDetector.findUnreadDivider(channelContainer);
+    }
+    return divider;
+  }
+
   /**
    * 找到Thread的滾動容器
    * @param {Element} threadContainer 
@@ -242,9 +326,10 @@ export class ThreadScrollCollector {
   /**
    * 標準滾動收集方法
    * @param {Element} scrollContainer 
+   * @param {Function} [extractMessages] - 提取目前可見訊息的函式（預設為討論串訊息）
    * @returns {Promise<Array>}
    */
-  async standardScrollAndCollect(scrollContainer) {
+  async standardScrollAndCollect(scrollContainer, extractMessages = () => this.extractCurrentMessages()) {
     const allMessages = new Map();
     let scrollAttempts = 0;
     let noNewMessagesCount = 0;
@@ -259,16 +344,11 @@ export class ThreadScrollCollector {
       const currentTotalScrollHeight = currentScrollHeight - scrollContainer.clientHeight;
       
       // 提取當前可見的訊息
-      const currentMessages = this.extractCurrentMessages();
+      const currentMessages = extractMessages();
       const previousSize = allMessages.size;
       
       // 添加新訊息到集合中
-      currentMessages.forEach(message => {
-        const messageId = this.generateMessageId(message);
-        if (!allMessages.has(messageId)) {
-          allMessages.set(messageId, message);
-        }
-      });
+      currentMessages.forEach(message => this.collectMessage(allMessages, message));
 
       const newMessagesAdded = allMessages.size - previousSize;
       const currentProgress = currentTotalScrollHeight > 0 ? Math.min(currentScrollTop / currentTotalScrollHeight, 1) : 0;
@@ -333,13 +413,8 @@ export class ThreadScrollCollector {
         await this.waitForVirtualListUpdate();
         
         // 最終訊息收集
-        const finalMessages = this.extractCurrentMessages();
-        finalMessages.forEach(message => {
-          const messageId = this.generateMessageId(message);
-          if (!allMessages.has(messageId)) {
-            allMessages.set(messageId, message);
-          }
-        });
+        const finalMessages = extractMessages();
+        finalMessages.forEach(message => this.collectMessage(allMessages, message));
         
         // 如果滾動位置沒有變化，說明真的到底了
         if (Math.abs(scrollContainer.scrollTop - beforeFinalScroll) < 10) {
@@ -399,7 +474,7 @@ export class ThreadScrollCollector {
         }
 
         const message = this.textExtractor.extractSingleMessage(messageEl);
-        if (message && message.text && message.text.trim().length > 0) {
+        if (this.textExtractor.hasMessageContent(message)) {
           rawMessages.push(message);
         }
       } catch (error) {
@@ -416,14 +491,57 @@ export class ThreadScrollCollector {
     return rawMessages;
   }
 
+  /**
+   * 提取頻道訊息區中目前可見的訊息（不含討論串面板中的訊息）
+   * @param {Element} channelContainer - 頻道訊息區
+   * @returns {Array}
+   */
+  extractChannelMessages(channelContainer) {
+    const rawMessages = [];
+    this.domDetector.findChannelMessageElements(channelContainer).forEach(messageEl => {
+      const rect = messageEl.getBoundingClientRect();
+      if (rect.height === 0 || rect.width === 0) {
+        return;
+      }
+      try {
+        const message = this.textExtractor.extractSingleMessage(messageEl);
+        if (this.textExtractor.hasMessageContent(message)) {
+          rawMessages.push(message);
+        }
+      } catch (error) {
+        console.log('提取頻道訊息時發生錯誤:', error);
+      }
+    });
+    return rawMessages;
+  }
+
+  /**
+   * 將訊息加入收集結果
+   * 有 Slack ts 的訊息再次出現時以最新內容覆蓋（例如滾動期間被編輯），沒有時只保留第一次看到的版本
+   * @param {Map} allMessages 
+   * @param {Object} message 
+   */
+  collectMessage(allMessages, message) {
+    const messageId = this.generateMessageId(message);
+    if (message.id || !allMessages.has(messageId)) {
+      allMessages.set(messageId, message);
+    }
+  }
+
   /**
    * 生成訊息的唯一ID
+   * 優先使用擷取時取得的 Slack ts（message.id），相同內容的兩則回覆不會被合併，編輯過的訊息也不會重複
    * @param {Object} message 
    * @returns {string}
    */
   generateMessageId(message) {
-    // 使用文本內容的前100個字符和用戶名來生成ID
-    const textPreview = message.text.substring(0, 100).replace(/\s+/g, ' ').trim();
+    if (message.id) {
+      return message.id;
+    }
+
+    // 舊版 DOM 取不到 ts 時，使用文本內容的前100個字符和用戶名來生成ID（純圖片/檔案訊息改用附件連結）
+    const textPreview = (message.text || '').substring(0, 100).replace(/\s+/g, ' ').trim() ||
+      (message.attachments || []).map(attachment => attachment.url).join(' ');
     const userPart = message.user || 'unknown';
     const timePart = message.timestamp || 'no-time';
     
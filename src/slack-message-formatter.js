@@ -538,6 +538,77 @@ export class SlackMessageFormatter {
     return div.innerHTML;
   }
 
+  /**
+   * Get the labels of the mentions in an input (e.g. "@Jane Doe"), so multi-word
+   * names can be protected as a whole
+   */
+  static getMentionLabels(inputElement) {
+    if (!inputElement || !inputElement.querySelectorAll) return [];
+
+    const labels = Array.from(inputElement.querySelectorAll('ts-mention'))
+      .map(node => this._processMention(node).trim())
+      .filter(Boolean);
+    return Array.from(new Set(labels));
+  }
+
+  /**
+   * Replace the parts of a Markdown message that must survive a rewrite unchanged
+   * (code blocks, code spans, links, URLs, mentions and emoji shortcodes) with
+   * numbered placeholders such as ⟦1⟧
+   * @param {string} markdownText - Message in the format returned by extractTextFromInput
+   * @param {Array<string>} mentionLabels - Mention labels from getMentionLabels
+   * @returns {{text: string, tokens: Array<string>}} Protected text and the original tokens
+   */
+  static protectSlackTokens(markdownText, mentionLabels = []) {
+    const tokens = [];
+    const protect = (match) => {
+      tokens.push(match);
+      return `⟦${tokens.length}⟧`;
+    };
+
+    let text = markdownText || '';
+
+    // Code first, so nothing inside it is matched by the patterns below
+    text = text.replace(/```[\s\S]*?```/g, protect);
+    text = text.replace(/`[^`\n]+`/g, protect);
+
+    // Links and bare URLs (including Slack's <url|text> form);
+    // trailing and full-width punctuation belongs to the sentence, not the URL
+    text = text.replace(/\[[^\]]+\]\([^)]+\)/g, protect);
+    text = text.replace(/<[^>\s]+>/g, protect);
+    text = text.replace(/https?:\/\/[^\s)，。；：！？]*[^\s).,;:!?'"，。；：！？]/g, protect);
+
+    // Known mention labels (longest first so "@Jane Doe" wins over "@Jane"),
+    // then any remaining @word such as @here or @channel
+    [...mentionLabels].sort((a, b) => b.length - a.length).forEach(label => {
+      text = text.split(label).join(protect(label));
+    });
+    text = text.replace(/@[\w.-]+/g, protect);
+
+    // Emoji shortcodes such as :+1: or :wave::skin-tone-2:
+    text = text.replace(/(?::[a-z0-9_+'-]+:)+/g, protect);
+
+    return { text, tokens };
+  }
+
+  /**
+   * Put the tokens replaced by protectSlackTokens back into the text
+   * @param {string} text - Text containing placeholders
+   * @param {Array<string>} tokens - Tokens returned by protectSlackTokens
+   * @returns {{text: string, missing: Array<string>}} Restored text and the tokens whose placeholder was lost
+   */
+  static restoreSlackTokens(text, tokens) {
+    const restored = new Set();
+    const result = (text || '').replace(/⟦(\d+)⟧/g, (match, number) => {
+      const token = tokens[Number(number) - 1];
+      if (token === undefined) return match;
+      restored.add(Number(number) - 1);
+      return token;
+    });
+
+    return { text: result, missing: tokens.filter((token, index) => !restored.has(index)) };
+  }
+
   /**
    * Simple text extraction fallback
    */
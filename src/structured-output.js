@@ -0,0 +1,127 @@
+/**
+ * Structured Output Module
+ * 以已設定的 LLM 取得結構化 JSON：提示詞中的輸出格式說明、解析、依 schema 驗證，以及格式不符時重試
+ */
+
+import { llmService } from './llm-service.js';
+
+/**
+ * 產生要求模型只輸出指定形狀 JSON 物件的說明（接在任務說明之後）
+ * @param {string} shape - JSON 形狀範例
+ * @returns {string}
+ */
+export function buildJsonOutputInstruction(shape) {
+  return `Respond with a single JSON object and nothing else, using exactly this shape:\n${shape}\n\n`;
+}
+
+/**
+ * 取得值的 JSON Schema 型別名稱
+ * @param {*} value
+ * @returns {string}
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 依 schema 驗證資料（支援 type、required、properties、items）
+ * @param {*} value - 要驗證的資料
+ * @param {Object} schema - JSON Schema 子集
+ * @param {string} path - 錯誤訊息中的路徑
+ * @returns {Array<string>} 錯誤列表，空陣列代表通過
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actualType = getSchemaType(value);
+  if (!allowedTypes.includes(actualType)) {
+    return [`${path}: expected ${allowedTypes.join(' | ')}, got ${actualType}`];
+  }
+
+  const errors = [];
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 解析模型回傳的 JSON（容許被 ```json 區塊包住）
+ * @param {string} responseText - 模型回傳內容
+ * @returns {*} 解析後的資料
+ * @throws {Error} JSON 無法解析時
+ */
+export function parseModelJson(responseText) {
+  const fenced = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const jsonText = (fenced ? fenced[1] : responseText).trim();
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error(`Model did not return valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * 解析模型回傳的 JSON 並依 schema 驗證
+ * @param {string} responseText - 模型回傳內容
+ * @param {Object} schema - JSON Schema 子集
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - 模型省略頂層欄位時補上的預設值（例如空陣列）
+ * @returns {*} 通過驗證的資料
+ * @throws {Error} JSON 無法解析或不符合 schema 時
+ */
+export function parseJsonWithSchema(responseText, schema, { defaults = {} } = {}) {
+  let data = parseModelJson(responseText);
+
+  // 少數模型會省略空的欄位，以預設值補上
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    data = { ...defaults, ...data };
+  }
+
+  const errors = validateAgainstSchema(data, schema);
+  if (errors.length > 0) {
+    throw new Error(`Model output does not match the schema: ${errors.slice(0, 3).join('; ')}`);
+  }
+
+  return data;
+}
+
+/**
+ * 以已設定的 LLM 擷取結構化 JSON；輸出無法通過 parse 時附上錯誤原因重試一次
+ * @param {string} prompt - 要求模型輸出 JSON 的提示詞
+ * @param {Function} parse - 解析並驗證模型回傳內容的函式，格式不符時拋出錯誤
+ * @param {Object} [options] - 傳給 llmService.extractStructured 的選項（{signal}）
+ * @returns {Promise<*>} parse 的回傳值
+ * @throws {Error} 重試後仍不符合格式，或請求失敗時
+ */
+export async function extractJsonWithRetry(prompt, parse, options = {}) {
+  const response = await llmService.extractStructured(prompt, options);
+
+  try {
+    return parse(response);
+  } catch (error) {
+    console.warn('Invalid structured output, retrying:', error.message);
+    const retryPrompt = `${prompt}\n\nYour previous reply was rejected (${error.message}). Reply with only the JSON object in the required shape.`;
+    return parse(await llmService.extractStructured(retryPrompt, options));
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Summary History Module
+ * 以 IndexedDB 保存每次摘要的紀錄（工作區、頻道、討論串連結、參與者、模型、提示詞、摘要）
+ *
+ * IndexedDB 依來源隔離，因此只能在擴展頁面（背景腳本、popup）中使用；
+ * content script 透過 saveSummaryHistory 訊息交由背景腳本寫入。
+ */
+
+const DB_NAME = 'slack-helper';
+const DB_VERSION = 1;
+const STORE_NAME = 'summaryHistory';
+
+let dbPromise = null;
+
+/**
+ * 開啟（必要時建立）資料庫
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * 在 object store 上執行一個請求
+ * @param {string} mode - 'readonly' 或 'readwrite'
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise<*>} 請求結果
+ */
+async function runStoreRequest(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * 新增一筆摘要紀錄
+ * @param {Object} entry - {workspace, channel, title, threadLink, participants, messageCount, model, prompt, output}
+ * @returns {Promise<number>} 新紀錄的 ID
+ */
+export async function addSummaryHistoryEntry(entry) {
+  const record = {
+    workspace: entry.workspace || '',
+    channel: entry.channel || '',
+    title: entry.title || '',
+    threadLink: entry.threadLink || '',
+    participants: entry.participants || [],
+    messageCount: entry.messageCount || 0,
+    model: entry.model || '',
+    prompt: entry.prompt || '',
+    output: entry.output || '',
+    createdAt: Date.now()
+  };
+  return await runStoreRequest('readwrite', store => store.add(record));
+}
+
+/**
+ * 取得所有摘要紀錄（新的在前）
+ * @returns {Promise<Array>}
+ */
+export async function getSummaryHistoryEntries() {
+  const entries = await runStoreRequest('readonly', store => store.index('createdAt').getAll());
+  return entries.reverse();
+}
+
+/**
+ * 全文搜尋摘要紀錄（不分大小寫，所有關鍵字都需符合）
+ * @param {string} query - 搜尋字串（以空白分隔多個關鍵字）
+ * @returns {Promise<Array>}
+ */
+export async function searchSummaryHistory(query) {
+  const entries = await getSummaryHistoryEntries();
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return entries;
+  }
+
+  return entries.filter(entry => {
+    const haystack = [
+      entry.workspace,
+      entry.channel,
+      entry.title,
+      entry.threadLink,
+      entry.model,
+      entry.prompt,
+      entry.output,
+      ...entry.participants
+    ].join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * 刪除一筆摘要紀錄
+ * @param {number} id - 紀錄 ID
+ */
+export async function deleteSummaryHistoryEntry(id) {
+  await runStoreRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * 清除所有摘要紀錄
+ */
+export async function clearSummaryHistory() {
+  await runStoreRequest('readwrite', store => store.clear());
+}
+
+/**
+ * 將摘要紀錄匯出為 Markdown
+ * @param {Array} entries - 摘要紀錄
+ * @returns {string}
+ */
+export function exportSummaryHistoryAsMarkdown(entries) {
+  return entries.map(entry => {
+    const location = [entry.workspace, entry.channel ? `#${entry.channel}` : ''].filter(Boolean).join(' / ');
+    const lines = [
+      `## ${location || 'Slack'} — ${new Date(entry.createdAt).toLocaleString()}`,
+      '',
+      entry.title ? `- Title: ${entry.title}` : '',
+      entry.threadLink ? `- Thread: ${entry.threadLink}` : '',
+      `- Model: ${entry.model}`,
+      `- Participants: ${entry.participants.join(', ')}`,
+      `- Messages: ${entry.messageCount}`,
+      '',
+      entry.output || '_(opened in Gemini, no summary captured)_'
+    ];
+    return lines.filter((line, index) => line !== '' || lines[index - 1] !== '').join('\n');
+  }).join('\n\n---\n\n');
+}
@@ -0,0 +1,371 @@
+/**
+ * Summary Panel Module
+ * 在 Slack 討論串旁顯示由已設定 LLM 產生的摘要（複製、貼為回覆草稿）
+ */
+
+import { SlackMessageFormatter } from './slack-message-formatter.js';
+import { dockPanelBesideThread, renderMarkdown } from './ui-utils.js';
+import { bindCitationLinks, linkCitationsInHtml, linkCitationsInMarkdown } from './citations.js';
+
+const PANEL_WIDTH = 380;
+const PANEL_GAP = 8;
+
+/**
+ * Summary Panel Manager
+ * 管理停靠在討論串面板左側的摘要面板
+ */
+export class SummaryPanelManager {
+  constructor() {
+    this.panelClass = 'slack-helper-summary-panel';
+    this.panel = null;
+    this.summary = '';
+    this.translations = null;
+    this.getThreadContainer = () => null;
+    this.messages = [];
+    this.abortController = null;
+
+    this.handleResize = this.handleResize.bind(this);
+  }
+
+  /**
+   * 開啟摘要面板（已開啟時會先關閉舊的面板並取消其請求）
+   * @param {Object} options
+   * @param {Function} options.getThreadContainer - 回傳目前討論串容器的函式
+   * @param {string} options.modelName - 顯示用的模型名稱
+   * @param {Object} options.translations - 翻譯物件
+   * @param {Array} [options.messages] - 整個討論串的訊息，用於將 [#n] 引用轉為連結
+   * @param {Function} [options.findMessageElement] - (messageId) => Element|null，點擊引用時捲動至該訊息
+   * @param {string} [options.title] - 面板標題（預設為討論串摘要）
+   * @returns {AbortSignal} 面板關閉時會觸發的取消訊號
+   */
+  open({ getThreadContainer, modelName = '', translations = null, messages = [], findMessageElement = () => null, title = '' }) {
+    this.close();
+
+    this.getThreadContainer = getThreadContainer || (() => null);
+    this.messages = messages;
+    this.translations = translations;
+    this.summary = '';
+    this.abortController = new AbortController();
+
+    this.ensureStyles();
+
+    const panel = document.createElement('div');
+    panel.className = this.panelClass;
+    panel.innerHTML = `
+      <div class="slack-helper-summary-panel-header">
+        <div>
+          <div class="slack-helper-summary-panel-title">${title || this.t('summaryPanelTitle', '📝 討論串摘要')}</div>
+          <small class="slack-helper-summary-panel-model"></small>
+        </div>
+        <button class="slack-helper-summary-panel-close" title="${this.t('close', '關閉')}">✕</button>
+      </div>
+      <div class="slack-helper-summary-panel-status">${this.t('generatingSummary', '🤖 正在產生摘要...')}</div>
+      <div class="slack-helper-summary-panel-body"></div>
+      <div class="slack-helper-summary-panel-actions">
+        <button class="slack-helper-summary-panel-btn" data-action="copy" disabled>
+          ${this.t('copyToClipboard', '📋 複製到剪貼簿')}
+        </button>
+        <button class="slack-helper-summary-panel-btn slack-helper-summary-panel-btn-primary" data-action="draft" disabled>
+          ${this.t('postAsReplyDraft', '💬 貼為回覆草稿')}
+        </button>
+      </div>
+    `;
+    // 模型名稱來自使用者設定，使用 textContent 避免被當作 HTML 解析
+    panel.querySelector('.slack-helper-summary-panel-model').textContent = modelName ? `🧠 ${modelName}` : '';
+
+    panel.querySelector('.slack-helper-summary-panel-close').addEventListener('click', () => this.close());
+    panel.querySelector('[data-action="copy"]').addEventListener('click', (e) => this.copySummary(e.currentTarget));
+    panel.querySelector('[data-action="draft"]').addEventListener('click', () => this.insertReplyDraft());
+    bindCitationLinks(panel.querySelector('.slack-helper-summary-panel-body'), () => this.messages, findMessageElement);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+    this.updatePosition();
+    window.addEventListener('resize', this.handleResize);
+
+    return this.abortController.signal;
+  }
+
+  /**
+   * 更新串流中的摘要內容
+   * @param {string} partialSummary - 目前累積的摘要（Markdown）
+   */
+  update(partialSummary) {
+    if (!this.panel) return;
+
+    this.summary = partialSummary;
+    this.panel.querySelector('.slack-helper-summary-panel-body').innerHTML =
+      linkCitationsInHtml(renderMarkdown(partialSummary), this.messages);
+  }
+
+  /**
+   * 摘要產生完成，啟用複製與回覆草稿按鈕
+   * @param {string} summary - 完整摘要（Markdown）
+   */
+  complete(summary) {
+    if (!this.panel) return;
+
+    this.update(summary);
+    this.setStatus('');
+    this.panel.querySelectorAll('.slack-helper-summary-panel-btn').forEach(btn => {
+      btn.disabled = false;
+    });
+  }
+
+  /**
+   * 在面板中顯示錯誤訊息
+   * @param {string} message - 錯誤訊息
+   */
+  showError(message) {
+    if (!this.panel) return;
+
+    const failedText = this.t('summaryFailed', '❌ 摘要產生失敗');
+    this.setStatus(`${failedText}: ${message}`, true);
+  }
+
+  /**
+   * 設定狀態列文字（空字串時隱藏）
+   * @param {string} text - 狀態文字
+   * @param {boolean} isError - 是否為錯誤狀態
+   */
+  setStatus(text, isError = false) {
+    const status = this.panel?.querySelector('.slack-helper-summary-panel-status');
+    if (!status) return;
+
+    status.textContent = text;
+    status.style.display = text ? 'block' : 'none';
+    status.classList.toggle('slack-helper-summary-panel-status-error', isError);
+  }
+
+  /**
+   * 關閉面板並取消尚未完成的請求
+   */
+  close() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    window.removeEventListener('resize', this.handleResize);
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+
+  isOpen() {
+    return !!this.panel;
+  }
+
+  handleResize() {
+    this.updatePosition();
+  }
+
+  /**
+   * 將面板停靠在討論串面板左側；找不到討論串時停靠在視窗右側
+   */
+  updatePosition() {
+    if (!this.panel) return;
+
+    dockPanelBesideThread(this.panel, this.getThreadContainer(), PANEL_WIDTH, PANEL_GAP);
+  }
+
+  async copySummary(button) {
+    try {
+      // 複製時引用改為指向原始訊息的 Markdown 連結
+      await navigator.clipboard.writeText(linkCitationsInMarkdown(this.summary, this.messages));
+      button.textContent = this.t('copied', '✅ 已複製');
+      setTimeout(() => {
+        button.textContent = this.t('copyToClipboard', '📋 複製到剪貼簿');
+      }, 2000);
+    } catch (error) {
+      console.error('Failed to copy summary:', error);
+    }
+  }
+
+  /**
+   * 將摘要填入討論串的回覆輸入框（不會送出）
+   */
+  insertReplyDraft() {
+    const replyInput = this.findReplyInput();
+    if (!replyInput) {
+      this.setStatus(this.t('replyComposerNotFound', '⚠️ 找不到討論串回覆輸入框'), true);
+      return;
+    }
+
+    const inserted = SlackMessageFormatter.updateSlackInput(replyInput, this.toSlackMarkdown(this.summary));
+    if (inserted) {
+      this.setStatus(this.t('draftInserted', '✅ 已貼到回覆輸入框，確認後再送出'));
+    } else {
+      this.setStatus(this.t('replyComposerNotFound', '⚠️ 找不到討論串回覆輸入框'), true);
+    }
+  }
+
+  /**
+   * 找出討論串面板中的回覆輸入框
+   * @returns {Element|null}
+   */
+  findReplyInput() {
+    const threadContainer = this.getThreadContainer();
+    if (!threadContainer) return null;
+
+    return threadContainer.querySelector('[data-qa="message_input"] .ql-editor') ||
+           threadContainer.querySelector('.ql-editor[role="textbox"]') ||
+           threadContainer.querySelector('[contenteditable="true"][role="textbox"]');
+  }
+
+  /**
+   * 將一般 Markdown 轉為 Slack 慣用的格式（標題與粗體改為 *文字*，項目符號改為 •）
+   * @param {string} markdown
+   * @returns {string}
+   */
+  toSlackMarkdown(markdown) {
+    return markdown
+      .replace(/^#{1,6}\s+(.*)$/gm, '*$1*')
+      .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+      .replace(/^(\s*)[-*]\s+/gm, '$1• ');
+  }
+
+  t(key, fallback) {
+    return this.translations?.ui?.[key] || fallback;
+  }
+
+  /**
+   * 注入摘要面板樣式（只注入一次）
+   */
+  ensureStyles() {
+    if (document.getElementById('slack-helper-summary-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'slack-helper-summary-panel-styles';
+    style.textContent = `
+      .${this.panelClass} {
+        position: fixed;
+        width: ${PANEL_WIDTH}px;
+        display: flex;
+        flex-direction: column;
+        background: #fff;
+        border: 1px solid rgba(29, 28, 29, 0.13);
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+        z-index: 9999;
+        font-size: 14px;
+        line-height: 1.5;
+        color: #1d1c1d;
+        overflow: hidden;
+      }
+      .slack-helper-summary-panel-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        padding: 12px 16px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: #fff;
+      }
+      .slack-helper-summary-panel-title {
+        font-size: 16px;
+        font-weight: 600;
+      }
+      .slack-helper-summary-panel-model {
+        opacity: 0.9;
+      }
+      .slack-helper-summary-panel-close {
+        background: none;
+        border: none;
+        color: #fff;
+        font-size: 16px;
+        cursor: pointer;
+      }
+      .slack-helper-summary-panel-status {
+        padding: 8px 16px;
+        background: #f8f8f8;
+        color: #616061;
+        font-size: 13px;
+      }
+      .slack-helper-summary-panel-status-error {
+        background: #fdecea;
+        color: #a4262c;
+      }
+      .slack-helper-summary-panel-body {
+        flex: 1;
+        overflow-y: auto;
+        padding: 12px 16px;
+      }
+      .slack-helper-summary-panel-body h3,
+      .slack-helper-summary-panel-body h4,
+      .slack-helper-summary-panel-body h5,
+      .slack-helper-summary-panel-body h6 {
+        margin: 12px 0 6px;
+      }
+      .slack-helper-summary-panel-body p,
+      .slack-helper-summary-panel-body ul,
+      .slack-helper-summary-panel-body ol {
+        margin: 0 0 8px;
+      }
+      .slack-helper-summary-panel-body ul,
+      .slack-helper-summary-panel-body ol {
+        padding-left: 20px;
+      }
+      .slack-helper-summary-panel-body blockquote {
+        margin: 0 0 8px;
+        padding-left: 10px;
+        border-left: 3px solid #ddd;
+        color: #616061;
+      }
+      .slack-helper-summary-panel-body code {
+        background: rgba(29, 28, 29, 0.04);
+        border: 1px solid rgba(29, 28, 29, 0.13);
+        border-radius: 3px;
+        padding: 0 3px;
+        font-size: 12px;
+      }
+      .slack-helper-summary-panel-body pre {
+        background: rgba(29, 28, 29, 0.04);
+        border-radius: 4px;
+        padding: 8px;
+        overflow-x: auto;
+      }
+      .slack-helper-summary-panel-body .slack-helper-citation {
+        color: #1264a3;
+        font-size: 12px;
+        text-decoration: none;
+      }
+      .slack-helper-summary-panel-body .slack-helper-citation:hover {
+        text-decoration: underline;
+      }
+      .slack-helper-summary-panel-body pre code {
+        background: none;
+        border: none;
+        padding: 0;
+      }
+      .slack-helper-summary-panel-actions {
+        display: flex;
+        gap: 8px;
+        justify-content: flex-end;
+        padding: 12px 16px;
+        border-top: 1px solid rgba(29, 28, 29, 0.13);
+      }
+      .slack-helper-summary-panel-btn {
+        background: #6c757d;
+        color: #fff;
+        border: none;
+        padding: 8px 14px;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 13px;
+      }
+      .slack-helper-summary-panel-btn-primary {
+        background: #007a5a;
+      }
+      .slack-helper-summary-panel-btn:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,383 @@
+/**
+ * Thread Chat Panel Module
+ * 在 Slack 討論串旁以收集到的訊息為上下文進行多輪問答
+ */
+
+import { dockPanelBesideThread, renderMarkdown } from './ui-utils.js';
+import { bindCitationLinks, linkCitationsInHtml } from './citations.js';
+
+const PANEL_WIDTH = 380;
+const PANEL_GAP = 8;
+
+/**
+ * Thread Chat Panel Manager
+ * 管理停靠在討論串面板左側的問答面板；問答紀錄由呼叫端保存（每個討論串一份）
+ */
+export class ThreadChatPanelManager {
+  constructor() {
+    this.panelClass = 'slack-helper-chat-panel';
+    this.panel = null;
+    this.translations = null;
+    this.getThreadContainer = () => null;
+    this.messages = [];
+    this.turns = [];
+    this.onAsk = null;
+    this.abortController = null;
+
+    this.handleResize = this.handleResize.bind(this);
+  }
+
+  /**
+   * 開啟問答面板（已開啟時會先關閉舊的面板並取消其請求）
+   * @param {Object} options
+   * @param {Function} options.getThreadContainer - 回傳目前討論串容器的函式
+   * @param {string} options.modelName - 顯示用的模型名稱
+   * @param {Object} options.translations - 翻譯物件
+   * @param {Array} options.messages - 作為上下文的討論串訊息，用於將 [#n] 引用轉為連結
+   * @param {Array<{question: string, answer: string}>} options.turns - 此討論串先前的問答（會直接被修改）
+   * @param {Function} options.onAsk - (question, onChunk, signal) => Promise<string>，實際呼叫 LLM
+   * @param {Function} [options.findMessageElement] - (messageId) => Element|null，點擊引用時捲動至該訊息
+   */
+  open({ getThreadContainer, modelName = '', translations = null, messages = [], turns = [], onAsk, findMessageElement = () => null }) {
+    this.close();
+
+    this.getThreadContainer = getThreadContainer || (() => null);
+    this.translations = translations;
+    this.messages = messages;
+    this.turns = turns;
+    this.onAsk = onAsk;
+
+    this.ensureStyles();
+
+    const panel = document.createElement('div');
+    panel.className = this.panelClass;
+    panel.innerHTML = `
+      <div class="slack-helper-chat-panel-header">
+        <div>
+          <div class="slack-helper-chat-panel-title">${this.t('threadChatTitle', '💬 討論串問答')}</div>
+          <small class="slack-helper-chat-panel-model"></small>
+        </div>
+        <div>
+          <button class="slack-helper-chat-panel-icon" data-action="clear" title="${this.t('clearChat', '清除對話')}">🗑️</button>
+          <button class="slack-helper-chat-panel-icon" data-action="close" title="${this.t('close', '關閉')}">✕</button>
+        </div>
+      </div>
+      <div class="slack-helper-chat-panel-body"></div>
+      <div class="slack-helper-chat-panel-status"></div>
+      <form class="slack-helper-chat-panel-form">
+        <textarea class="slack-helper-chat-panel-input" rows="2" placeholder="${this.t('chatInputPlaceholder', '針對這個討論串提問…')}"></textarea>
+        <button type="submit" class="slack-helper-chat-panel-send">${this.t('sendQuestion', '送出')}</button>
+      </form>
+    `;
+    // 模型名稱來自使用者設定，使用 textContent 避免被當作 HTML 解析
+    panel.querySelector('.slack-helper-chat-panel-model').textContent = modelName ? `🧠 ${modelName}` : '';
+
+    const input = panel.querySelector('.slack-helper-chat-panel-input');
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+    panel.querySelector('[data-action="clear"]').addEventListener('click', () => this.clearTurns());
+    panel.querySelector('.slack-helper-chat-panel-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.ask(input.value);
+    });
+    // Enter 送出，Shift+Enter 換行；避免按鍵被 Slack 的快捷鍵攔截
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+        e.preventDefault();
+        this.ask(input.value);
+      }
+    });
+    bindCitationLinks(panel.querySelector('.slack-helper-chat-panel-body'), () => this.messages, findMessageElement);
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+    this.renderTurns();
+    this.setStatus('');
+    this.updatePosition();
+    window.addEventListener('resize', this.handleResize);
+    input.focus();
+  }
+
+  /**
+   * 送出問題並串流顯示回答
+   * @param {string} rawQuestion - 使用者輸入
+   */
+  async ask(rawQuestion) {
+    const question = (rawQuestion || '').trim();
+    if (!this.panel || !question || this.abortController) return;
+
+    const input = this.panel.querySelector('.slack-helper-chat-panel-input');
+    const sendBtn = this.panel.querySelector('.slack-helper-chat-panel-send');
+    input.value = '';
+    sendBtn.disabled = true;
+
+    const body = this.panel.querySelector('.slack-helper-chat-panel-body');
+    body.querySelector('.slack-helper-chat-panel-hint')?.remove();
+    body.appendChild(this.createQuestionElement(question));
+    const answerEl = this.createAnswerElement('');
+    body.appendChild(answerEl);
+    body.scrollTop = body.scrollHeight;
+    this.setStatus(this.t('chatThinking', '🤖 思考中...'));
+
+    // 清除紀錄後可能已開始新的提問，結束時只重設仍屬於這次提問的 controller
+    const abortController = new AbortController();
+    this.abortController = abortController;
+    try {
+      const answer = await this.onAsk(question, partial => {
+        answerEl.innerHTML = linkCitationsInHtml(renderMarkdown(partial), this.messages);
+        body.scrollTop = body.scrollHeight;
+      }, abortController.signal);
+
+      answerEl.innerHTML = linkCitationsInHtml(renderMarkdown(answer), this.messages);
+      this.turns.push({ question, answer });
+      this.setStatus('');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      console.error('Failed to answer question:', error);
+      answerEl.remove();
+      // 失敗時保留問題方便重新送出
+      input.value = question;
+      this.setStatus(`${this.t('chatFailed', '❌ 回答失敗')}: ${error.message}`, true);
+    } finally {
+      if (this.abortController === abortController) {
+        this.abortController = null;
+      }
+      if (this.panel && !this.abortController) {
+        sendBtn.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * 清除此討論串的問答紀錄
+   */
+  clearTurns() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.turns.length = 0;
+    this.renderTurns();
+    this.setStatus('');
+  }
+
+  /**
+   * 顯示目前的問答紀錄
+   */
+  renderTurns() {
+    const body = this.panel?.querySelector('.slack-helper-chat-panel-body');
+    if (!body) return;
+
+    body.innerHTML = '';
+    if (this.turns.length === 0) {
+      const hint = document.createElement('div');
+      hint.className = 'slack-helper-chat-panel-hint';
+      hint.textContent = this.t('chatEmptyHint', '例如：「資料庫團隊對重試機制的決定是什麼？」');
+      body.appendChild(hint);
+      return;
+    }
+
+    this.turns.forEach(turn => {
+      body.appendChild(this.createQuestionElement(turn.question));
+      body.appendChild(this.createAnswerElement(turn.answer));
+    });
+    body.scrollTop = body.scrollHeight;
+  }
+
+  createQuestionElement(question) {
+    const el = document.createElement('div');
+    el.className = 'slack-helper-chat-panel-question';
+    el.textContent = question;
+    return el;
+  }
+
+  createAnswerElement(answer) {
+    const el = document.createElement('div');
+    el.className = 'slack-helper-chat-panel-answer';
+    el.innerHTML = linkCitationsInHtml(renderMarkdown(answer), this.messages);
+    return el;
+  }
+
+  /**
+   * 設定狀態列文字（空字串時隱藏）
+   * @param {string} text - 狀態文字
+   * @param {boolean} isError - 是否為錯誤狀態
+   */
+  setStatus(text, isError = false) {
+    const status = this.panel?.querySelector('.slack-helper-chat-panel-status');
+    if (!status) return;
+
+    status.textContent = text;
+    status.style.display = text ? 'block' : 'none';
+    status.classList.toggle('slack-helper-chat-panel-status-error', isError);
+  }
+
+  /**
+   * 關閉面板並取消尚未完成的請求（問答紀錄保留在呼叫端）
+   */
+  close() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    window.removeEventListener('resize', this.handleResize);
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+
+  isOpen() {
+    return !!this.panel;
+  }
+
+  handleResize() {
+    this.updatePosition();
+  }
+
+  updatePosition() {
+    if (!this.panel) return;
+    dockPanelBesideThread(this.panel, this.getThreadContainer(), PANEL_WIDTH, PANEL_GAP);
+  }
+
+  t(key, fallback) {
+    return this.translations?.ui?.[key] || fallback;
+  }
+
+  /**
+   * 注入問答面板樣式（只注入一次）
+   */
+  ensureStyles() {
+    if (document.getElementById('slack-helper-chat-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'slack-helper-chat-panel-styles';
+    style.textContent = `
+      .${this.panelClass} {
+        position: fixed;
+        width: ${PANEL_WIDTH}px;
+        display: flex;
+        flex-direction: column;
+        background: #fff;
+        border: 1px solid rgba(29, 28, 29, 0.13);
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+        z-index: 9999;
+        font-size: 14px;
+        line-height: 1.5;
+        color: #1d1c1d;
+        overflow: hidden;
+      }
+      .slack-helper-chat-panel-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        padding: 12px 16px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: #fff;
+      }
+      .slack-helper-chat-panel-title {
+        font-size: 16px;
+        font-weight: 600;
+      }
+      .slack-helper-chat-panel-model {
+        opacity: 0.9;
+      }
+      .slack-helper-chat-panel-icon {
+        background: none;
+        border: none;
+        color: #fff;
+        font-size: 16px;
+        cursor: pointer;
+      }
+      .slack-helper-chat-panel-body {
+        flex: 1;
+        overflow-y: auto;
+        padding: 12px 16px;
+      }
+      .slack-helper-chat-panel-hint {
+        color: #616061;
+        font-size: 13px;
+      }
+      .slack-helper-chat-panel-question {
+        margin: 0 0 8px auto;
+        max-width: 85%;
+        width: fit-content;
+        padding: 8px 12px;
+        background: #e8f5fa;
+        border-radius: 12px 12px 2px 12px;
+        white-space: pre-wrap;
+      }
+      .slack-helper-chat-panel-answer {
+        margin: 0 0 16px;
+      }
+      .slack-helper-chat-panel-answer p,
+      .slack-helper-chat-panel-answer ul,
+      .slack-helper-chat-panel-answer ol {
+        margin: 0 0 8px;
+      }
+      .slack-helper-chat-panel-answer ul,
+      .slack-helper-chat-panel-answer ol {
+        padding-left: 20px;
+      }
+      .slack-helper-chat-panel-answer code {
+        background: rgba(29, 28, 29, 0.04);
+        border: 1px solid rgba(29, 28, 29, 0.13);
+        border-radius: 3px;
+        padding: 0 3px;
+        font-size: 12px;
+      }
+      .slack-helper-chat-panel-answer .slack-helper-citation {
+        color: #1264a3;
+        font-size: 12px;
+        text-decoration: none;
+      }
+      .slack-helper-chat-panel-status {
+        padding: 8px 16px;
+        background: #f8f8f8;
+        color: #616061;
+        font-size: 13px;
+      }
+      .slack-helper-chat-panel-status-error {
+        background: #fdecea;
+        color: #a4262c;
+      }
+      .slack-helper-chat-panel-form {
+        display: flex;
+        gap: 8px;
+        margin: 0;
+        padding: 12px 16px;
+        border-top: 1px solid rgba(29, 28, 29, 0.13);
+      }
+      .slack-helper-chat-panel-input {
+        flex: 1;
+        resize: none;
+        padding: 6px 8px;
+        border: 1px solid rgba(29, 28, 29, 0.3);
+        border-radius: 6px;
+        font: inherit;
+      }
+      .slack-helper-chat-panel-send {
+        background: #007a5a;
+        color: #fff;
+        border: none;
+        padding: 8px 14px;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 13px;
+      }
+      .slack-helper-chat-panel-send:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
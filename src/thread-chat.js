@@ -0,0 +1,95 @@
+/**
+ * Thread Chat Module
+ * 以收集到的討論串訊息為上下文，組出多輪問答的對話內容
+ */
+
+import { estimateTokens } from './llm-service.js';
+
+/**
+ * 問題、歷史對話與系統提示本身預留的 token 數
+ */
+const CHAT_INSTRUCTION_RESERVE = 512;
+
+/**
+ * 歷史對話最多可佔用的預算比例，其餘留給討論串
+ */
+const HISTORY_BUDGET_SHARE = 0.5;
+
+/**
+ * 產生第一輪對話中附上討論串的內容
+ * @param {string} threadText - 已編號的討論串訊息
+ * @param {number} omittedCount - 因超過上下文長度而省略的最早訊息數
+ * @returns {string}
+ */
+function buildThreadContext(threadText, omittedCount) {
+  const omittedNote = omittedCount > 0
+    ? `The first ${omittedCount} messages were left out because the thread is too long; the numbering is unchanged.\n\n`
+    : '';
+  return 'Here is a Slack thread. Each message is numbered; cite messages as [#n] when you use them.\n\n' +
+    `${omittedNote}${threadText}`;
+}
+
+/**
+ * 將問答紀錄轉為對話輪次，並組出這次要送出的提示詞
+ * 討論串只放在第一輪的使用者訊息中，之後的問題直接接在對話後面
+ * @param {string} threadText - 已編號的討論串訊息
+ * @param {Array<{question: string, answer: string}>} turns - 先前的問答
+ * @param {string} question - 這次的問題
+ * @param {number} [omittedCount] - 省略的最早訊息數
+ * @returns {{prompt: string, history: Array<{role: string, content: string}>}}
+ */
+export function buildChatRequest(threadText, turns, question, omittedCount = 0) {
+  const context = buildThreadContext(threadText, omittedCount);
+  if (turns.length === 0) {
+    return { prompt: `${context}\n\nQuestion: ${question}`, history: [] };
+  }
+
+  const history = turns.flatMap((turn, index) => [
+    { role: 'user', content: index === 0 ? `${context}\n\nQuestion: ${turn.question}` : turn.question },
+    { role: 'assistant', content: turn.answer }
+  ]);
+  return { prompt: question, history };
+}
+
+/**
+ * 歷史對話超過預算的一定比例時，捨棄最早的問答（至少保留最近一輪）
+ * @param {Array<{question: string, answer: string}>} turns - 先前的問答
+ * @param {number} tokenBudget - 單一請求的 token 預算
+ * @returns {Array<{question: string, answer: string}>} 要送出的問答（不修改原陣列）
+ */
+export function fitTurnsToBudget(turns, tokenBudget) {
+  const historyBudget = Math.floor(tokenBudget * HISTORY_BUDGET_SHARE);
+  const turnTokens = turn => estimateTokens(turn.question) + estimateTokens(turn.answer);
+
+  let startIndex = 0;
+  let historyTokens = turns.reduce((total, turn) => total + turnTokens(turn), 0);
+  while (startIndex < turns.length - 1 && historyTokens > historyBudget) {
+    historyTokens -= turnTokens(turns[startIndex]);
+    startIndex++;
+  }
+
+  return turns.slice(startIndex);
+}
+
+/**
+ * 在 token 預算內保留最新的訊息（問答通常關心最近的討論），並維持原本的訊息編號
+ * @param {Array} messages - 討論串訊息
+ * @param {Function} formatMessages - (messages, startIndex) => string，格式化訊息
+ * @param {number} tokenBudget - 單一請求的 token 預算
+ * @param {Array<{question: string, answer: string}>} turns - 先前的問答（會佔用預算）
+ * @returns {{threadText: string, omittedCount: number}}
+ */
+export function fitThreadToBudget(messages, formatMessages, tokenBudget, turns = []) {
+  const historyTokens = turns.reduce((total, turn) => total + estimateTokens(turn.question) + estimateTokens(turn.answer), 0);
+  const available = Math.max(tokenBudget - historyTokens - CHAT_INSTRUCTION_RESERVE, CHAT_INSTRUCTION_RESERVE);
+
+  let startIndex = 0;
+  let threadText = formatMessages(messages, 0);
+  while (startIndex < messages.length - 1 && estimateTokens(threadText) > available) {
+    // 每次省略約一成的最早訊息，避免逐則重新計算
+    startIndex = Math.min(messages.length - 1, startIndex + Math.max(1, Math.ceil((messages.length - startIndex) / 10)));
+    threadText = formatMessages(messages.slice(startIndex), startIndex);
+  }
+
+  return { threadText, omittedCount: startIndex };
+}
@@ -0,0 +1,273 @@
+/**
+ * Thread Summarizer Module
+ * 討論串超過模型上下文長度時，以 map-reduce 方式分段摘要再合併
+ */
+
+import { estimateTokens, IMAGE_INPUT_TOKENS } from './llm-service.js';
+import { appendCitationInstruction } from './citations.js';
+
+/**
+ * 分段提示詞本身預留的 token 數
+ */
+const CHUNK_INSTRUCTION_RESERVE = 512;
+
+/**
+ * 產生單一分段的摘要提示詞
+ * @param {string} messageText - 此分段的訊息文字
+ * @param {number} part - 分段編號（從 1 開始）
+ * @param {number} total - 分段總數
+ * @returns {string}
+ */
+function buildChunkPrompt(messageText, part, total) {
+  return `You are summarizing part ${part} of ${total} of a long Slack thread. ` +
+    'Write concise notes in Markdown covering the topics discussed, decisions, open questions and action items (with owners) in this part. ' +
+    'Keep user names and links, cite the messages you refer to by number as [#n], and write in the same language as the conversation. ' +
+    'These notes will later be merged with the notes of the other parts.\n\n' +
+    messageText;
+}
+
+/**
+ * 產生合併多段筆記的提示詞（用於筆記本身仍超過預算時的中間合併）
+ * @param {string} notesText - 多段筆記
+ * @returns {string}
+ */
+function buildMergeNotesPrompt(notesText) {
+  return 'Below are notes for consecutive parts of a long Slack thread. ' +
+    'Combine them into a single set of concise Markdown notes, keeping every decision, open question, action item, owner, link and [#n] message citation. ' +
+    'Write in the same language as the notes.\n\n' +
+    notesText;
+}
+
+/**
+ * 在提示詞後說明附上的圖片對應哪些 [Image N] 標記
+ * @param {string} prompt - 提示詞
+ * @param {Array<{label: string}>} images - 附上的圖片
+ * @returns {string}
+ */
+function appendImageNote(prompt, images) {
+  if (images.length === 0) {
+    return prompt;
+  }
+  return `${prompt}\n\nThe attached images correspond to these markers in the messages, in order: ` +
+    `${images.map(image => `[${image.label}]`).join(', ')}. Use what they show when summarizing.`;
+}
+
+/**
+ * 將上次摘要與新內容組合成增量摘要的內容
+ * @param {string} previousSummary - 上次的摘要
+ * @param {string} newContent - 新訊息（或新訊息的分段筆記）
+ * @returns {string}
+ */
+function buildUpdateContent(previousSummary, newContent) {
+  return 'Below is the previous summary of this thread, followed by what was posted since then. ' +
+    'Produce an updated summary of the whole thread: keep what is still valid, revise what changed, ' +
+    'and add the new topics, decisions and action items.\n\n' +
+    `## Previous summary\n\n${previousSummary}\n\n## New since the previous summary\n\n${newContent}`;
+}
+
+/**
+ * Thread Summarizer
+ * 依模型的 token 預算切分訊息，分段摘要後合併成最終摘要
+ */
+export class ThreadSummarizer {
+  /**
+   * @param {ThreadAnalyzer} threadAnalyzer - 用於格式化訊息與套用摘要提示詞
+   */
+  constructor(threadAnalyzer) {
+    this.threadAnalyzer = threadAnalyzer;
+  }
+
+  /**
+   * 產生討論串摘要，必要時自動分段
+   * @param {Array} messages - 討論串訊息
+   * @param {Object} options
+   * @param {number} options.tokenBudget - 單一提示詞的 token 預算
+   * @param {Function} options.runPrompt - (prompt, onChunk, images) => Promise<string>，實際呼叫 LLM
+   * @param {Function} [options.onProgress] - 進度回呼 ({stage: 'chunk'|'merge', current, total})
+   * @param {Function} [options.onChunk] - 最終摘要的串流回呼
+   * @param {string} [options.previousSummary] - 上次的摘要；提供時只用 messages 更新此摘要
+   * @param {number} [options.startIndex] - messages 第一則在整個討論串中的位置
+   * @param {Array} [options.images] - 視覺模型的圖片輸入 ({number, label, dataUrl})，只附在含該圖片的分段
+   * @param {Function} [options.applyPrompt] - (content) => Promise<string>，將內容套用到最終提示詞；預設為討論串摘要提示詞
+   * @returns {Promise<string>} 摘要（Markdown）
+   */
+  async summarize(messages, {
+    tokenBudget,
+    runPrompt,
+    onProgress = () => {},
+    onChunk = () => {},
+    previousSummary = '',
+    startIndex = 0,
+    images = [],
+    applyPrompt = content => this.threadAnalyzer.applySummaryPrompt(content)
+  }) {
+    const fullPrompt = appendCitationInstruction(await applyPrompt(
+      this.formatThreadContent(messages, { previousSummary, startIndex })
+    ));
+    const threadImages = this.selectImages(messages, images);
+    if (estimateTokens(fullPrompt) + threadImages.length * IMAGE_INPUT_TOKENS <= tokenBudget) {
+      return await runPrompt(appendImageNote(fullPrompt, threadImages), onChunk, threadImages);
+    }
+
+    // 上次摘要會完整放進最終提示詞，分段時要從預算中扣除
+    const notesBudget = Math.max(tokenBudget - CHUNK_INSTRUCTION_RESERVE - estimateTokens(previousSummary), CHUNK_INSTRUCTION_RESERVE);
+    const chunks = this.splitMessagesByTokenBudget(messages, notesBudget, startIndex, images);
+    console.log(`🧩 Thread exceeds token budget (${tokenBudget}), summarizing in ${chunks.length} parts`);
+
+    // Map：逐段產生筆記
+    let notes = [];
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress({ stage: 'chunk', current: i + 1, total: chunks.length });
+      const { messages: chunkMessages, startIndex: chunkStart } = chunks[i];
+      const messageText = this.threadAnalyzer.formatMessageList(chunkMessages, chunkStart);
+      const chunkImages = this.selectImages(chunkMessages, images);
+      const chunkPrompt = appendImageNote(buildChunkPrompt(messageText, i + 1, chunks.length), chunkImages);
+      const partial = await runPrompt(chunkPrompt, () => {}, chunkImages);
+      notes.push({
+        label: `Part ${i + 1} (messages ${chunkStart + 1}-${chunkStart + chunkMessages.length})`,
+        text: partial
+      });
+    }
+
+    // Reduce：筆記仍超過預算時先分組合併
+    onProgress({ stage: 'merge' });
+    while (notes.length > 1 && estimateTokens(this.formatNotes(notes)) > notesBudget) {
+      notes = await this.mergeNoteGroups(notes, notesBudget, runPrompt);
+    }
+
+    const notesContent = `The messages were too long to summarize at once, so they were split into ${chunks.length} consecutive parts. ` +
+      'Below are notes for each part, in order. Use them as the thread content.\n\n' +
+      this.formatNotes(notes);
+    const mergeContent = previousSummary ? buildUpdateContent(previousSummary, notesContent) : notesContent;
+    const finalPrompt = appendCitationInstruction(await applyPrompt(mergeContent));
+    return await runPrompt(finalPrompt, onChunk);
+  }
+
+  /**
+   * 產生放入摘要提示詞 {MESSAGES} 的內容
+   * @param {Array} messages - 訊息
+   * @param {Object} [options]
+   * @param {string} [options.previousSummary] - 上次的摘要（增量摘要）
+   * @param {number} [options.startIndex] - messages 第一則在整個討論串中的位置
+   * @returns {string}
+   */
+  formatThreadContent(messages, { previousSummary = '', startIndex = 0 } = {}) {
+    const messageText = this.threadAnalyzer.formatMessageList(messages, startIndex);
+    return previousSummary ? buildUpdateContent(previousSummary, messageText) : messageText;
+  }
+
+  /**
+   * 依 token 預算將訊息切成連續分段，保留每段在原討論串中的起始位置
+   * @param {Array} messages - 討論串訊息
+   * @param {number} tokenBudget - 每段的 token 預算
+   * @param {number} indexOffset - messages 第一則在整個討論串中的位置
+   * @param {Array} images - 視覺模型的圖片輸入，計入所屬訊息的 token 數
+   * @returns {Array<{messages: Array, startIndex: number}>}
+   */
+  splitMessagesByTokenBudget(messages, tokenBudget, indexOffset = 0, images = []) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    let startIndex = indexOffset;
+
+    messages.forEach((msg, i) => {
+      const index = indexOffset + i;
+      let message = msg;
+      let tokens = estimateTokens(this.threadAnalyzer.formatMessageList([msg], index)) +
+        this.selectImages([msg], images).length * IMAGE_INPUT_TOKENS;
+
+      // 單一訊息就超過預算時截斷內容
+      if (tokens > tokenBudget) {
+        const keepRatio = tokenBudget / tokens;
+        const text = msg.text || '';
+        message = { ...msg, text: `${text.substring(0, Math.floor(text.length * keepRatio * 0.9))}…` };
+        tokens = tokenBudget;
+      }
+
+      if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+        chunks.push({ messages: current, startIndex });
+        current = [];
+        currentTokens = 0;
+        startIndex = index;
+      }
+
+      current.push(message);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      chunks.push({ messages: current, startIndex });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * 取出屬於這些訊息的圖片輸入
+   * @param {Array} messages - 訊息
+   * @param {Array} images - 所有圖片輸入 ({number, ...})
+   * @returns {Array}
+   */
+  selectImages(messages, images) {
+    if (images.length === 0) {
+      return [];
+    }
+
+    const numbers = new Set(messages.flatMap(msg =>
+      (msg.attachments || []).filter(attachment => attachment.kind === 'image').map(attachment => attachment.number)
+    ));
+    return images.filter(image => numbers.has(image.number));
+  }
+
+  /**
+   * 將相鄰的筆記分組合併，使每組不超過 token 預算
+   * @param {Array<{label: string, text: string}>} notes - 筆記
+   * @param {number} tokenBudget - 每組的 token 預算
+   * @param {Function} runPrompt - 呼叫 LLM 的函式
+   * @returns {Promise<Array<{label: string, text: string}>>} 合併後的筆記
+   */
+  async mergeNoteGroups(notes, tokenBudget, runPrompt) {
+    const groups = [];
+    let group = [];
+
+    for (const note of notes) {
+      if (group.length > 0 && estimateTokens(this.formatNotes([...group, note])) > tokenBudget) {
+        groups.push(group);
+        group = [];
+      }
+      group.push(note);
+    }
+    groups.push(group);
+
+    // 無法再分組時（每組只有一段）兩兩合併，確保每輪都會減少筆記數量
+    if (groups.length === notes.length) {
+      groups.length = 0;
+      for (let i = 0; i < notes.length; i += 2) {
+        groups.push(notes.slice(i, i + 2));
+      }
+    }
+
+    const merged = [];
+    for (const notesGroup of groups) {
+      if (notesGroup.length === 1) {
+        merged.push(notesGroup[0]);
+        continue;
+      }
+      const text = await runPrompt(buildMergeNotesPrompt(this.formatNotes(notesGroup)), () => {});
+      merged.push({
+        label: `${notesGroup[0].label} – ${notesGroup[notesGroup.length - 1].label}`,
+        text
+      });
+    }
+    return merged;
+  }
+
+  /**
+   * 將筆記格式化為帶標題的 Markdown
+   * @param {Array<{label: string, text: string}>} notes
+   * @returns {string}
+   */
+  formatNotes(notes) {
+    return notes.map(note => `### ${note.label}\n\n${note.text}`).join('\n\n');
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Thread Summary State Module
+ * 依討論串 permalink 保存上次摘要的最後一則訊息 ID 與摘要內容，供增量摘要使用
+ */
+
+const STORAGE_KEY = 'threadSummaryState';
+
+/**
+ * 最多保留的討論串數量（超過時移除最舊的紀錄）
+ */
+const MAX_THREADS = 200;
+
+/**
+ * 讀取討論串的上次摘要狀態
+ * @param {string} permalink - 討論串 permalink
+ * @returns {Promise<Object|null>} {lastMessageId, summary, messageCount, updatedAt} 或 null
+ */
+export async function loadThreadSummaryState(permalink) {
+  if (!permalink) return null;
+
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return (result[STORAGE_KEY] || {})[permalink] || null;
+  } catch (error) {
+    console.warn('Error loading thread summary state:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存討論串的摘要狀態
+ * @param {string} permalink - 討論串 permalink
+ * @param {Object} state - {lastMessageId, summary, messageCount}
+ */
+export async function saveThreadSummaryState(permalink, state) {
+  if (!permalink) return;
+
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    const allStates = result[STORAGE_KEY] || {};
+    allStates[permalink] = { ...state, updatedAt: Date.now() };
+
+    // 只保留最近更新的討論串
+    const permalinks = Object.keys(allStates);
+    if (permalinks.length > MAX_THREADS) {
+      permalinks
+        .sort((a, b) => allStates[a].updatedAt - allStates[b].updatedAt)
+        .slice(0, permalinks.length - MAX_THREADS)
+        .forEach(key => delete allStates[key]);
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: allStates });
+    console.log('💾 Thread summary state saved:', permalink);
+  } catch (error) {
+    console.warn('Error saving thread summary state:', error);
+  }
+}
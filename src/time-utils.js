@@ -237,4 +237,65 @@ export function formatTimeDiff(ms) {
   } else {
     return `${Math.round(ms / TIME_CONSTANTS.DAY)} 天`;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * 將 Slack 訊息 ts 或 permalink（/p1712345678123456）正規化為 "秒.微秒" 格式
+ * @param {string} value - data-ts、data-item-key、permalink 等
+ * @returns {string} Slack ts（例如 "1712345678.123456"），無法解析時為空字串
+ */
+export function normalizeSlackTs(value) {
+  if (!value) return '';
+
+  const tsMatch = String(value).match(/^(\d{9,10})\.(\d{6})$/);
+  if (tsMatch) {
+    return `${tsMatch[1]}.${tsMatch[2]}`;
+  }
+
+  const permalinkMatch = String(value).match(/\/p(\d{9,10})(\d{6})(?:\D|$)/);
+  if (permalinkMatch) {
+    return `${permalinkMatch[1]}.${permalinkMatch[2]}`;
+  }
+
+  return '';
+}
+
+/**
+ * 將 Slack ts 轉為毫秒時間戳
+ * @param {string} ts - Slack ts（"秒.微秒"）
+ * @returns {number|null}
+ */
+export function slackTsToMillis(ts) {
+  if (!ts) return null;
+  const [seconds, micros = '0'] = ts.split('.');
+  const millis = Number(seconds) * 1000 + Math.floor(Number(micros) / 1000);
+  return Number.isFinite(millis) ? millis : null;
+}
+
+/**
+ * 以使用者所在時區輸出 ISO 8601 時間（含時區位移，例如 2024-04-05T14:32:10+08:00）
+ * @param {number} millis - 毫秒時間戳
+ * @returns {string}
+ */
+export function toLocalISOString(millis) {
+  const date = new Date(millis);
+  const pad = (value) => String(Math.abs(value)).padStart(2, '0');
+  const offsetMinutes = -date.getTimezoneOffset();
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    `${sign}${pad(Math.trunc(offsetMinutes / 60))}:${pad(offsetMinutes % 60)}`;
+}
+
+/**
+ * 取得使用者的時區名稱（例如 Asia/Taipei）
+ * @returns {string}
+ */
+export function getUserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Tone Presets Module
+ * 以指定語氣改寫草稿的語氣選項與強度，以及每個工作區的預設語氣
+ * 工作區預設語氣存放於 chrome.storage.local 的 toneDefaults（{ [工作區名稱]: {tone, strength} }）
+ */
+
+export const TONE_DEFAULTS_STORAGE_KEY = 'toneDefaults';
+
+/**
+ * 語氣選項：description 用於提示詞，labelKey 為 messageHelper 翻譯鍵，label 為英文備用文字
+ */
+export const TONE_PRESETS = [
+  { id: 'formal', icon: '🎩', labelKey: 'toneFormal', label: 'Formal', description: 'formal and professional' },
+  { id: 'friendly', icon: '😊', labelKey: 'toneFriendly', label: 'Friendly', description: 'warm and friendly' },
+  { id: 'concise', icon: '✂️', labelKey: 'toneConcise', label: 'Concise', description: 'concise and to the point, without filler' },
+  { id: 'assertive', icon: '💪', labelKey: 'toneAssertive', label: 'Assertive', description: 'confident and assertive, without hedging' },
+  { id: 'empathetic', icon: '🤝', labelKey: 'toneEmpathetic', label: 'Empathetic', description: 'empathetic and understanding' }
+];
+
+/**
+ * 改寫強度：1 輕微調整、2 適度改寫、3 大幅改寫
+ */
+export const MIN_TONE_STRENGTH = 1;
+export const MAX_TONE_STRENGTH = 3;
+export const DEFAULT_TONE_STRENGTH = 2;
+
+/**
+ * 各強度對應的提示詞說明
+ */
+const TONE_STRENGTH_INSTRUCTIONS = {
+  1: 'Make only light changes: keep the wording and structure, and adjust just the phrases that do not fit the tone.',
+  2: 'Rewrite where needed so the tone comes through clearly, keeping the overall structure.',
+  3: 'Rewrite it freely so the tone is unmistakable; wording and structure may change completely.'
+};
+
+/**
+ * 取得語氣選項
+ * @param {string} toneId
+ * @returns {Object|null}
+ */
+export function getTonePreset(toneId) {
+  return TONE_PRESETS.find(preset => preset.id === toneId) || null;
+}
+
+/**
+ * 將強度限制在允許範圍內
+ * @param {*} strength
+ * @returns {number}
+ */
+export function normalizeToneStrength(strength) {
+  const value = Math.round(Number(strength));
+  if (!Number.isFinite(value)) {
+    return DEFAULT_TONE_STRENGTH;
+  }
+  return Math.min(MAX_TONE_STRENGTH, Math.max(MIN_TONE_STRENGTH, value));
+}
+
+/**
+ * 產生以指定語氣改寫訊息的提示詞
+ * @param {string} text - 要改寫的訊息
+ * @param {string} toneId - 語氣選項 ID
+ * @param {number} [strength] - 改寫強度
+ * @returns {string}
+ */
+export function buildTonePrompt(text, toneId, strength = DEFAULT_TONE_STRENGTH) {
+  const description = getTonePreset(toneId)?.description || toneId;
+  return `Please rewrite the following message so it sounds ${description}. ` +
+    `${TONE_STRENGTH_INSTRUCTIONS[normalizeToneStrength(strength)]} ` +
+    'Keep the meaning, facts, mentions and language of the original:\n\n' +
+    text;
+}
+
+/**
+ * 讀取所有工作區的預設語氣
+ * @returns {Promise<Object>} { [工作區名稱]: {tone, strength} }
+ */
+export async function loadToneDefaults() {
+  const result = await chrome.storage.local.get([TONE_DEFAULTS_STORAGE_KEY]);
+  return result[TONE_DEFAULTS_STORAGE_KEY] || {};
+}
+
+/**
+ * 取得工作區的預設語氣
+ * @param {string} workspace - 工作區名稱
+ * @returns {Promise<{tone: string, strength: number}|null>}
+ */
+export async function getWorkspaceToneDefault(workspace) {
+  if (!workspace) {
+    return null;
+  }
+  const defaults = await loadToneDefaults();
+  const saved = defaults[workspace];
+  return saved && getTonePreset(saved.tone)
+    ? { tone: saved.tone, strength: normalizeToneStrength(saved.strength) }
+    : null;
+}
+
+/**
+ * 設定或清除工作區的預設語氣
+ * @param {string} workspace - 工作區名稱
+ * @param {string|null} toneId - 語氣選項 ID；null 代表清除
+ * @param {number} [strength] - 改寫強度
+ * @returns {Promise<void>}
+ */
+export async function setWorkspaceToneDefault(workspace, toneId, strength = DEFAULT_TONE_STRENGTH) {
+  const defaults = await loadToneDefaults();
+  if (toneId) {
+    defaults[workspace] = { tone: toneId, strength: normalizeToneStrength(strength) };
+  } else {
+    delete defaults[workspace];
+  }
+  await chrome.storage.local.set({ [TONE_DEFAULTS_STORAGE_KEY]: defaults });
+}
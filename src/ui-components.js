@@ -5,7 +5,10 @@
 
 // Removed unused imports: sleep, debounce
 
-import { ensureTooltipStyles as applyTooltipStyles } from './ui-utils.js';
+import { ensureTooltipStyles as applyTooltipStyles, escapeHtml } from './ui-utils.js';
+import { actionItemsToMarkdown, actionItemsToCSV } from './action-items.js';
+import { MY_REQUEST_TYPES, myRequestsToMarkdown } from './my-requests.js';
+import { bindCitationLinks, renderTextWithCitations } from './citations.js';
 
 /**
  * Summary Button Manager
@@ -14,6 +17,9 @@ import { ensureTooltipStyles as applyTooltipStyles } from './ui-utils.js';
 export class SummaryButtonManager {
   constructor() {
     this.buttonClass = 'slack-helper-btn';
+    this.digestButtonClass = 'slack-helper-digest-btn';
+    this.catchUpButtonClass = 'slack-helper-catch-up-btn';
+    this.translateThreadButtonClass = 'slack-helper-translate-thread-btn';
     this.buttonStyles = {
       background: '#4A154B',
       color: 'white',
@@ -93,6 +99,9 @@ export class SummaryButtonManager {
     return {
       ui: {
         summaryButton: '📝 摘要此討論串',
+        channelDigestButton: '📰 頻道摘要',
+        catchUpButton: '⏩ 跟上進度',
+        translateThreadButton: '🌐 翻譯討論串',
         loading: '⏳ 正在分析討論串...',
         opening: '🚀 正在開啟 Gemini...',
         success: '✅ 已開啟 Gemini',
@@ -137,6 +146,87 @@ export class SummaryButtonManager {
     return button;
   }
 
+  /**
+   * 建立頻道摘要按鈕（放在頻道標題列）
+   * @param {Function} clickHandler - 點擊處理函式
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  async createChannelDigestButton(clickHandler) {
+    if (!this.translations) {
+      await this.initializeTranslations();
+    }
+
+    const button = document.createElement('button');
+    button.className = this.digestButtonClass;
+    button.innerHTML = this.translations?.ui?.channelDigestButton || '📰 頻道摘要';
+    Object.assign(button.style, this.buttonStyles);
+    this.addButtonEventListeners(button, clickHandler);
+    return button;
+  }
+
+  /**
+   * 將頻道摘要按鈕恢復為預設文字
+   * @param {HTMLButtonElement} button
+   */
+  resetChannelDigestButton(button) {
+    button.innerHTML = this.translations?.ui?.channelDigestButton || '📰 頻道摘要';
+    button.disabled = false;
+  }
+
+  /**
+   * 建立「跟上進度」按鈕（放在頻道標題列，摘要未讀分隔線之後的訊息）
+   * @param {Function} clickHandler - 點擊處理函式
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  async createCatchUpButton(clickHandler) {
+    if (!this.translations) {
+      await this.initializeTranslations();
+    }
+
+    const button = document.createElement('button');
+    button.className = this.catchUpButtonClass;
+    button.innerHTML = this.translations?.ui?.catchUpButton || '⏩ 跟上進度';
+    Object.assign(button.style, this.buttonStyles);
+    this.addButtonEventListeners(button, clickHandler);
+    return button;
+  }
+
+  /**
+   * 將「跟上進度」按鈕恢復為預設文字
+   * @param {HTMLButtonElement} button
+   */
+  resetCatchUpButton(button) {
+    button.innerHTML = this.translations?.ui?.catchUpButton || '⏩ 跟上進度';
+    button.disabled = false;
+  }
+
+  /**
+   * 建立「翻譯討論串」按鈕（放在摘要按鈕旁）
+   * @param {Function} clickHandler - 點擊處理函式
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  async createTranslateThreadButton(clickHandler) {
+    if (!this.translations) {
+      await this.initializeTranslations();
+    }
+
+    const button = document.createElement('button');
+    button.className = this.translateThreadButtonClass;
+    button.innerHTML = this.translations?.ui?.translateThreadButton || '🌐 翻譯討論串';
+    Object.assign(button.style, this.buttonStyles);
+    this.addButtonEventListeners(button, clickHandler);
+    return button;
+  }
+
+  /**
+   * 將「翻譯討論串」按鈕恢復為預設文字
+   * @param {HTMLButtonElement} button
+   */
+  resetTranslateThreadButton(button) {
+    button.innerHTML = this.translations?.ui?.translateThreadButton || '🌐 翻譯討論串';
+    button.disabled = false;
+  }
+
   addButtonEventListeners(button, clickHandler) {
     // Store original tooltip for restoration
     const originalTooltip = button.getAttribute('data-tooltip');
@@ -221,6 +311,8 @@ export class SummaryButtonManager {
   }
 
   removeExistingButtons() {
+    document.querySelectorAll(`.${this.translateThreadButtonClass}`).forEach(button => button.remove());
+
     const existingButtons = document.querySelectorAll(`.${this.buttonClass}`);
     existingButtons.forEach(button => {
       console.log('移除現有的摘要按鈕');
@@ -248,6 +340,24 @@ export class SummaryButtonManager {
         }
       });
       
+      document.querySelectorAll(`.${this.digestButtonClass}`).forEach(button => {
+        if (!button.disabled) {
+          this.resetChannelDigestButton(button);
+        }
+      });
+
+      document.querySelectorAll(`.${this.catchUpButtonClass}`).forEach(button => {
+        if (!button.disabled) {
+          this.resetCatchUpButton(button);
+        }
+      });
+
+      document.querySelectorAll(`.${this.translateThreadButtonClass}`).forEach(button => {
+        if (!button.disabled) {
+          this.resetTranslateThreadButton(button);
+        }
+      });
+
       console.log(`Updated ${existingButtons.length} summary buttons with new language`);
     } catch (error) {
       console.error('Failed to reload translations and update buttons:', error);
@@ -292,7 +402,12 @@ export class ThreadAnalyzer {
         unknownTime: '未知時間',
         lengthShort: '簡短討論',
         lengthMedium: '中等長度',
-        lengthLong: '長篇討論'
+        lengthLong: '長篇討論',
+        durationDays: '{{count}} 天',
+        durationHours: '{{count}} 小時',
+        durationMinutes: '{{count}} 分鐘',
+        editedLabel: '（已編輯）',
+        replyCountLabel: '💬 {{count}} 則回覆'
       }
     };
   }
@@ -393,23 +508,79 @@ export class ThreadAnalyzer {
     const participants = [...new Set(messages.map(msg => msg.user).filter(Boolean))];
     const messageCount = messages.length;
     const timeRange = this.calculateTimeRange(messages);
+    const duration = this.calculateDuration(messages);
     const estimatedLength = this.estimateLength(messages);
     
     return {
       participants,
       messageCount,
       timeRange,
+      duration,
       estimatedLength
     };
   }
 
+  /**
+   * 取得訊息的實際時間（由 Slack ts 轉成的 ISO 時間）
+   * @param {Array} messages - 訊息列表
+   * @returns {Array<Date>} 依時間排序的日期
+   */
+  getMessageDates(messages) {
+    return messages
+      .map(msg => (msg.isoTimestamp ? new Date(msg.isoTimestamp) : null))
+      .filter(date => date && !isNaN(date.getTime()))
+      .sort((a, b) => a - b);
+  }
+
   calculateTimeRange(messages) {
+    const dates = this.getMessageDates(messages);
+    if (dates.length > 0) {
+      const first = dates[0];
+      const last = dates[dates.length - 1];
+      const dateTimeOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+      const start = first.toLocaleString(undefined, dateTimeOptions);
+      if (dates.length === 1 || first.getTime() === last.getTime()) {
+        return start;
+      }
+      // 同一天只顯示結束時間
+      const end = first.toDateString() === last.toDateString()
+        ? last.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+        : last.toLocaleString(undefined, dateTimeOptions);
+      return `${start} - ${end}`;
+    }
+
+    // 沒有 Slack ts 時退回顯示文字
     const timestamps = messages.map(msg => msg.timestamp).filter(Boolean);
     return timestamps.length > 1 ? 
       `${timestamps[0]} - ${timestamps[timestamps.length - 1]}` : 
       timestamps[0] || this.translations?.ui?.unknownTime || '未知時間';
   }
 
+  /**
+   * 計算討論串持續時間（第一則到最後一則訊息）
+   * @param {Array} messages - 訊息列表
+   * @returns {string} 例如「3 小時 20 分鐘」，無法計算時為空字串
+   */
+  calculateDuration(messages) {
+    const dates = this.getMessageDates(messages);
+    if (dates.length < 2) {
+      return '';
+    }
+
+    const totalMinutes = Math.round((dates[dates.length - 1] - dates[0]) / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    const ui = this.translations?.ui || {};
+
+    const parts = [];
+    if (days > 0) parts.push((ui.durationDays || '{{count}} 天').replace('{{count}}', days));
+    if (hours > 0) parts.push((ui.durationHours || '{{count}} 小時').replace('{{count}}', hours));
+    if (minutes > 0 && days === 0) parts.push((ui.durationMinutes || '{{count}} 分鐘').replace('{{count}}', minutes));
+
+    return parts.length > 0 ? parts.join(' ') : (ui.durationMinutes || '{{count}} 分鐘').replace('{{count}}', 0);
+  }
+
   estimateLength(messages) {
     const totalChars = messages.reduce((sum, msg) => sum + (msg.text || '').length, 0);
     return totalChars > 2000 ? this.translations?.ui?.lengthLong || '長篇討論' : totalChars > 500 ? this.translations?.ui?.lengthMedium || '中等長度' : this.translations?.ui?.lengthShort || '簡短討論';
@@ -427,59 +598,129 @@ export class ThreadAnalyzer {
         <div style="color: #333; line-height: 1.4;">
           ${text}${truncated}
         </div>
+        ${this.generatePreviewMetadataHTML(msg)}
       </div>`;
     }).join('');
 
     return preview;
   }
 
+  /**
+   * 生成預覽中的訊息中繼資料（表情回應、已編輯、回覆數、Bot）
+   * @param {Object} msg - 訊息
+   * @returns {string}
+   */
+  generatePreviewMetadataHTML(msg) {
+    const parts = [];
+    if (msg.isBot) parts.push('🤖 Bot');
+    if (msg.edited) parts.push(this.translations?.ui?.editedLabel || '（已編輯）');
+    (msg.reactions || []).forEach(reaction => parts.push(`${reaction.emoji} ${reaction.count}`));
+    if (msg.replyCount > 0) {
+      parts.push((this.translations?.ui?.replyCountLabel || '💬 {{count}} 則回覆').replace('{{count}}', msg.replyCount));
+    }
+    if (parts.length === 0) {
+      return '';
+    }
+
+    return `<div style="margin-top: 4px; color: #666; font-size: 12px;">${escapeHtml(parts.join(' · '))}</div>`;
+  }
+
+  /**
+   * 將訊息格式化為編號列表
+   * @param {Array} messages - 訊息列表
+   * @param {number} startIndex - 起始編號偏移（分段摘要時保留原始編號）
+   * @returns {string} 格式化後的訊息文字
+   */
+  formatMessageList(messages, startIndex = 0) {
+    return messages.map((msg, index) => {
+      const attachmentMarkers = this.formatAttachmentMarkers(msg.attachments);
+      const metadata = this.formatMessageMetadata(msg);
+      const body = [msg.text, attachmentMarkers, metadata].filter(Boolean).join('\n');
+      const botTag = msg.isBot ? ' [bot]' : '';
+      const editedTag = msg.edited ? ' (edited)' : '';
+      return `${startIndex + index + 1}. **${msg.user}**${botTag} (${msg.isoTimestamp || msg.timestamp})${editedTag}:\n${body}\n`;
+    }).join('\n');
+  }
+
+  /**
+   * 將表情回應與回覆數格式化為一行，例如 [Reactions: :+1: ×12, :eyes: ×2 | Replies: 5]
+   * @param {Object} msg - 訊息
+   * @returns {string} 沒有中繼資料時為空字串
+   */
+  formatMessageMetadata(msg) {
+    const parts = [];
+    if (msg.reactions && msg.reactions.length > 0) {
+      parts.push(`Reactions: ${msg.reactions.map(reaction => `${reaction.emoji} ×${reaction.count}`).join(', ')}`);
+    }
+    if (msg.replyCount > 0) {
+      parts.push(`Replies: ${msg.replyCount}`);
+    }
+    return parts.length > 0 ? `[${parts.join(' | ')}]` : '';
+  }
+
+  /**
+   * 將附件格式化為提示詞中的標記，例如 [Image 1: 設計稿]、[File 2: spec.pdf (PDF, 1.2 MB)]
+   * @param {Array} attachments - 訊息附件（已由 MessageProcessor 編號）
+   * @returns {string}
+   */
+  formatAttachmentMarkers(attachments = []) {
+    return (attachments || []).map(attachment => {
+      if (attachment.kind === 'image') {
+        return `[Image ${attachment.number}: ${attachment.alt || attachment.name}]`;
+      }
+      const details = [attachment.fileType, attachment.size].filter(Boolean).join(', ');
+      return `[File ${attachment.number}: ${attachment.name}${details ? ` (${details})` : ''}]`;
+    }).join('\n');
+  }
+
   async formatMessagesForGemini(messages) {
     console.log('🔄 ThreadAnalyzer.formatMessagesForGemini called with', messages.length, 'messages');
     
+    // Format messages with numbering like the original
+    const messageText = this.formatMessageList(messages);
+    
+    console.log('📊 Formatted message stats:', {
+      messageCount: messages.length,
+      totalLength: messageText.length
+    });
+    
+    return await this.applySummaryPrompt(messageText);
+  }
+
+  /**
+   * 將內容套用到摘要提示詞（自訂提示詞優先，否則使用預設提示詞）
+   * @param {string} content - 要放入 {MESSAGES} 的內容
+   * @returns {Promise<string>} 完整提示詞
+   */
+  async applySummaryPrompt(content) {
     try {
       // Get custom system prompt from storage
       const customPrompt = await this.getCustomSystemPrompt();
       console.log('📝 Custom prompt retrieved:', customPrompt ? `Yes (${customPrompt.length} chars)` : 'No');
       
-      // Get default system prompt (now async)
-      const defaultSystemPrompt = await this.getDefaultSystemPrompt();
-      
-      // Format messages with numbering like the original
-      const messageText = messages.map((msg, index) => {
-        return `${index + 1}. **${msg.user}** (${msg.timestamp}):\n${msg.text}\n`;
-      }).join('\n');
-      
-      console.log('📊 Formatted message stats:', {
-        messageCount: messages.length,
-        totalLength: messageText.length,
-        promptLength: customPrompt ? customPrompt.length : defaultSystemPrompt.length
-      });
-      
       if (customPrompt && customPrompt.trim()) {
         console.log('Using custom system prompt');
         const result = customPrompt.includes('{MESSAGES}') ? 
-          customPrompt.replace('{MESSAGES}', messageText) : 
-          customPrompt + '\n\n' + messageText;
-        console.log('📤 Final formatted message length:', result.length);
-        return result;
-      } else {
-        console.log('Using default system prompt');
-        const result = defaultSystemPrompt.replace('{MESSAGES}', messageText);
+          customPrompt.replace('{MESSAGES}', content) : 
+          customPrompt + '\n\n' + content;
         console.log('📤 Final formatted message length:', result.length);
         return result;
       }
       
+      // Get default system prompt (now async)
+      console.log('Using default system prompt');
+      const defaultSystemPrompt = await this.getDefaultSystemPrompt();
+      const result = defaultSystemPrompt.replace('{MESSAGES}', content);
+      console.log('📤 Final formatted message length:', result.length);
+      return result;
+      
     } catch (error) {
       console.error('❌ Error formatting messages:', error);
       console.log('⚠️ Using fallback formatting');
       
       // Fallback to simple formatting
-      const messageText = messages.map((msg, index) => {
-        return `${index + 1}. **${msg.user}** (${msg.timestamp}):\n${msg.text}\n`;
-      }).join('\n');
-      
       const fallbackPrompt = this.getFallbackDefaultPrompt();
-      const result = fallbackPrompt.replace('{MESSAGES}', messageText);
+      const result = fallbackPrompt.replace('{MESSAGES}', content);
       console.log('📤 Final formatted message length:', result.length);
       return result;
     }
@@ -556,11 +797,25 @@ export class ThreadAnalyzer {
   }
 }
 
+/**
+ * 「在 Slack 內摘要」（使用已設定的 LLM）在模型選單中的值
+ */
+const LLM_SUMMARY_MODEL_VALUE = 'llm-summary';
+
 /**
  * Preview Modal Manager
  * Handles the preview modal for thread messages before sending to Gemini
  */
 export class PreviewModalManager {
+  /**
+   * 判斷選擇的模型是否為「在 Slack 內摘要」模式
+   * @param {string} modelValue - 模型值
+   * @returns {boolean}
+   */
+  static isLLMSummaryModel(modelValue) {
+    return modelValue === LLM_SUMMARY_MODEL_VALUE;
+  }
+
   constructor() {
     this.modalClass = 'slack-helper-modal';
     this.modalContentClass = 'slack-helper-modal-content';
@@ -619,23 +874,71 @@ export class PreviewModalManager {
         copyToClipboard: '📋 複製到剪貼簿',
         copied: '✅ 已複製',
         cancel: '❌ 取消',
-        confirm: '✅ 確認摘要'
+        confirm: '✅ 確認摘要',
+        close: '關閉',
+        summarizeHere: '在 Slack 內摘要',
+        incrementalSummary: '🔄 只摘要上次摘要後的 {{count}} 則新訊息，並更新上次的摘要',
+        lastSummaryAt: '上次摘要：{{time}}',
+        llmSummaryModels: '🧠 已設定的 LLM（在討論串旁顯示摘要）',
+        actionItemsTitle: '✅ 待辦事項與決策：',
+        extractActionItems: '🧩 擷取待辦與決策',
+        extractingActionItems: '🧩 正在擷取第 {{current}}/{{total}} 段...',
+        actionItemsFailed: '❌ 擷取失敗',
+        actionItemsHeading: '📌 待辦事項',
+        decisionsHeading: '🏁 決策',
+        openQuestionsHeading: '❓ 未解問題',
+        noItems: '（無）',
+        exportMarkdown: '⬇️ 匯出 Markdown',
+        exportCSV: '⬇️ 匯出 CSV',
+        attachmentsTitle: '📎 附件（{{count}}）：',
+        attachmentsHint: '勾選的附件會以 [Image N: 說明] 標記放入提示詞',
+        imageLabel: '圖片',
+        fileLabel: '檔案',
+        openAttachment: '開啟',
+        includeImages: '🖼️ 將 {{count}} 張圖片一併傳給模型分析',
+        includeImagesHint: '僅適用於「在 Slack 內摘要」且模型支援視覺輸入；圖片會縮小後上傳',
+        askAboutThread: '💬 針對討論串提問',
+        myRequestsTitle: '🙋 需要我處理的事：',
+        extractMyRequests: '🙋 找出要我做什麼',
+        extractingMyRequests: '🙋 正在分析第 {{current}}/{{total}} 段...',
+        myRequestsFailed: '❌ 分析失敗',
+        myRequestsHeading: '📌 請求',
+        myQuestionsHeading: '❓ 問題',
+        myMentionsHeading: '🔔 提及',
+        channelDigestTitle: '📰 頻道摘要',
+        digestStartDate: '開始日期',
+        digestEndDate: '結束日期',
+        digestIncludeThreads: '🧵 展開回覆數至少 {{count}} 則的討論串並一併收集',
+        digestIncludeThreadsHint: '會依序開啟這些討論串，回覆越多耗時越久（最多 20 個）',
+        startDigest: '📰 產生頻道摘要'
       }
     };
   }
 
-  async showThreadPreview(messages) {
+  /**
+   * 顯示討論串預覽
+   * @param {Array} messages - 討論串訊息
+   * @param {Object} [options]
+   * @param {Object} [options.incremental] - 有上次摘要時提供 {newMessageCount, updatedAt}，顯示增量摘要選項
+   * @param {Function} [options.extractActionItems] - (messages, onProgress) => Promise<Object>，提供時（且已設定 LLM）顯示待辦與決策擷取
+   * @param {boolean} [options.visionAvailable] - 目前的 LLM 模型支援圖片輸入時為 true，顯示附上圖片的選項
+   * @param {boolean} [options.chatAvailable] - 提供時（且已設定 LLM）顯示開啟討論串問答的按鈕
+   * @param {Function} [options.extractMyRequests] - (messages, onProgress) => Promise<Object>，提供時（且已設定 LLM）顯示「要我做什麼」分析
+   * @param {Function} [options.findMessageElement] - (messageId) => Element|null，點擊來源訊息連結時捲動至該訊息
+   * @returns {Promise<Object>} {confirmed, selectedModel, messages, incremental, includeImages}，選擇問答時為 {confirmed: false, chat: true, messages}
+   */
+  async showThreadPreview(messages, options = {}) {
     // 確保翻譯已載入
     if (!this.translations) {
       await this.initializeTranslations();
     }
     
     return new Promise((resolve) => {
-      this.createPreviewModal(messages, resolve);
+      this.createPreviewModal(messages, resolve, options);
     });
   }
 
-  async createPreviewModal(messages, resolve) {
+  async createPreviewModal(messages, resolve, options = {}) {
     // 確保翻譯已載入
     if (!this.translations) {
       await this.initializeTranslations();
@@ -652,16 +955,18 @@ export class PreviewModalManager {
     modalContent.className = this.modalContentClass;
     this.applyModalContentStyles(modalContent);
     
-    // 獲取可用模型列表
-    const availableModels = await this.getAvailableModels();
+    // 獲取可用模型列表（Gemini 網頁模型 + 在 Slack 內摘要）
+    const webModels = await this.getAvailableModels();
+    const llmModels = await this.getLLMSummaryModels();
+    const availableModels = [...webModels, ...llmModels];
     
-    modalContent.innerHTML = this.generateModalHTML(threadInfo, messages, analyzer, availableModels);
+    modalContent.innerHTML = this.generateModalHTML(threadInfo, messages, analyzer, availableModels, options);
     
     modal.appendChild(modalContent);
     document.body.appendChild(modal);
     
     // 添加事件監聽器
-    this.addModalEventListeners(modal, modalContent, resolve, messages, availableModels);
+    this.addModalEventListeners(modal, modalContent, resolve, messages, availableModels, options);
     
     // 顯示動畫
     setTimeout(() => {
@@ -719,6 +1024,45 @@ export class PreviewModalManager {
     });
   }
 
+  /**
+   * 獲取「在 Slack 內摘要」選項
+   * 只有在 LLM 設定中已設定非 Mock 的提供者時才會提供，使用全域預設模型
+   * @returns {Promise<Array>} 選項列表（最多一個）
+   */
+  async getLLMSummaryModels() {
+    if (!this.isValidChromeExtensionContext()) {
+      return [];
+    }
+
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['llmSettings', 'globalDefaultModel'], (result) => {
+        if (chrome.runtime.lastError) {
+          console.warn('Error loading LLM settings:', chrome.runtime.lastError);
+          resolve([]);
+          return;
+        }
+
+        const settings = result.llmSettings;
+        if (!settings || !settings.provider || settings.provider === 'mock') {
+          resolve([]);
+          return;
+        }
+
+        // 全域預設模型格式為 "provider:modelName"
+        const globalDefaultModel = result.globalDefaultModel || '';
+        const colonIndex = globalDefaultModel.indexOf(':');
+        const modelName = colonIndex !== -1 ? globalDefaultModel.substring(colonIndex + 1) : settings.provider;
+        const summarizeHereText = this.translations?.ui?.summarizeHere || '在 Slack 內摘要';
+
+        resolve([{
+          value: LLM_SUMMARY_MODEL_VALUE,
+          displayName: `🧠 ${summarizeHereText} (${modelName})`,
+          isLLMModel: true
+        }]);
+      });
+    });
+  }
+
   /**
    * 確保模型列表中包含 auto 模型
    * @param {Array} models 原始模型列表
@@ -765,9 +1109,14 @@ export class PreviewModalManager {
    * @returns {string} 模型選擇的 HTML
    */
   generateModelSelectHTML(availableModels) {
-    const options = availableModels.map(model => 
-      `<option value="${model.value}">${model.displayName}</option>`
-    ).join('');
+    const toOption = model => `<option value="${model.value}">${model.displayName}</option>`;
+    const webOptions = availableModels.filter(model => !model.isLLMModel).map(toOption).join('');
+    const llmModels = availableModels.filter(model => model.isLLMModel);
+    const llmGroupLabel = this.translations?.ui?.llmSummaryModels || '🧠 已設定的 LLM（在討論串旁顯示摘要）';
+    const llmOptions = llmModels.length > 0
+      ? `<optgroup label="${llmGroupLabel}">${llmModels.map(toOption).join('')}</optgroup>`
+      : '';
+    const options = webOptions + llmOptions;
 
     return `
       <select id="geminiModelSelect" style="
@@ -817,7 +1166,366 @@ export class PreviewModalManager {
     `;
   }
 
-  generateModalHTML(threadInfo, messages, analyzer, availableModels) {
+  /**
+   * 生成增量摘要選項的 HTML（只有在有上次摘要且有新訊息時顯示）
+   * @param {Object|null} incremental - {newMessageCount, updatedAt}
+   * @returns {string}
+   */
+  generateIncrementalOptionHTML(incremental) {
+    if (!incremental) {
+      return '';
+    }
+
+    const lastSummaryTime = new Date(incremental.updatedAt).toLocaleString();
+    const label = (this.translations?.ui?.incrementalSummary || '🔄 只摘要上次摘要後的 {{count}} 則新訊息，並更新上次的摘要')
+      .replace('{{count}}', incremental.newMessageCount);
+    const hint = (this.translations?.ui?.lastSummaryAt || '上次摘要：{{time}}')
+      .replace('{{time}}', lastSummaryTime);
+
+    return `
+      <div style="margin-bottom: 20px; padding: 12px 16px; background: #fff8e1; border: 1px solid #ffe082; border-radius: 8px;">
+        <label style="display: flex; gap: 8px; align-items: center; cursor: pointer; font-size: 14px; color: #4A154B; font-weight: 500;">
+          <input type="checkbox" id="incrementalSummary" checked>
+          ${label}
+        </label>
+        <small style="display: block; margin: 4px 0 0 24px; color: #666;">${hint}</small>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成附件清單的 HTML，每個附件可個別選擇是否放入提示詞
+   * @param {Array} messages - 討論串訊息
+   * @returns {string} 沒有附件時為空字串
+   */
+  generateAttachmentsSectionHTML(messages) {
+    const items = messages.flatMap((msg, messageIndex) =>
+      (msg.attachments || []).map((attachment, attachmentIndex) => ({ attachment, messageIndex, attachmentIndex }))
+    );
+    if (items.length === 0) {
+      return '';
+    }
+
+    const ui = this.translations?.ui || {};
+    const rows = items.map(({ attachment, messageIndex, attachmentIndex }) => {
+      const label = attachment.kind === 'image'
+        ? `${ui.imageLabel || '圖片'} ${attachment.number}: ${attachment.alt || attachment.name}`
+        : `${ui.fileLabel || '檔案'} ${attachment.number}: ${attachment.name}`;
+      const details = [attachment.fileType, attachment.size, `#${messageIndex + 1}`].filter(Boolean).join(' · ');
+      const thumbnail = attachment.thumbnailUrl
+        ? `<img src="${escapeHtml(attachment.thumbnailUrl)}" alt="" style="width: 40px; height: 40px; object-fit: cover; border-radius: 4px; flex-shrink: 0;">`
+        : '<span style="width: 40px; text-align: center; font-size: 24px; flex-shrink: 0;">📄</span>';
+
+      return `
+        <label style="display: flex; gap: 10px; align-items: center; padding: 6px 0; cursor: pointer;">
+          <input type="checkbox" class="slack-helper-attachment-toggle" data-message-index="${messageIndex}" data-attachment-index="${attachmentIndex}" checked>
+          ${thumbnail}
+          <span style="flex: 1; min-width: 0;">
+            <span style="display: block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #1d1c1d; font-size: 14px;">${escapeHtml(label)}</span>
+            <small style="color: #666;">${escapeHtml(details)}</small>
+          </span>
+          <a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener noreferrer" style="font-size: 12px; color: #1264a3;">
+            ${ui.openAttachment || '開啟'}
+          </a>
+        </label>
+      `;
+    }).join('');
+
+    return `
+      <div style="margin-bottom: 20px;">
+        <h3 style="margin: 0 0 12px 0; color: #4A154B; font-size: 16px;">
+          ${(ui.attachmentsTitle || '📎 附件（{{count}}）：').replace('{{count}}', items.length)}
+        </h3>
+        <div style="padding: 8px 16px; border: 1px solid #e0e0e0; border-radius: 8px; max-height: 240px; overflow-y: auto;">
+          ${rows}
+        </div>
+        <small style="display: block; margin-top: 6px; color: #666;">
+          ${ui.attachmentsHint || '勾選的附件會以 [Image N: 說明] 標記放入提示詞'}
+        </small>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成「將圖片傳給視覺模型」選項的 HTML（預設不勾選，每次摘要個別選擇）
+   * @param {Array} messages - 討論串訊息
+   * @returns {string} 沒有圖片時為空字串
+   */
+  generateVisionOptionHTML(messages) {
+    const imageCount = messages.reduce((count, msg) =>
+      count + (msg.attachments || []).filter(attachment => attachment.kind === 'image').length, 0);
+    if (imageCount === 0) {
+      return '';
+    }
+
+    const label = (this.translations?.ui?.includeImages || '🖼️ 將 {{count}} 張圖片一併傳給模型分析')
+      .replace('{{count}}', imageCount);
+    const hint = this.translations?.ui?.includeImagesHint || '僅適用於「在 Slack 內摘要」且模型支援視覺輸入；圖片會縮小後上傳';
+
+    return `
+      <div style="margin-bottom: 20px; padding: 12px 16px; background: #e8f4fd; border: 1px solid #b3d7f2; border-radius: 8px;">
+        <label style="display: flex; gap: 8px; align-items: center; cursor: pointer; font-size: 14px; color: #4A154B; font-weight: 500;">
+          <input type="checkbox" id="includeImages">
+          ${label}
+        </label>
+        <small style="display: block; margin: 4px 0 0 24px; color: #666;">${hint}</small>
+      </div>
+    `;
+  }
+
+  /**
+   * 依附件勾選狀態移除未選擇的附件（不修改原始訊息）
+   * @param {Array} messages - 討論串訊息
+   * @param {Element} modalContent - 預覽視窗內容
+   * @returns {Array} 只包含已選擇附件的訊息
+   */
+  applyAttachmentSelection(messages, modalContent) {
+    const excluded = new Set(
+      Array.from(modalContent.querySelectorAll('.slack-helper-attachment-toggle'))
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => `${checkbox.dataset.messageIndex}:${checkbox.dataset.attachmentIndex}`)
+    );
+    if (excluded.size === 0) {
+      return messages;
+    }
+
+    return messages.map((msg, messageIndex) => {
+      if (!msg.attachments || msg.attachments.length === 0) {
+        return msg;
+      }
+      return {
+        ...msg,
+        attachments: msg.attachments.filter((_attachment, attachmentIndex) => !excluded.has(`${messageIndex}:${attachmentIndex}`))
+      };
+    });
+  }
+
+  /**
+   * 生成待辦與決策擷取區塊的 HTML（結果由 renderActionItems 填入）
+   * @returns {string}
+   */
+  generateActionItemsSectionHTML() {
+    return `
+      <div style="margin-bottom: 20px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+          <h3 style="margin: 0; color: #4A154B; font-size: 16px;">
+            ${this.translations?.ui?.actionItemsTitle || '✅ 待辦事項與決策：'}
+          </h3>
+          <button id="extractActionItems" style="
+            background: #17a2b8;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+            transition: background-color 0.2s;
+          ">
+            ${this.translations?.ui?.extractActionItems || '🧩 擷取待辦與決策'}
+          </button>
+        </div>
+        <div id="actionItemsStatus" style="display: none; font-size: 13px; color: #666; margin-bottom: 8px;"></div>
+        <div id="actionItemsResult" style="display: none; padding: 16px; border: 1px solid #e0e0e0; border-radius: 8px; font-size: 14px; line-height: 1.5; color: #1d1c1d;"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成「要我做什麼」區塊的 HTML（結果由 renderMyRequests 填入）
+   * @returns {string}
+   */
+  generateMyRequestsSectionHTML() {
+    return `
+      <div style="margin-bottom: 20px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+          <h3 style="margin: 0; color: #4A154B; font-size: 16px;">
+            ${this.translations?.ui?.myRequestsTitle || '🙋 需要我處理的事：'}
+          </h3>
+          <button id="extractMyRequests" style="
+            background: #17a2b8;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+            transition: background-color 0.2s;
+          ">
+            ${this.translations?.ui?.extractMyRequests || '🙋 找出要我做什麼'}
+          </button>
+        </div>
+        <div id="myRequestsStatus" style="display: none; font-size: 13px; color: #666; margin-bottom: 8px;"></div>
+        <div id="myRequestsResult" style="display: none; padding: 16px; border: 1px solid #e0e0e0; border-radius: 8px; font-size: 14px; line-height: 1.5; color: #1d1c1d;"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * 將「要我做什麼」的結果依類型分組顯示，來源訊息顯示為 [#n] 連結，並提供 Markdown 匯出
+   * 模型輸出一律以 textContent 顯示，避免被當作 HTML 解析
+   * @param {Element} container - #myRequestsResult 容器
+   * @param {Object} data - 符合 MY_REQUESTS_SCHEMA 的資料
+   * @param {Array} messages - 分析的討論串訊息（用於來源連結）
+   */
+  renderMyRequests(container, data, messages) {
+    const ui = this.translations?.ui || {};
+    const headings = {
+      request: ui.myRequestsHeading || '📌 請求',
+      question: ui.myQuestionsHeading || '❓ 問題',
+      mention: ui.myMentionsHeading || '🔔 提及'
+    };
+    container.innerHTML = '';
+
+    MY_REQUEST_TYPES.forEach(type => {
+      const heading = document.createElement('h4');
+      heading.style.cssText = 'margin: 0 0 8px 0; color: #4A154B; font-size: 14px;';
+      heading.textContent = headings[type];
+      container.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.style.cssText = 'margin: 0 0 16px 0; padding-left: 0; list-style: none;';
+      const items = data.items.filter(item => item.type === type);
+      if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.style.color = '#999';
+        empty.textContent = ui.noItems || '（無）';
+        list.appendChild(empty);
+      }
+      items.forEach(item => {
+        const li = document.createElement('li');
+        li.style.cssText = 'margin-bottom: 6px;';
+        li.textContent = `• ${[item.text, item.from ? `@${item.from}` : '', item.dueDate ? `📅 ${item.dueDate}` : ''].filter(Boolean).join(' · ')}`;
+        if (item.sourceMessageIndex) {
+          const source = document.createElement('span');
+          renderTextWithCitations(source, ` [#${item.sourceMessageIndex}]`, messages);
+          li.appendChild(source);
+        }
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    });
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+    const exportBtn = document.createElement('button');
+    exportBtn.style.cssText = 'background: #6c757d; color: white; border: none; padding: 6px 12px; border-radius: 6px; cursor: pointer; font-size: 13px;';
+    exportBtn.textContent = ui.exportMarkdown || '⬇️ 匯出 Markdown';
+    exportBtn.addEventListener('click', () => this.downloadTextFile(myRequestsToMarkdown(data, messages), 'my-requests.md', 'text/markdown'));
+    actions.appendChild(exportBtn);
+    container.appendChild(actions);
+
+    container.style.display = 'block';
+  }
+
+  /**
+   * 將擷取結果顯示為核取清單，並提供 Markdown / CSV 匯出
+   * 模型輸出一律以 textContent 顯示，避免被當作 HTML 解析
+   * @param {Element} container - #actionItemsResult 容器
+   * @param {Object} data - 符合 ACTION_ITEMS_SCHEMA 的資料
+   */
+  renderActionItems(container, data) {
+    const ui = this.translations?.ui || {};
+    const completed = new Set();
+    container.innerHTML = '';
+
+    const addHeading = (text) => {
+      const heading = document.createElement('h4');
+      heading.style.cssText = 'margin: 0 0 8px 0; color: #4A154B; font-size: 14px;';
+      heading.textContent = text;
+      container.appendChild(heading);
+    };
+
+    const addList = (items, renderItem) => {
+      const list = document.createElement('ul');
+      list.style.cssText = 'margin: 0 0 16px 0; padding-left: 0; list-style: none;';
+      if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.style.color = '#999';
+        empty.textContent = ui.noItems || '（無）';
+        list.appendChild(empty);
+      }
+      items.forEach((item, index) => {
+        const li = document.createElement('li');
+        li.style.cssText = 'margin-bottom: 6px;';
+        renderItem(li, item, index);
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    };
+
+    const describe = (parts) => parts.filter(Boolean).join(' · ');
+    const source = (index) => (index ? `#${index}` : '');
+
+    addHeading(ui.actionItemsHeading || '📌 待辦事項');
+    addList(data.actionItems, (li, item, index) => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display: flex; gap: 8px; align-items: flex-start; cursor: pointer;';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.style.marginTop = '4px';
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          completed.add(index);
+        } else {
+          completed.delete(index);
+        }
+      });
+      const text = document.createElement('span');
+      text.textContent = describe([
+        item.task,
+        item.owner ? `@${item.owner}` : '',
+        item.dueDate ? `📅 ${item.dueDate}` : '',
+        source(item.sourceMessageIndex)
+      ]);
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      li.appendChild(label);
+    });
+
+    addHeading(ui.decisionsHeading || '🏁 決策');
+    addList(data.decisions, (li, item) => {
+      li.textContent = `• ${describe([item.decision, source(item.sourceMessageIndex)])}`;
+    });
+
+    addHeading(ui.openQuestionsHeading || '❓ 未解問題');
+    addList(data.openQuestions, (li, item) => {
+      li.textContent = `• ${describe([item.question, item.askedBy ? `@${item.askedBy}` : '', source(item.sourceMessageIndex)])}`;
+    });
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+    const exports = [
+      { label: ui.exportMarkdown || '⬇️ 匯出 Markdown', build: () => actionItemsToMarkdown(data, completed), filename: 'action-items.md', type: 'text/markdown' },
+      { label: ui.exportCSV || '⬇️ 匯出 CSV', build: () => actionItemsToCSV(data, completed), filename: 'action-items.csv', type: 'text/csv' }
+    ];
+    exports.forEach(({ label, build, filename, type }) => {
+      const button = document.createElement('button');
+      button.style.cssText = 'background: #6c757d; color: white; border: none; padding: 6px 12px; border-radius: 6px; cursor: pointer; font-size: 13px;';
+      button.textContent = label;
+      button.addEventListener('click', () => this.downloadTextFile(build(), filename, type));
+      actions.appendChild(button);
+    });
+    container.appendChild(actions);
+
+    container.style.display = 'block';
+  }
+
+  /**
+   * 下載文字檔案
+   * @param {string} content - 檔案內容
+   * @param {string} filename - 檔名
+   * @param {string} mimeType - MIME 類型
+   */
+  downloadTextFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  generateModalHTML(threadInfo, messages, analyzer, availableModels, options = {}) {
     return `
       <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; margin: -24px -24px 20px -24px; border-radius: 12px 12px 0 0;">
         <h2 style="margin: 0 0 16px 0; font-size: 24px; font-weight: 600;">${this.translations?.ui?.previewTitle || '📝 討論串摘要預覽'}</h2>
@@ -833,6 +1541,7 @@ export class PreviewModalManager {
           <div>
             <strong>${this.translations?.ui?.timeRange || '⏰ 時間範圍:'}</strong><br>
             <small style="opacity: 0.9;">${threadInfo.timeRange}</small>
+            ${threadInfo.duration ? `<br><small style="opacity: 0.9;">${(this.translations?.ui?.threadDuration || '持續 {{duration}}').replace('{{duration}}', threadInfo.duration)}</small>` : ''}
           </div>
         </div>
       </div>
@@ -853,6 +1562,16 @@ export class PreviewModalManager {
         </div>
       </div>
 
+      ${this.generateIncrementalOptionHTML(options.incremental)}
+
+      ${this.generateAttachmentsSectionHTML(messages)}
+
+      ${options.visionAvailable && availableModels.some(model => model.isLLMModel) ? this.generateVisionOptionHTML(messages) : ''}
+
+      ${options.extractActionItems && availableModels.some(model => model.isLLMModel) ? this.generateActionItemsSectionHTML() : ''}
+
+      ${options.extractMyRequests && availableModels.some(model => model.isLLMModel) ? this.generateMyRequestsSectionHTML() : ''}
+
       <div style="margin-bottom: 20px;">
         <h3 style="margin: 0 0 12px 0; color: #4A154B; font-size: 16px;">
           ${this.translations?.ui?.participantsList || '👥 參與者列表：'}
@@ -904,6 +1623,19 @@ export class PreviewModalManager {
         ">
           ${this.translations?.ui?.cancel || '❌ 取消'}
         </button>
+        ${options.chatAvailable && availableModels.some(model => model.isLLMModel) ? `
+        <button id="askAboutThread" style="
+          background: #17a2b8;
+          color: white;
+          border: none;
+          padding: 10px 20px;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 14px;
+          transition: background-color 0.2s;
+        ">
+          ${this.translations?.ui?.askAboutThread || '💬 針對討論串提問'}
+        </button>` : ''}
         <button id="confirmSummary" style="
           background: #4A154B;
           color: white;
@@ -920,11 +1652,12 @@ export class PreviewModalManager {
     `;
   }
 
-  addModalEventListeners(modal, modalContent, resolve, messages, availableModels) {
+  addModalEventListeners(modal, modalContent, resolve, messages, availableModels, options = {}) {
     const confirmBtn = modalContent.querySelector('#confirmSummary');
     const cancelBtn = modalContent.querySelector('#cancelSummary');
     const copyBtn = modalContent.querySelector('#copyToClipboard');
     const modelSelect = modalContent.querySelector('#geminiModelSelect');
+    const extractBtn = modalContent.querySelector('#extractActionItems');
 
     // 載入已選擇的模型
     this.loadSelectedModel(modelSelect, availableModels);
@@ -943,8 +1676,11 @@ export class PreviewModalManager {
     // 確認按鈕
     confirmBtn.addEventListener('click', () => {
       const selectedModel = modelSelect.value;
+      const incremental = !!modalContent.querySelector('#incrementalSummary')?.checked;
+      const includeImages = !!modalContent.querySelector('#includeImages')?.checked;
+      const selectedMessages = this.applyAttachmentSelection(messages, modalContent);
       this.closeModal(modal);
-      resolve({ confirmed: true, selectedModel, messages });
+      resolve({ confirmed: true, selectedModel, messages: selectedMessages, incremental, includeImages });
     });
 
     // 取消按鈕
@@ -953,6 +1689,17 @@ export class PreviewModalManager {
       resolve({ confirmed: false });
     });
 
+    // 討論串問答（以目前收集到的訊息開啟問答面板）
+    const chatBtn = modalContent.querySelector('#askAboutThread');
+    if (chatBtn) {
+      this.addButtonHoverEffects(chatBtn, '#138496', '#17a2b8');
+      chatBtn.addEventListener('click', () => {
+        const selectedMessages = this.applyAttachmentSelection(messages, modalContent);
+        this.closeModal(modal);
+        resolve({ confirmed: false, chat: true, messages: selectedMessages });
+      });
+    }
+
     // 複製到剪貼簿按鈕
     copyBtn.addEventListener('click', () => {
       const formattedText = this.formatMessagesForClipboard(messages);
@@ -964,6 +1711,73 @@ export class PreviewModalManager {
       });
     });
 
+    // 擷取待辦與決策（結果顯示在預覽視窗中，不會關閉視窗）
+    if (extractBtn) {
+      this.addButtonHoverEffects(extractBtn, '#138496', '#17a2b8');
+      extractBtn.addEventListener('click', async () => {
+        const status = modalContent.querySelector('#actionItemsStatus');
+        const resultContainer = modalContent.querySelector('#actionItemsResult');
+        extractBtn.disabled = true;
+        status.style.display = 'block';
+        status.style.color = '#666';
+        resultContainer.style.display = 'none';
+
+        try {
+          const selectedMessages = this.applyAttachmentSelection(messages, modalContent);
+          const data = await options.extractActionItems(selectedMessages, ({ current, total }) => {
+            status.textContent = (this.translations?.ui?.extractingActionItems || '🧩 正在擷取第 {{current}}/{{total}} 段...')
+              .replace('{{current}}', current)
+              .replace('{{total}}', total);
+          });
+          status.style.display = 'none';
+          this.renderActionItems(resultContainer, data);
+        } catch (error) {
+          console.error('Failed to extract action items:', error);
+          status.style.color = '#a4262c';
+          status.textContent = `${this.translations?.ui?.actionItemsFailed || '❌ 擷取失敗'}: ${error.message}`;
+        } finally {
+          extractBtn.disabled = false;
+        }
+      });
+    }
+
+    // 「要我做什麼」分析（結果顯示在預覽視窗中；點擊來源連結時關閉視窗並捲動至該訊息）
+    const myRequestsBtn = modalContent.querySelector('#extractMyRequests');
+    if (myRequestsBtn) {
+      const status = modalContent.querySelector('#myRequestsStatus');
+      const resultContainer = modalContent.querySelector('#myRequestsResult');
+      let analyzedMessages = messages;
+      bindCitationLinks(resultContainer, () => analyzedMessages, options.findMessageElement || (() => null), () => {
+        this.closeModal(modal);
+        resolve({ confirmed: false });
+      });
+
+      this.addButtonHoverEffects(myRequestsBtn, '#138496', '#17a2b8');
+      myRequestsBtn.addEventListener('click', async () => {
+        myRequestsBtn.disabled = true;
+        status.style.display = 'block';
+        status.style.color = '#666';
+        resultContainer.style.display = 'none';
+
+        try {
+          analyzedMessages = this.applyAttachmentSelection(messages, modalContent);
+          const data = await options.extractMyRequests(analyzedMessages, ({ current, total }) => {
+            status.textContent = (this.translations?.ui?.extractingMyRequests || '🙋 正在分析第 {{current}}/{{total}} 段...')
+              .replace('{{current}}', current)
+              .replace('{{total}}', total);
+          });
+          status.style.display = 'none';
+          this.renderMyRequests(resultContainer, data, analyzedMessages);
+        } catch (error) {
+          console.error('Failed to extract requests:', error);
+          status.style.color = '#a4262c';
+          status.textContent = `${this.translations?.ui?.myRequestsFailed || '❌ 分析失敗'}: ${error.message}`;
+        } finally {
+          myRequestsBtn.disabled = false;
+        }
+      });
+    }
+
     // ESC 鍵關閉
     const escHandler = (e) => {
       if (e.key === 'Escape') {
@@ -975,6 +1789,106 @@ export class PreviewModalManager {
     document.addEventListener('keydown', escHandler);
   }
 
+  /**
+   * 顯示頻道摘要的選項（日期範圍、是否展開熱門討論串）
+   * @returns {Promise<Object|null>} {startDate, endDate, includeThreads, minReplies}，取消時為 null
+   */
+  async showChannelDigestOptions() {
+    if (!this.translations) {
+      await this.initializeTranslations();
+    }
+
+    const ui = this.translations?.ui || {};
+    const toDateValue = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const today = new Date();
+    const weekAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+    const defaultMinReplies = 3;
+
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = this.modalClass;
+      this.applyModalStyles(modal);
+
+      const modalContent = document.createElement('div');
+      modalContent.className = this.modalContentClass;
+      this.applyModalContentStyles(modalContent);
+
+      const inputStyle = 'padding: 6px 8px; border: 1px solid #ccc; border-radius: 6px; font-size: 14px;';
+      modalContent.innerHTML = `
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; margin: -24px -24px 20px -24px; border-radius: 12px 12px 0 0;">
+          <h2 style="margin: 0; font-size: 22px; font-weight: 600;">${ui.channelDigestTitle || '📰 頻道摘要'}</h2>
+        </div>
+        <div style="display: flex; gap: 16px; margin-bottom: 16px; font-size: 14px; color: #1d1c1d;">
+          <label style="display: flex; flex-direction: column; gap: 4px;">
+            ${ui.digestStartDate || '開始日期'}
+            <input type="date" id="digestStartDate" value="${toDateValue(weekAgo)}" max="${toDateValue(today)}" style="${inputStyle}">
+          </label>
+          <label style="display: flex; flex-direction: column; gap: 4px;">
+            ${ui.digestEndDate || '結束日期'}
+            <input type="date" id="digestEndDate" value="${toDateValue(today)}" max="${toDateValue(today)}" style="${inputStyle}">
+          </label>
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 14px; color: #1d1c1d; cursor: pointer;">
+          <input type="checkbox" id="digestIncludeThreads" style="margin: 0;">
+          <span>${(ui.digestIncludeThreads || '🧵 展開回覆數至少 {{count}} 則的討論串並一併收集').replace('{{count}}', `<input type="number" id="digestMinReplies" value="${defaultMinReplies}" min="1" style="width: 56px; ${inputStyle}">`)}</span>
+        </label>
+        <div style="margin: 4px 0 24px 24px; font-size: 12px; color: #666;">
+          ${ui.digestIncludeThreadsHint || '會依序開啟這些討論串，回覆越多耗時越久（最多 20 個）'}
+        </div>
+        <div style="display: flex; gap: 12px; justify-content: flex-end;">
+          <button id="cancelDigest" style="background: #6c757d; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; font-size: 14px;">
+            ${ui.cancel || '❌ 取消'}
+          </button>
+          <button id="confirmDigest" style="background: #4A154B; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; font-size: 14px;">
+            ${ui.startDigest || '📰 產生頻道摘要'}
+          </button>
+        </div>
+      `;
+
+      modal.appendChild(modalContent);
+      document.body.appendChild(modal);
+
+      const cancelBtn = modalContent.querySelector('#cancelDigest');
+      const confirmBtn = modalContent.querySelector('#confirmDigest');
+      this.addButtonHoverEffects(cancelBtn, '#5a6268', '#6c757d');
+      this.addButtonHoverEffects(confirmBtn, '#611f69', '#4A154B');
+
+      const finish = (result) => {
+        document.removeEventListener('keydown', escHandler);
+        this.closeModal(modal);
+        resolve(result);
+      };
+      const escHandler = (e) => {
+        if (e.key === 'Escape') {
+          finish(null);
+        }
+      };
+      document.addEventListener('keydown', escHandler);
+
+      cancelBtn.addEventListener('click', () => finish(null));
+      confirmBtn.addEventListener('click', () => {
+        let startDate = modalContent.querySelector('#digestStartDate').value;
+        let endDate = modalContent.querySelector('#digestEndDate').value;
+        if (!startDate || !endDate) return;
+        // 日期顛倒時自動對調
+        if (startDate > endDate) {
+          [startDate, endDate] = [endDate, startDate];
+        }
+        finish({
+          startDate,
+          endDate,
+          includeThreads: modalContent.querySelector('#digestIncludeThreads').checked,
+          minReplies: Math.max(1, parseInt(modalContent.querySelector('#digestMinReplies').value, 10) || defaultMinReplies)
+        });
+      });
+
+      setTimeout(() => {
+        modal.style.opacity = '1';
+        modalContent.style.transform = 'translateY(0)';
+      }, 10);
+    });
+  }
+
   formatMessagesForClipboard(messages) {
     return messages.map(msg => {
       const timestamp = msg.timestamp ? `[${msg.timestamp}] ` : '';
@@ -1,7 +1,8 @@
 /*
- * Tooltip utilities
- * Provides a single helper to make sure the tooltip CSS used across the
- * extension is injected exactly once.
+ * UI utilities
+ * Provides a helper to make sure the tooltip CSS used across the
+ * extension is injected exactly once, a small Markdown renderer for
+ * showing LLM output inside Slack, and docking for side panels.
  */
 
 /**
@@ -41,4 +42,131 @@ export function ensureTooltipStyles() {
   `;
 
   document.head.appendChild(style);
-} 
\ No newline at end of file
+}
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders inline Markdown (code, bold, italic, links) on already escaped text.
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function renderInlineMarkdown(text) {
+  return text
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+}
+
+/**
+ * Renders a subset of Markdown (headings, lists, quotes, code blocks and
+ * inline formatting) to HTML. Input is escaped first, so model output can
+ * never inject markup of its own.
+ * @param {string} markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+  const lines = escapeHtml(markdown || '').replace(/\r/g, '').split('\n');
+  const html = [];
+  let listType = null;
+  let inCodeBlock = false;
+  let codeLines = [];
+
+  const closeList = () => {
+    if (listType) {
+      html.push(`</${listType}>`);
+      listType = null;
+    }
+  };
+
+  for (const line of lines) {
+    if (line.trim().startsWith('```')) {
+      if (inCodeBlock) {
+        html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+        codeLines = [];
+      } else {
+        closeList();
+      }
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (inCodeBlock) {
+      codeLines.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+    const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^&gt;\s?(.*)$/);
+
+    if (bullet || ordered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (listType !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        listType = type;
+      }
+      html.push(`<li>${renderInlineMarkdown((bullet || ordered)[1])}</li>`);
+      continue;
+    }
+
+    closeList();
+
+    if (heading) {
+      // Panels are narrow, so headings are rendered two levels smaller
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+    } else if (quote) {
+      html.push(`<blockquote>${renderInlineMarkdown(quote[1])}</blockquote>`);
+    } else if (line.trim()) {
+      html.push(`<p>${renderInlineMarkdown(line)}</p>`);
+    }
+  }
+
+  // A streamed response may stop in the middle of a code block
+  if (inCodeBlock) {
+    html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+  }
+  closeList();
+
+  return html.join('');
+}
+
+/**
+ * Docks a fixed side panel to the left of the thread pane, or to the right
+ * edge of the window when no thread pane is open.
+ * @param {HTMLElement} panel - Panel with position: fixed
+ * @param {Element|null} threadContainer - Thread pane
+ * @param {number} panelWidth - Panel width in px
+ * @param {number} gap - Gap to the thread pane and window edge in px
+ */
+export function dockPanelBesideThread(panel, threadContainer, panelWidth, gap) {
+  const rect = threadContainer?.getBoundingClientRect();
+
+  if (rect && rect.width > 0) {
+    panel.style.top = `${rect.top}px`;
+    panel.style.height = `${rect.height}px`;
+    panel.style.left = `${Math.max(gap, rect.left - panelWidth - gap)}px`;
+    panel.style.right = 'auto';
+  } else {
+    panel.style.top = '60px';
+    panel.style.height = 'calc(100vh - 80px)';
+    panel.style.left = 'auto';
+    panel.style.right = `${gap}px`;
+  }
+}